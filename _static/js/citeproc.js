@@ -2554,6 +2554,15 @@ CSL.Engine = function (sys, style, lang, forceLang) {
     this.csl_version = "1.0";
     this.sys = sys;
     if (sys.variableWrapper) {
+        this.variableWrapper = function (params, prePunct, str, postPunct) {
+            return sys.variableWrapper(params, prePunct, str, postPunct);
+        };
+    } else if (sys.fieldTags) {
+        this.variableWrapper = CSL.Output.fieldTagWrapper;
+    } else {
+        this.variableWrapper = false;
+    }
+    if (this.variableWrapper) {
         CSL.VARIABLE_WRAPPER_PREPUNCT_REX = new RegExp('^([' + [" "].concat(CSL.SWAPPING_PUNCTUATION).join("") + ']*)(.*)');
     }
     if (CSL.retrieveStyleModule) {
@@ -4022,6 +4031,156 @@ CSL.Output.Queue.prototype.string = function (state, myblobs, blob) {
     }
     return ret;
 };
+CSL.Output.Queue.prototype.tree = function (state, myblobs) {
+    var ret = this.treeNodes(state, myblobs);
+    this.queue = [];
+    this.current.mystack = [];
+    this.current.mystack.push(this.queue);
+    return ret;
+};
+CSL.Output.Queue.prototype.treeNodes = function (state, blobs) {
+    var ret = [];
+    var numbers = [];
+    for (var i = 0, ilen = blobs.length; i < ilen; i += 1) {
+        numbers.push("number" === typeof blobs[i].num ? blobs[i] : null);
+    }
+    var joiners = this.treeJoiners(numbers);
+    for (var i = 0, ilen = blobs.length; i < ilen; i += 1) {
+        if (joiners[i] === false) {
+            continue;
+        }
+        var node = this.treeNode(state, blobs[i]);
+        if (!node) {
+            continue;
+        }
+        if ("string" === typeof joiners[i] && ret.length) {
+            node.joiner = joiners[i];
+        }
+        ret.push(node);
+    }
+    return ret;
+};
+CSL.Output.Queue.prototype.treeJoiners = function (numbers) {
+    // Mirrors the collapsing of number sequences in renderBlobs(). The
+    // joiner of a number replaces the delimiter of its parent; numbers
+    // swallowed by a range are false.
+    var ret = [];
+    var other = {};
+    var len = numbers.length;
+    var pos, blob;
+    var start = true;
+    for (pos = 0; pos < len; pos += 1) {
+        if (numbers[pos]) {
+            numbers[pos].checkNext(numbers[pos + 1] || (pos < len - 1 ? other : undefined), start);
+            start = false;
+        } else if (numbers[pos + 1] && numbers[pos + 1].splice_prefix) {
+            start = false;
+        } else {
+            start = true;
+        }
+    }
+    var doit = true;
+    for (pos = len - 1; pos > 0; pos += -1) {
+        if (numbers[pos]) {
+            if (doit && numbers[pos].checkLast(numbers[pos - 1] || other)) {
+                doit = false;
+            }
+        } else {
+            doit = true;
+        }
+    }
+    for (pos = 0; pos < len; pos += 1) {
+        blob = numbers[pos];
+        if (!blob) {
+            ret.push(undefined);
+        } else if (blob.status === CSL.SUPPRESS) {
+            ret.push(false);
+        } else if (blob.status === CSL.END) {
+            ret.push(blob.range_prefix);
+        } else if (blob.status === CSL.SUCCESSOR) {
+            ret.push(blob.successor_prefix);
+        } else if (blob.status === CSL.START) {
+            ret.push(pos > 0 && !blob.suppress_splice_prefix ? blob.splice_prefix : "");
+        } else if (blob.status === CSL.SEEN) {
+            ret.push(blob.splice_prefix);
+        } else {
+            ret.push("");
+        }
+    }
+    return ret;
+};
+CSL.Output.Queue.prototype.treeNode = function (state, blob) {
+    var node = {
+        decorations: {},
+        prefix: blob.strings.prefix ? blob.strings.prefix : "",
+        suffix: blob.strings.suffix ? blob.strings.suffix : ""
+    };
+    if (!state.tmp.suppress_decorations) {
+        for (var i = 0, ilen = blob.decorations.length; i < ilen; i += 1) {
+            var params = blob.decorations[i];
+            if (["@cite", "@bibliography", "@showid"].indexOf(params[0]) > -1) {
+                continue;
+            }
+            if (state.normalDecorIsOrphan(blob, params)) {
+                continue;
+            }
+            node.decorations[params[0].slice(1)] = params[1];
+        }
+    }
+    if (blob.params && blob.params.variableNames) {
+        node.variables = blob.params.variableNames.slice();
+    }
+    if ("number" === typeof blob.num) {
+        var str;
+        if (blob.particle) {
+            str = blob.particle + blob.num;
+        } else {
+            str = "" + blob.formatter.format(blob.num, blob.gender);
+        }
+        if (blob.strings["text-case"]) {
+            str = CSL.Output.Formatters[blob.strings["text-case"]](state, str);
+        }
+        node.text = str;
+    } else if ("string" === typeof blob.blobs) {
+        if (!blob.blobs) {
+            return null;
+        }
+        node.text = blob.blobs;
+    } else {
+        node.delimiter = blob.strings.delimiter ? blob.strings.delimiter : "";
+        node.children = this.treeNodes(state, blob.blobs);
+        if (!node.children.length) {
+            return null;
+        }
+        // As in string(), the width of the first field of a bibliography
+        // entry is its length as plain text
+        if (blob.strings.first_blob && state.registry.registry[blob.strings.first_blob]) {
+            state.registry.registry[blob.strings.first_blob].offset = this.treeText(node).length;
+        }
+        // Grouping blobs that add nothing to a single child are dropped
+        if (node.children.length === 1 && !node.prefix && !node.suffix && !node.variables) {
+            for (var key in node.decorations) {
+                return node;
+            }
+            node = node.children[0];
+            delete node.joiner;
+        }
+    }
+    return node;
+};
+CSL.Output.Queue.prototype.treeText = function (node) {
+    if ("string" === typeof node.text) {
+        return node.prefix + node.text + node.suffix;
+    }
+    var ret = node.prefix;
+    for (var i = 0, ilen = node.children.length; i < ilen; i += 1) {
+        if (i > 0) {
+            ret += "string" === typeof node.children[i].joiner ? node.children[i].joiner : node.delimiter;
+        }
+        ret += this.treeText(node.children[i]);
+    }
+    return ret + node.suffix;
+};
 CSL.Output.Queue.prototype.clearlevel = function () {
     var blob, pos, len;
     blob = this.current.value();
@@ -5271,7 +5430,7 @@ CSL.Engine.prototype.processCitationCluster = function (citation, citationsPre,
                             }
                         }
                     }
-                    if (this.sys.variableWrapper) {
+                    if (this.variableWrapper || this.opt.mode === "json") {
                         item[1].index = onecitation.properties.index;
                         item[1].noteIndex = onecitation.properties.noteIndex;
                     }
@@ -5669,6 +5828,9 @@ CSL.getCitationCluster = function (inputList, citationID) {
             this.tmp.last_chr = this.output.adjust.fix(this.output.queue[j]);
         }
     }
+    if (this.opt.mode === "json") {
+        return CSL.getCitationClusterTree.call(this, inputList, myblobs, myparams, item);
+    }
     for (pos = 0, len = myblobs.length; pos < len; pos += 1) {
         var buffer = [];
         this.output.queue = [myblobs[pos]];
@@ -5766,6 +5928,83 @@ CSL.getCitationCluster = function (inputList, citationID) {
         }
     }
     this.tmp.suppress_decorations = false;
+    if (result && this.fun.decorate.citation_cluster) {
+        result = this.fun.decorate.citation_cluster(result);
+    }
+    return result;
+};
+CSL.getCitationClusterTree = function (inputList, myblobs, myparams, item) {
+    var pos, len, node, leads, joiners, blob, splice_delimiter, params;
+    var nodes = [];
+    leads = [];
+    for (pos = 0, len = myblobs.length; pos < len; pos += 1) {
+        this.output.queue = [myblobs[pos]];
+        this.tmp.suppress_decorations = myparams[pos].suppress_decorations;
+        splice_delimiter = myparams[pos].splice_delimiter;
+        if (myblobs[pos].parallel_delimiter) {
+            splice_delimiter = myblobs[pos].parallel_delimiter;
+        }
+        node = this.output.tree(this, this.output.queue)[0];
+        this.tmp.suppress_decorations = false;
+        if (!node) {
+            if (this.tmp.has_purged_parallel || inputList[pos][1]["suppress-author"]) {
+                nodes.push(null);
+                leads.push(null);
+                continue;
+            }
+            node = {
+                decorations: {},
+                prefix: pos === 0 ? this.citation.opt.layout_prefix : "",
+                suffix: pos === (len - 1) ? this.citation.opt.layout_suffix : "",
+                text: "[CSL STYLE ERROR: reference with no printed form.]"
+            };
+        }
+        if (pos > 0) {
+            node.joiner = splice_delimiter;
+        }
+        // A cite that renders as a lone number (a citation-number)
+        // joins the numeric ranges of the cluster
+        blob = myblobs[pos];
+        while ("object" === typeof blob.blobs && blob.blobs.length === 1) {
+            blob = blob.blobs[0];
+        }
+        if ("number" === typeof blob.num) {
+            blob.splice_prefix = pos > 0 ? splice_delimiter : "";
+            leads.push(blob);
+        } else {
+            leads.push(null);
+        }
+        nodes.push(node);
+    }
+    joiners = this.output.treeJoiners(leads);
+    var result = {
+        decorations: {},
+        prefix: "",
+        suffix: "",
+        delimiter: this.citation.opt.layout_delimiter ? this.citation.opt.layout_delimiter : "",
+        children: []
+    };
+    for (pos = 0, len = nodes.length; pos < len; pos += 1) {
+        if (!nodes[pos] || joiners[pos] === false) {
+            continue;
+        }
+        if ("string" === typeof joiners[pos]) {
+            nodes[pos].joiner = joiners[pos];
+        }
+        if (!result.children.length) {
+            delete nodes[pos].joiner;
+        }
+        result.children.push(nodes[pos]);
+    }
+    if (!item || !item["author-only"]) {
+        for (pos = 0, len = this.citation.opt.layout_decorations.length; pos < len; pos += 1) {
+            params = this.citation.opt.layout_decorations[pos];
+            if (params[1] === "normal") {
+                continue;
+            }
+            result.decorations[params[0].slice(1)] = params[1];
+        }
+    }
     return result;
 };
 CSL.getCite = function (Item, item, prevItemID, blockShadowNumberReset) {
@@ -5935,6 +6174,9 @@ CSL.Engine.prototype.makeBibliography = function (bibsection) {
     }
     params.bibstart = this.fun.decorate.bibstart;
     params.bibend = this.fun.decorate.bibend;
+    if (this.fun.decorate.bibliography_entries) {
+        entry_strings = this.fun.decorate.bibliography_entries(params, entry_strings);
+    }
     this.opt.citation_number_slug = false;
     return [params, entry_strings];
 };
@@ -6118,10 +6360,19 @@ CSL.getBibliographyEntries = function (bibsection) {
             this.output.adjust.downward(this.output.queue[j],true);
             this.output.adjust.fix(this.output.queue[j]);
         }
-        var res = this.output.string(this, this.output.queue)[0];
+        var res;
+        if (this.opt.mode === "json") {
+            res = this.output.tree(this, this.output.queue)[0];
+        } else {
+            res = this.output.string(this, this.output.queue)[0];
+        }
         if (!res && this.opt.update_mode === CSL.NUMERIC) {
             var err = (ret.length + 1) + ". [CSL STYLE ERROR: reference with no printed form.]"
-            res = CSL.Output.Formats[this.opt.mode]["@bibliography/entry"](this, err) 
+            if (this.opt.mode === "json") {
+                res = {decorations: {}, prefix: "", suffix: "", text: err};
+            } else {
+                res = CSL.Output.Formats[this.opt.mode]["@bibliography/entry"](this, err) 
+            }
         }
         if (res) {
             ret.push(res);
@@ -13469,11 +13720,12 @@ CSL.Util.substituteStart = function (state, target) {
         if_start.test = state.fun.match.any(this, state, if_start.tests);
         target.push(if_start);
     }
-    if (state.sys.variableWrapper
-        && this.variables_real
+    if (this.variables_real
         && this.variables_real.length) {
+        // Variables are tagged for a variableWrapper(), and for the
+        // json format, which reports them on its nodes
         func = function (state, Item, item) {
-            if (!state.tmp.just_looking && !state.tmp.suppress_decorations) {
+            if ((state.variableWrapper || state.opt.mode === "json") && !state.tmp.just_looking && !state.tmp.suppress_decorations) {
                 var variable_entry = new CSL.Token("text", CSL.START);
                 variable_entry.decorations = [["@showid", "true"]];
                 state.output.startTag("variable_entry", variable_entry);
@@ -13524,10 +13776,9 @@ CSL.Util.substituteStart = function (state, target) {
 };
 CSL.Util.substituteEnd = function (state, target) {
     var func, bib_first_end, bib_other, if_end, choose_end, toplevel, hasval, author_substitute, str;
-    if (state.sys.variableWrapper
-        && (this.hasVariable || (this.variables_real && this.variables_real.length))) {
+    if (this.hasVariable || (this.variables_real && this.variables_real.length)) {
         func = function (state,Item) {
-            if (!state.tmp.just_looking && !state.tmp.suppress_decorations) {
+            if ((state.variableWrapper || state.opt.mode === "json") && !state.tmp.just_looking && !state.tmp.suppress_decorations) {
                 state.output.endTag("variable_entry");
             }
         }
@@ -15373,7 +15624,7 @@ CSL.Output.Formats.prototype.html = {
                     postPunct = str.slice(-1);
                     str = str.slice(0,-1);
                 }
-                return state.sys.variableWrapper(this.params, prePunct, str, postPunct);
+                return state.variableWrapper(this.params, prePunct, str, postPunct);
             } else {
                 return str;
             }
@@ -15533,11 +15784,447 @@ CSL.Output.Formats.prototype.rtf = {
                 postPunct = str.slice(-1);
                 str = str.slice(0,-1);
             }
-            return state.sys.variableWrapper(this.params, prePunct, str, postPunct);
+            return state.variableWrapper(this.params, prePunct, str, postPunct);
+        } else {
+            return str;
+        }
+    },
+    "@URL/true": function (state, str) {
+        return str;
+    },
+    "@DOI/true": function (state, str) {
+        return str;
+    }
+};
+CSL.Output.Formats.prototype.latex = {
+    "text_escape": function (text) {
+        if (!text) {
+            text = "";
+        }
+        return text.replace(/[\\{}#$%&_^~<>|]/g, function(aChar) {
+                switch (aChar) {
+                case "\\":
+                    return "\\textbackslash{}";
+                case "^":
+                    return "\\textasciicircum{}";
+                case "~":
+                    return "\\textasciitilde{}";
+                case "<":
+                    return "\\textless{}";
+                case ">":
+                    return "\\textgreater{}";
+                case "|":
+                    return "\\textbar{}";
+                default:
+                    return "\\" + aChar;
+                }
+            })
+            .replace(/\u00A0/g, "~")
+            .replace(CSL.SUPERSCRIPTS_REGEXP,
+                     function(aChar) {
+                         return "\\textsuperscript{" + CSL.SUPERSCRIPTS[aChar] + "}";
+                     });
+    },
+    "url_escape": function (str) {
+        str = str.replace(/\\textbackslash\{\}/g, "\\")
+            .replace(/\\textasciicircum\{\}/g, "^")
+            .replace(/\\textasciitilde\{\}/g, "~")
+            .replace(/\\textless\{\}/g, "<")
+            .replace(/\\textgreater\{\}/g, ">")
+            .replace(/\\textbar\{\}/g, "|")
+            .replace(/\\([{}#$%&_])/g, "$1");
+        return str.replace(/[{}#%\\]/g, "\\$&");
+    },
+    "bibliography_entries": function (params, entries) {
+        // The argument of thebibliography is a sample of the widest
+        // label, which is known only once all entries are rendered.
+        params.bibstart = "\\begin{thebibliography}{" + new Array(params.maxoffset + 1).join("0") + "}\n";
+        return entries;
+    },
+    "bibstart": "\\begin{thebibliography}{}\n",
+    "bibend": "\\end{thebibliography}",
+    "@font-style/italic": "\\textit{%%STRING%%}",
+    "@font-style/oblique": "\\textsl{%%STRING%%}",
+    "@font-style/normal": "\\textup{%%STRING%%}",
+    "@font-variant/small-caps": "\\textsc{%%STRING%%}",
+    "@passthrough/true": CSL.Output.Formatters.passthrough,
+    "@font-variant/normal": "\\textup{%%STRING%%}",
+    "@font-weight/bold": "\\textbf{%%STRING%%}",
+    "@font-weight/normal": "\\textmd{%%STRING%%}",
+    "@font-weight/light": false,
+    "@text-decoration/none": false,
+    "@text-decoration/underline": "\\underline{%%STRING%%}",
+    "@vertical-align/sup": "\\textsuperscript{%%STRING%%}",
+    "@vertical-align/sub": "\\textsubscript{%%STRING%%}",
+    "@vertical-align/baseline": false,
+    "@strip-periods/true": CSL.Output.Formatters.passthrough,
+    "@strip-periods/false": CSL.Output.Formatters.passthrough,
+    "@quotes/true": function (state, str) {
+        if ("undefined" === typeof str) {
+            return CSL.Output.Formats.latex.text_escape(state.getTerm("open-quote"));
+        }
+        return CSL.Output.Formats.latex.text_escape(state.getTerm("open-quote")) + str + CSL.Output.Formats.latex.text_escape(state.getTerm("close-quote"));
+    },
+    "@quotes/inner": function (state, str) {
+        if ("undefined" === typeof str) {
+            return "\u2019";
+        }
+        return CSL.Output.Formats.latex.text_escape(state.getTerm("open-inner-quote")) + str + CSL.Output.Formats.latex.text_escape(state.getTerm("close-inner-quote"));
+    },
+    "@quotes/false": false,
+    "@cite/entry": function (state, str) {
+        return state.sys.wrapCitationEntry(str, this.item_id, this.locator_txt, this.suffix_txt);
+    },
+    "@bibliography/entry": function (state, str) {
+        var key = "" + (this.system_id || this.item_id || "");
+        // The left-margin formatter sets the label as "[{...}]". Field
+        // content has its braces escaped, so an unescaped "[{" can only
+        // open the label, which is moved to the optional argument of
+        // \bibitem. Entries without a label are numbered by LaTeX.
+        var label = "";
+        var start = str.search(/(^|[^\\])\[\{/);
+        if (start > -1) {
+            if (str.charAt(start) !== "[") {
+                start += 1;
+            }
+            var depth = 0;
+            for (var i = start + 1, ilen = str.length; i < ilen; i += 1) {
+                if (str.charAt(i) === "\\") {
+                    i += 1;
+                } else if (str.charAt(i) === "{") {
+                    depth += 1;
+                } else if (str.charAt(i) === "}") {
+                    depth -= 1;
+                    if (depth === 0) {
+                        label = str.slice(start, i + 2);
+                        str = str.slice(0, start) + str.slice(i + 2);
+                        break;
+                    }
+                }
+            }
+        }
+        return "\\bibitem" + label + "{" + key.replace(/[\\{}, %#~]/g, "") + "}\n" + str + "\n\n";
+    },
+    "@display/block": function (state, str) {
+        return "\n\\par{}" + str + "\n";
+    },
+    "@display/left-margin": function (state, str) {
+        return "[{" + str + "}]";
+    },
+    "@display/right-inline": function (state, str) {
+        return str;
+    },
+    "@display/indent": function (state, str) {
+        return "\n\\par\\quad{}" + str + "\n";
+    },
+    "@showid/true": function (state, str, cslid) {
+        if (!state.tmp.just_looking && ! state.tmp.suppress_decorations && this.params && "string" === typeof str) {
+            var prePunct = "";
+            if (str) {
+                var m = str.match(CSL.VARIABLE_WRAPPER_PREPUNCT_REX);
+                prePunct = m[1];
+                str = m[2];
+            }
+            var postPunct = "";
+            if (str && CSL.SWAPPING_PUNCTUATION.indexOf(str.slice(-1)) > -1) {
+                postPunct = str.slice(-1);
+                str = str.slice(0,-1);
+            }
+            return state.variableWrapper(this.params, prePunct, str, postPunct);
+        } else {
+            return str;
+        }
+    },
+    "@URL/true": function (state, str) {
+        return "\\url{" + CSL.Output.Formats.latex.url_escape(str) + "}";
+    },
+    "@DOI/true": function (state, str) {
+        var doiurl = CSL.Output.Formats.latex.url_escape(str);
+        if (!doiurl.match(/^https?:\/\//)) {
+            doiurl = "https://doi.org/" + doiurl;
+        }
+        return "\\href{" + doiurl + "}{" + str + "}";
+    }
+};
+CSL.Output.Formats.prototype.markdown = {
+    "text_escape": function (text) {
+        if (!text) {
+            text = "";
+        }
+        return text.replace(/[\\`*_\[\]<>&~|]/g, "\\$&")
+            .replace(CSL.SUPERSCRIPTS_REGEXP,
+                     function(aChar) {
+                         return "<sup>" + CSL.SUPERSCRIPTS[aChar] + "</sup>";
+                     });
+    },
+    "emphasis": function (marker, str) {
+        // Emphasis markers must touch the text they enclose
+        var m = str.match(/^(\s*)([\s\S]*?)(\s*)$/);
+        if (!m[2]) {
+            return str;
+        }
+        return m[1] + marker + m[2] + marker + m[3];
+    },
+    "url_escape": function (str) {
+        return str.replace(/\\([\\`*_\[\]<>&~|])/g, "$1")
+            .replace(/[ ()<>]/g, function(aChar) {
+                return "%" + aChar.charCodeAt(0).toString(16).toUpperCase();
+            });
+    },
+    "bibstart": "",
+    "bibend": "",
+    "@font-style/italic": function (state, str) {
+        return CSL.Output.Formats.markdown.emphasis("*", str);
+    },
+    "@font-style/oblique": function (state, str) {
+        return CSL.Output.Formats.markdown.emphasis("*", str);
+    },
+    "@font-style/normal": "<span style=\"font-style:normal;\">%%STRING%%</span>",
+    "@font-variant/small-caps": "<span style=\"font-variant:small-caps;\">%%STRING%%</span>",
+    "@passthrough/true": CSL.Output.Formatters.passthrough,
+    "@font-variant/normal": "<span style=\"font-variant:normal;\">%%STRING%%</span>",
+    "@font-weight/bold": function (state, str) {
+        return CSL.Output.Formats.markdown.emphasis("**", str);
+    },
+    "@font-weight/normal": "<span style=\"font-weight:normal;\">%%STRING%%</span>",
+    "@font-weight/light": false,
+    "@text-decoration/none": false,
+    "@text-decoration/underline": "<span style=\"text-decoration:underline;\">%%STRING%%</span>",
+    "@vertical-align/sup": "<sup>%%STRING%%</sup>",
+    "@vertical-align/sub": "<sub>%%STRING%%</sub>",
+    "@vertical-align/baseline": false,
+    "@strip-periods/true": CSL.Output.Formatters.passthrough,
+    "@strip-periods/false": CSL.Output.Formatters.passthrough,
+    "@quotes/true": function (state, str) {
+        if ("undefined" === typeof str) {
+            return state.getTerm("open-quote");
+        }
+        return state.getTerm("open-quote") + str + state.getTerm("close-quote");
+    },
+    "@quotes/inner": function (state, str) {
+        if ("undefined" === typeof str) {
+            return "\u2019";
+        }
+        return state.getTerm("open-inner-quote") + str + state.getTerm("close-inner-quote");
+    },
+    "@quotes/false": false,
+    "@cite/entry": function (state, str) {
+        return state.sys.wrapCitationEntry(str, this.item_id, this.locator_txt, this.suffix_txt);
+    },
+    "@bibliography/entry": function (state, str) {
+        // An entry starting with a label such as "1." would be read as a list item
+        str = str.replace(/^(\s*)([0-9]+)([.)])/, "$1$2\\$3")
+            .replace(/^(\s*)([#+\-=>])/, "$1\\$2");
+        return str + "\n\n";
+    },
+    "@display/block": function (state, str) {
+        return "\n\n" + str + "\n\n";
+    },
+    "@display/left-margin": function (state, str) {
+        return str + " ";
+    },
+    "@display/right-inline": function (state, str) {
+        return str;
+    },
+    "@display/indent": function (state, str) {
+        return "\n\n" + str + "\n\n";
+    },
+    "@showid/true": function (state, str, cslid) {
+        if (!state.tmp.just_looking && ! state.tmp.suppress_decorations && this.params && "string" === typeof str) {
+            var prePunct = "";
+            if (str) {
+                var m = str.match(CSL.VARIABLE_WRAPPER_PREPUNCT_REX);
+                prePunct = m[1];
+                str = m[2];
+            }
+            var postPunct = "";
+            if (str && CSL.SWAPPING_PUNCTUATION.indexOf(str.slice(-1)) > -1) {
+                postPunct = str.slice(-1);
+                str = str.slice(0,-1);
+            }
+            return state.variableWrapper(this.params, prePunct, str, postPunct);
+        } else {
+            return str;
+        }
+    },
+    "@URL/true": function (state, str) {
+        return "[" + str + "](" + CSL.Output.Formats.markdown.url_escape(str) + ")";
+    },
+    "@DOI/true": function (state, str) {
+        var doiurl = CSL.Output.Formats.markdown.url_escape(str);
+        if (!doiurl.match(/^https?:\/\//)) {
+            doiurl = "https://doi.org/" + doiurl;
+        }
+        return "[" + str + "](" + doiurl + ")";
+    }
+};
+CSL.Output.Formats.prototype.jats = {
+    "text_escape": function (text) {
+        if (!text) {
+            text = "";
+        }
+        return text.replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(CSL.SUPERSCRIPTS_REGEXP,
+                     function(aChar) {
+                         return "<sup>" + CSL.SUPERSCRIPTS[aChar] + "</sup>";
+                     });
+    },
+    "ref_id": function (id) {
+        // Item IDs are used as-is where they are valid XML IDs
+        id = ("" + id).replace(/[^-_.A-Za-z0-9]/g, "_");
+        if (!id.match(/^[_A-Za-z]/)) {
+            id = "ref-" + id;
+        }
+        return id;
+    },
+    "bibstart": "<ref-list>\n",
+    "bibend": "</ref-list>",
+    "@font-style/italic": "<italic>%%STRING%%</italic>",
+    "@font-style/oblique": "<italic>%%STRING%%</italic>",
+    "@font-style/normal": "<roman>%%STRING%%</roman>",
+    "@font-variant/small-caps": "<sc>%%STRING%%</sc>",
+    "@passthrough/true": CSL.Output.Formatters.passthrough,
+    "@font-variant/normal": false,
+    "@font-weight/bold": "<bold>%%STRING%%</bold>",
+    "@font-weight/normal": false,
+    "@font-weight/light": false,
+    "@text-decoration/none": false,
+    "@text-decoration/underline": "<underline>%%STRING%%</underline>",
+    "@vertical-align/sup": "<sup>%%STRING%%</sup>",
+    "@vertical-align/sub": "<sub>%%STRING%%</sub>",
+    "@vertical-align/baseline": false,
+    "@strip-periods/true": CSL.Output.Formatters.passthrough,
+    "@strip-periods/false": CSL.Output.Formatters.passthrough,
+    "@quotes/true": function (state, str) {
+        if ("undefined" === typeof str) {
+            return state.getTerm("open-quote");
+        }
+        return state.getTerm("open-quote") + str + state.getTerm("close-quote");
+    },
+    "@quotes/inner": function (state, str) {
+        if ("undefined" === typeof str) {
+            return "\u2019";
+        }
+        return state.getTerm("open-inner-quote") + str + state.getTerm("close-inner-quote");
+    },
+    "@quotes/false": false,
+    "@cite/entry": function (state, str) {
+        return state.sys.wrapCitationEntry(str, this.item_id, this.locator_txt, this.suffix_txt);
+    },
+    "@bibliography/entry": function (state, str) {
+        // A label set by second-field-align precedes the citation
+        var label = "";
+        var m = str.match(/^\s*(<label>[\s\S]*?<\/label>)\s*([\s\S]*)$/);
+        if (m) {
+            label = m[1];
+            str = m[2];
+        }
+        var id = this.system_id || this.item_id;
+        var ref = id ? "<ref id=\"" + CSL.Output.Formats.jats.ref_id(id) + "\">" : "<ref>";
+        return "  " + ref + label + "<mixed-citation>" + str.replace(/\s+$/, "") + "</mixed-citation></ref>\n";
+    },
+    "@display/block": function (state, str) {
+        return " " + str;
+    },
+    "@display/left-margin": function (state, str) {
+        return "<label>" + str.replace(/\s+$/, "") + "</label>";
+    },
+    "@display/right-inline": function (state, str) {
+        return str;
+    },
+    "@display/indent": function (state, str) {
+        return " " + str;
+    },
+    "@showid/true": function (state, str, cslid) {
+        if (!state.tmp.just_looking && ! state.tmp.suppress_decorations && this.params && "string" === typeof str) {
+            var prePunct = "";
+            if (str) {
+                var m = str.match(CSL.VARIABLE_WRAPPER_PREPUNCT_REX);
+                prePunct = m[1];
+                str = m[2];
+            }
+            var postPunct = "";
+            if (str && CSL.SWAPPING_PUNCTUATION.indexOf(str.slice(-1)) > -1) {
+                postPunct = str.slice(-1);
+                str = str.slice(0,-1);
+            }
+            return state.variableWrapper(this.params, prePunct, str, postPunct);
         } else {
             return str;
         }
     },
+    "@URL/true": function (state, str) {
+        return "<ext-link ext-link-type=\"uri\" xlink:href=\"" + str.replace(/"/g, "&quot;") + "\">" + str + "</ext-link>";
+    },
+    "@DOI/true": function (state, str) {
+        var doi = str.replace(/^https?:\/\/(?:dx\.)?doi\.org\//, "");
+        return "<ext-link ext-link-type=\"doi\" xlink:href=\"" + doi.replace(/"/g, "&quot;") + "\">" + str + "</ext-link>";
+    }
+};
+CSL.Output.Formats.prototype.json = {
+    // Output in this mode is built from the blob tree by
+    // CSL.Output.Queue.prototype.tree(). The strings rendered here
+    // are used only internally (for disambiguation and sorting).
+    "text_escape": function (text) {
+        if (!text) {
+            text = "";
+        }
+        return text;
+    },
+    "bibstart": "",
+    "bibend": "",
+    "@font-style/italic": false,
+    "@font-style/oblique": false,
+    "@font-style/normal": false,
+    "@font-variant/small-caps": false,
+    "@passthrough/true": CSL.Output.Formatters.passthrough,
+    "@font-variant/normal": false,
+    "@font-weight/bold": false,
+    "@font-weight/normal": false,
+    "@font-weight/light": false,
+    "@text-decoration/none": false,
+    "@text-decoration/underline": false,
+    "@vertical-align/baseline": false,
+    "@vertical-align/sup": false,
+    "@vertical-align/sub": false,
+    "@strip-periods/true": CSL.Output.Formatters.passthrough,
+    "@strip-periods/false": CSL.Output.Formatters.passthrough,
+    "@quotes/true": function (state, str) {
+        if ("undefined" === typeof str) {
+            return state.getTerm("open-quote");
+        }
+        return state.getTerm("open-quote") + str + state.getTerm("close-quote");
+    },
+    "@quotes/inner": function (state, str) {
+        if ("undefined" === typeof str) {
+            return "\u2019";
+        }
+        return state.getTerm("open-inner-quote") + str + state.getTerm("close-inner-quote");
+    },
+    "@quotes/false": false,
+    "@cite/entry": function (state, str) {
+        return state.sys.wrapCitationEntry(str, this.item_id, this.locator_txt, this.suffix_txt);
+    },
+    "@bibliography/entry": function (state, str) {
+        return str;
+    },
+    "@display/block": function (state, str) {
+        return str;
+    },
+    "@display/left-margin": function (state, str) {
+        return str;
+    },
+    "@display/right-inline": function (state, str) {
+        return str;
+    },
+    "@display/indent": function (state, str) {
+        return str;
+    },
+    "@showid/true": function (state, str, cslid) {
+        return str;
+    },
     "@URL/true": function (state, str) {
         return str;
     },
@@ -15545,7 +16232,260 @@ CSL.Output.Formats.prototype.rtf = {
         return str;
     }
 };
+CSL.Output.Formats.prototype.ooxml = {
+    // WordprocessingML for pasting into the body of a .docx. Text is
+    // set in runs (<w:r>), and each decoration adds its run property
+    // to the runs it encloses, unless an inner decoration has already
+    // set that property.
+    "text_escape": function (text) {
+        if (!text) {
+            text = "";
+        }
+        text = text.replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/\t/g, "</w:t><w:tab/><w:t xml:space=\"preserve\">")
+            .replace(/\n/g, "</w:t><w:br/><w:t xml:space=\"preserve\">")
+            .replace(CSL.SUPERSCRIPTS_REGEXP,
+                     function(aChar) {
+                         return "</w:t></w:r><w:r><w:rPr><w:vertAlign w:val=\"superscript\"/></w:rPr><w:t xml:space=\"preserve\">" + CSL.SUPERSCRIPTS[aChar] + "</w:t></w:r><w:r><w:t xml:space=\"preserve\">";
+                     });
+        return ("<w:r><w:t xml:space=\"preserve\">" + text + "</w:t></w:r>")
+            .replace(/<w:t xml:space="preserve"><\/w:t>/g, "")
+            .replace(/<w:r><\/w:r>/g, "");
+    },
+    "run_property": function (str, prop) {
+        // Word requires the properties of a run in schema order
+        var order = ["b", "i", "caps", "smallCaps", "u", "vertAlign"];
+        var name = prop.match(/^<w:([A-Za-z]+)/)[1];
+        return str.replace(/<w:r>(?:<w:rPr>([\s\S]*?)<\/w:rPr>)?/g, function (m, rPr) {
+            var props = rPr ? rPr.match(/<w:[^>]*\/>/g) : [];
+            for (var i = 0, ilen = props.length; i < ilen; i += 1) {
+                if (props[i].match(/^<w:([A-Za-z]+)/)[1] === name) {
+                    return m;
+                }
+            }
+            props.push(prop);
+            props.sort(function (a, b) {
+                return order.indexOf(a.match(/^<w:([A-Za-z]+)/)[1]) - order.indexOf(b.match(/^<w:([A-Za-z]+)/)[1]);
+            });
+            return "<w:r><w:rPr>" + props.join("") + "</w:rPr>";
+        });
+    },
+    "plain_text": function (str) {
+        return str.replace(/<w:(?:tab|br)\/>/g, " ")
+            .replace(/<[^>]*>/g, "")
+            .replace(/&lt;/g, "<")
+            .replace(/&gt;/g, ">")
+            .replace(/&amp;/g, "&");
+    },
+    "merge_runs": function (str) {
+        // Decorations and escaping leave a run for each piece of text.
+        // Neighbouring runs of text with the same properties are set
+        // as one run. The runs of fields are left as they are.
+        var rex = /<w:r>((?:<w:rPr>(?:<w:[^>]*\/>)*<\/w:rPr>)?)((?:<w:t xml:space="preserve">[^<]*<\/w:t>|<w:tab\/>|<w:br\/>)+)<\/w:r>/g;
+        var ret = "";
+        var pos = 0;
+        var run = null;
+        var m;
+        while ((m = rex.exec(str)) !== null) {
+            if (run && m.index === pos && m[1] === run.rPr) {
+                run.content += m[2];
+            } else {
+                if (run) {
+                    ret += "<w:r>" + run.rPr + run.content + "</w:r>";
+                }
+                ret += str.slice(pos, m.index);
+                run = {
+                    rPr: m[1],
+                    content: m[2]
+                };
+            }
+            pos = rex.lastIndex;
+        }
+        if (run) {
+            ret += "<w:r>" + run.rPr + run.content + "</w:r>";
+        }
+        ret += str.slice(pos);
+        return ret.replace(/<\/w:t><w:t xml:space="preserve">/g, "");
+    },
+    "field": function (instr, str) {
+        return "<w:r><w:fldChar w:fldCharType=\"begin\"/></w:r>"
+            + "<w:r><w:instrText xml:space=\"preserve\"> " + instr + " </w:instrText></w:r>"
+            + "<w:r><w:fldChar w:fldCharType=\"separate\"/></w:r>"
+            + str
+            + "<w:r><w:fldChar w:fldCharType=\"end\"/></w:r>";
+    },
+    "bibliography_entries": function (params, entries) {
+        // Paragraph properties depend on the widest label, which is
+        // known only once all entries are rendered. Lengths are in
+        // twips, taking an em as 12pt.
+        var em = 240;
+        var pPr = "<w:pStyle w:val=\"Bibliography\"/>";
+        var width = 0;
+        if (params["second-field-align"]) {
+            width = Math.round(((params.maxoffset / 2) + 0.5) * em);
+            pPr += "<w:tabs><w:tab w:val=\"left\" w:pos=\"" + (params["second-field-align"] === "margin" ? 0 : width) + "\"/></w:tabs>";
+        }
+        pPr += "<w:spacing w:after=\"" + Math.round((params.entryspacing ? params.entryspacing : 0) * em) + "\""
+            + " w:line=\"" + Math.round((params.linespacing ? params.linespacing : 1) * 240) + "\" w:lineRule=\"auto\"/>";
+        if (params["second-field-align"] === "margin") {
+            pPr += "<w:ind w:left=\"0\" w:hanging=\"" + width + "\"/>";
+        } else if (params["second-field-align"]) {
+            pPr += "<w:ind w:left=\"" + width + "\" w:hanging=\"" + width + "\"/>";
+        } else if (params.hangingindent) {
+            pPr += "<w:ind w:left=\"" + (params.hangingindent * em) + "\" w:hanging=\"" + (params.hangingindent * em) + "\"/>";
+        }
+        for (var i = 0, ilen = entries.length; i < ilen; i += 1) {
+            entries[i] = entries[i].replace(/^<w:p><w:pPr\/>/, "<w:p><w:pPr>" + pPr + "</w:pPr>");
+        }
+        return entries;
+    },
+    "citation_cluster": function (str) {
+        return CSL.Output.Formats.ooxml.merge_runs(str);
+    },
+    "bibstart": "",
+    "bibend": "",
+    "@passthrough/true": CSL.Output.Formatters.passthrough,
+    "@strip-periods/true": CSL.Output.Formatters.passthrough,
+    "@strip-periods/false": CSL.Output.Formatters.passthrough,
+    "@quotes/true": function (state, str) {
+        if ("undefined" === typeof str) {
+            return CSL.Output.Formats.ooxml.text_escape(state.getTerm("open-quote"));
+        }
+        return CSL.Output.Formats.ooxml.text_escape(state.getTerm("open-quote")) + str + CSL.Output.Formats.ooxml.text_escape(state.getTerm("close-quote"));
+    },
+    "@quotes/inner": function (state, str) {
+        if ("undefined" === typeof str) {
+            return CSL.Output.Formats.ooxml.text_escape("\u2019");
+        }
+        return CSL.Output.Formats.ooxml.text_escape(state.getTerm("open-inner-quote")) + str + CSL.Output.Formats.ooxml.text_escape(state.getTerm("close-inner-quote"));
+    },
+    "@quotes/false": false,
+    "@cite/entry": function (state, str) {
+        return state.sys.wrapCitationEntry(str, this.item_id, this.locator_txt, this.suffix_txt);
+    },
+    "@bibliography/entry": function (state, str) {
+        // Error messages arrive as plain text
+        if (str.slice(0, 3) !== "<w:") {
+            str = CSL.Output.Formats.ooxml.text_escape(str);
+        }
+        // A break left by a trailing block would add an empty line
+        str = str.replace(/(?:<w:r><w:br\/><\/w:r>)+$/, "");
+        // The paragraph properties are set by bibliography_entries()
+        return "<w:p><w:pPr/>" + CSL.Output.Formats.ooxml.merge_runs(str) + "</w:p>\n";
+    },
+    "@display/block": function (state, str) {
+        return "<w:r><w:br/></w:r>" + str + "<w:r><w:br/></w:r>";
+    },
+    "@display/left-margin": function (state, str) {
+        // The width of the label is counted by string() on the escaped
+        // text, which here includes the markup of its runs
+        if (state.tmp.count_offset_characters) {
+            state.tmp.offset_characters = CSL.Output.Formats.ooxml.plain_text(str).length;
+        }
+        return str + "<w:r><w:tab/></w:r>";
+    },
+    "@display/right-inline": function (state, str) {
+        return str;
+    },
+    "@display/indent": function (state, str) {
+        return "<w:r><w:br/><w:tab/></w:r>" + str + "<w:r><w:br/></w:r>";
+    },
+    "@showid/true": function (state, str, cslid) {
+        if (!state.tmp.just_looking && ! state.tmp.suppress_decorations && this.params && "string" === typeof str) {
+            var prePunct = "";
+            if (str) {
+                var m = str.match(CSL.VARIABLE_WRAPPER_PREPUNCT_REX);
+                prePunct = m[1];
+                str = m[2];
+            }
+            var postPunct = "";
+            if (str && CSL.SWAPPING_PUNCTUATION.indexOf(str.slice(-1)) > -1) {
+                postPunct = str.slice(-1);
+                str = str.slice(0,-1);
+            }
+            return state.variableWrapper(this.params, prePunct, str, postPunct);
+        } else {
+            return str;
+        }
+    },
+    "@URL/true": function (state, str) {
+        var url = str.replace(/<[^>]*>/g, "").replace(/"/g, "&quot;");
+        return CSL.Output.Formats.ooxml.field("HYPERLINK \"" + url + "\"", str);
+    },
+    "@DOI/true": function (state, str) {
+        var doi = str.replace(/<[^>]*>/g, "").replace(/"/g, "&quot;");
+        var doiurl = doi.match(/^https?:\/\//) ? doi : "https://doi.org/" + doi;
+        return CSL.Output.Formats.ooxml.field("HYPERLINK \"" + doiurl + "\"", str);
+    }
+};
+CSL.Output.OOXML_RUN_PROPERTIES = {
+    "i": "<w:i/>",
+    "i0": "<w:i w:val=\"0\"/>",
+    "scaps": "<w:smallCaps/>",
+    "scaps0": "<w:smallCaps w:val=\"0\"/>",
+    "b": "<w:b/>",
+    "b0": "<w:b w:val=\"0\"/>",
+    "ul": "<w:u w:val=\"single\"/>",
+    "super": "<w:vertAlign w:val=\"superscript\"/>",
+    "sub": "<w:vertAlign w:val=\"subscript\"/>"
+};
+CSL.Output.setRunDecorations = function (rtf, ooxml) {
+    // The ooxml format sets the font decorations of the rtf format,
+    // each as the run property of its rtf control word
+    var makeDecoration = function (prop) {
+        return function (state, str) {
+            return CSL.Output.Formats.ooxml.run_property(str, prop);
+        };
+    };
+    for (var key in rtf) {
+        if (!key.match(/^@(font-style|font-variant|font-weight|text-decoration|vertical-align)\//)) {
+            continue;
+        }
+        var m = "string" === typeof rtf[key] ? rtf[key].match(/\\([a-z]+0?)/) : null;
+        if (m && CSL.Output.OOXML_RUN_PROPERTIES[m[1]]) {
+            ooxml[key] = makeDecoration(CSL.Output.OOXML_RUN_PROPERTIES[m[1]]);
+        } else {
+            ooxml[key] = false;
+        }
+    }
+};
+CSL.Output.setRunDecorations(CSL.Output.Formats.prototype.rtf, CSL.Output.Formats.prototype.ooxml);
 CSL.Output.Formats = new CSL.Output.Formats();
+CSL.Output.FieldTags = {
+    "escape": function (str) {
+        return ("" + str).replace(/&/g, "&#38;")
+            .replace(/</g, "&#60;")
+            .replace(/>/g, "&#62;")
+            .replace(/"/g, "&#34;");
+    },
+    "html": function (params, str) {
+        var esc = CSL.Output.FieldTags.escape;
+        var tag = "<span class=\"csl-field\" data-variable=\"" + esc(params.variableNames.join(" "))
+            + "\" data-item-id=\"" + esc(params.itemData.id)
+            + "\" data-context=\"" + params.context + "\"";
+        if (params.context === "citation") {
+            tag += " data-position=\"" + params.position + "\"";
+        }
+        return tag + ">" + str + "</span>";
+    },
+    "markdown": function (params, str) {
+        return CSL.Output.FieldTags.html(params, str);
+    },
+    "jats": function (params, str) {
+        var esc = CSL.Output.FieldTags.escape;
+        return "<named-content content-type=\"csl-" + esc(params.variableNames.join(" csl-"))
+            + "\" specific-use=\"" + esc(params.itemData.id) + "\">" + str + "</named-content>";
+    }
+};
+CSL.Output.fieldTagWrapper = function (params, prePunct, str, postPunct) {
+    var tag = CSL.Output.FieldTags[params.mode];
+    if (!tag || !str || !params.variableNames.length) {
+        return prePunct + str + postPunct;
+    }
+    return prePunct + tag(params, str) + postPunct;
+};
 CSL.Registry = function (state) {
     var pos, len, ret, i, ilen;
     this.debug = false;
@@ -0,0 +1,83 @@
+/**
+ * Bibliography layout for citesupport
+ *
+ * The processor reports the layout of a bibliography in the
+ * parameters returned as the first element of `makeBibliography()`:
+ *
+ *     {
+ *         hangingindent: 2,
+ *         "second-field-align": "flush",
+ *         maxoffset: 3,
+ *         entryspacing: 1,
+ *         linespacing: 1,
+ *         ...
+ *     }
+ *
+ * These functions turn the parameters into a set of classes for the
+ * element that holds the entries, and a stylesheet keyed on those
+ * classes. Rules are scoped to a selector for the bibliography
+ * element, so that the stylesheet can be added to a page without
+ * touching anything else on it. Widths are given in `ch` and `em`, so
+ * that the layout follows the font of the page, on screen and in
+ * print.
+ */
+
+var BibliographyCSS = {};
+
+/**
+ * The line height of single-spaced text, in ems.
+ */
+BibliographyCSS.LINE_HEIGHT = 1.35;
+
+/**
+ * Return the classes for the element that holds the entries.
+ *
+ * @param {Object} params The bibliography parameters from `makeBibliography()`
+ * @return {string[]} An array of class names
+ */
+BibliographyCSS.getClasses = function(params) {
+    var classes = ['csl-bib-body'];
+    if (params.hangingindent) {
+        classes.push('hanging-indent');
+    } else if (params['second-field-align']) {
+        classes.push('second-field-align');
+        classes.push('second-field-align-' + params['second-field-align']);
+    }
+    return classes;
+}
+
+/**
+ * Return a stylesheet for a bibliography. The label column of
+ *   `second-field-align` is as wide as the widest label (`maxoffset`,
+ *   in characters), plus a space. `linespacing` sets the line height
+ *   of entries, and `entryspacing` the space after each entry, in
+ *   single-spaced lines.
+ *
+ * @param {Object} params The bibliography parameters from `makeBibliography()`
+ * @param {string} scope A selector for the element that holds the
+ *   entries (defaults to `.csl-bib-body`)
+ * @return {string} A CSS stylesheet
+ */
+BibliographyCSS.getStylesheet = function(params, scope) {
+    scope = scope || '.csl-bib-body';
+    // Rounded, to keep floating-point noise out of the stylesheet
+    var lineHeight = Math.round(BibliographyCSS.LINE_HEIGHT * (params.linespacing ? params.linespacing : 1) * 1000) / 1000;
+    var entrySpacing = Math.round(BibliographyCSS.LINE_HEIGHT * (params.entryspacing ? params.entryspacing : 0) * 1000) / 1000;
+    var rules = [
+        scope + ' { line-height: ' + lineHeight + '; }',
+        scope + ' .csl-entry { margin: 0 0 ' + entrySpacing + 'em 0; }'
+    ];
+    if (params.hangingindent) {
+        rules.push(scope + '.hanging-indent .csl-entry { padding-left: ' + params.hangingindent + 'em; text-indent: -' + params.hangingindent + 'em; }');
+    } else if (params['second-field-align']) {
+        var labelWidth = (params.maxoffset ? params.maxoffset : 1) + 1;
+        rules.push(scope + '.second-field-align .csl-entry { display: flex; align-items: baseline; }');
+        rules.push(scope + '.second-field-align .csl-left-margin { flex: none; width: ' + labelWidth + 'ch; }');
+        rules.push(scope + '.second-field-align .csl-right-inline { flex: 1; min-width: 0; }');
+        rules.push(scope + '.second-field-align-margin .csl-left-margin { margin-left: -' + labelWidth + 'ch; }');
+    }
+    rules.push('@media print {');
+    rules.push('  ' + scope + ' .csl-entry { page-break-inside: avoid; break-inside: avoid; }');
+    rules.push('}');
+    return rules.join('\n');
+}
@@ -13,6 +13,11 @@
  *   handlers expect the class object to be available in global
  *   context under that name.
  *
+ * - Bibliography layout is set with `BibliographyCSS`, which is
+ *   not loaded by this script. The page must load
+ *   `_static/js/citesupport-css.js` (which defines it as a global)
+ *   first.
+ *
  * - If `config.demo` is `true`, the stored object `citationIdToPos`
  *   maps citationIDs to the index position of fixed "pegs" in the
  *   document that have class `citeme`. In the demo, this map is
@@ -51,10 +56,32 @@
  * - Probably some other stuff that I've overlooked.
  */
 
+/**
+ * CSL item types offered as a search filter in the citation menu.
+ */
+
 var _createClass = function () { function defineProperties(target, props) { for (var i = 0; i < props.length; i++) { var descriptor = props[i]; descriptor.enumerable = descriptor.enumerable || false; descriptor.configurable = true; if ("value" in descriptor) descriptor.writable = true; Object.defineProperty(target, descriptor.key, descriptor); } } return function (Constructor, protoProps, staticProps) { if (protoProps) defineProperties(Constructor.prototype, protoProps); if (staticProps) defineProperties(Constructor, staticProps); return Constructor; }; }();
 
 function _classCallCheck(instance, Constructor) { if (!(instance instanceof Constructor)) { throw new TypeError("Cannot call a class as a function"); } }
 
+var ITEM_TYPES = ['article', 'article-journal', 'article-magazine', 'article-newspaper', 'bill', 'book', 'broadcast', 'chapter', 'dataset', 'entry', 'entry-dictionary', 'entry-encyclopedia', 'figure', 'graphic', 'interview', 'legal_case', 'legislation', 'manuscript', 'map', 'motion_picture', 'musical_score', 'pamphlet', 'paper-conference', 'patent', 'personal_communication', 'post', 'post-weblog', 'report', 'review', 'review-book', 'song', 'speech', 'thesis', 'treaty', 'webpage'];
+
+/**
+ * Headings for the groups of the style menu, by CSL citation format.
+ */
+var CITATION_FORMAT_LABELS = {
+    'author-date': 'Author-date',
+    'author': 'Author',
+    'numeric': 'Numeric',
+    'label': 'Label',
+    'note': 'Note'
+};
+
+/**
+ * Locator labels offered in the citation menu, as CSL locator terms.
+ */
+var LOCATOR_LABELS = ['page', 'book', 'chapter', 'column', 'figure', 'folio', 'issue', 'line', 'note', 'opus', 'paragraph', 'part', 'section', 'sub verbo', 'verse', 'volume'];
+
 var SafeStorage = function () {
     function SafeStorage(citesupport) {
         _classCallCheck(this, SafeStorage);
@@ -110,6 +137,33 @@ var SafeStorage = function () {
         get: function get() {
             return this._safeStorageGet('citationByIndex', []);
         }
+    }, {
+        key: 'uncitedItemIDs',
+        set: function set(uncitedItemIDs) {
+            localStorage.setItem('uncitedItemIDs', JSON.stringify(uncitedItemIDs));
+            this.citesupport.config.uncitedItemIDs = uncitedItemIDs;
+        },
+        get: function get() {
+            return this._safeStorageGet('uncitedItemIDs', []);
+        }
+    }, {
+        key: 'bibliographySections',
+        set: function set(bibliographySections) {
+            localStorage.setItem('bibliographySections', JSON.stringify(bibliographySections));
+            this.citesupport.config.bibliographySections = bibliographySections;
+        },
+        get: function get() {
+            return this._safeStorageGet('bibliographySections', []);
+        }
+    }, {
+        key: 'abbreviations',
+        set: function set(abbreviations) {
+            localStorage.setItem('abbreviations', JSON.stringify(abbreviations));
+            this.citesupport.config.abbreviations = abbreviations;
+        },
+        get: function get() {
+            return this._safeStorageGet('abbreviations', {});
+        }
     }, {
         key: 'citationIdToPos',
         set: function set(citationIdToPos) {
@@ -119,6 +173,15 @@ var SafeStorage = function () {
         get: function get() {
             return this._safeStorageGet('citationIdToPos', {});
         }
+    }, {
+        key: 'processorSnapshot',
+        set: function set(processorSnapshot) {
+            localStorage.setItem('processorSnapshot', JSON.stringify(processorSnapshot));
+            this.citesupport.config.processorSnapshot = processorSnapshot;
+        },
+        get: function get() {
+            return this._safeStorageGet('processorSnapshot', null);
+        }
     }]);
 
     return SafeStorage;
@@ -136,53 +199,53 @@ var CiteSupport = function () {
             defaultStyle: 'american-medical-association',
             citationIDs: {},
             citationByIndex: [],
+            uncitedItemIDs: [],
+            bibliographySections: [],
+            chapterCount: 0,
+            consolidatedBibliography: true,
+            abbreviations: {},
+            processorSnapshot: null,
+            snapshotDelay: 2000,
+            requestTimeout: 60000,
+            libraryItemIDs: ['item01', 'item02', 'item03', 'item04', 'item05'],
             processorReady: false,
+            dataSources: null,
             demo: true
         };
+        this.requestCount = 0;
+        this.pendingRequests = {};
+        this.editQueue = Promise.resolve();
+        this.bibliographyLayouts = {};
+        this.snapshotTimer = null;
+        // Shared with any other widget that builds a citation menu
+        this.itemTypes = ITEM_TYPES;
+        this.locatorLabels = LOCATOR_LABELS;
         var me = this;
         this.worker = new Worker('_static/js/citeworker.js');
         this.worker.onmessage = function (e) {
-            switch (e.data.command) {
-                /**
-                 * In response to `callInitProcessor` request, refresh
-                 *   `config.mode`, and document citations (if any)
-                 *   and document bibliography (if any).
-                 *
-                 * @param {string} xclass Either `note` or `in-text` as a string
-                 * @param {Object[]} rebuildData Array of elements with the form `[citationID, noteNumber, citeString]`
-                 * @param {Object[]} bibliographyData Array of serialized xHTML bibliography entries
-                 */
-                case 'initProcessor':
-                    me.debug('initProcessor()');
-                    me.config.mode = e.data.xclass;
-                    var citationData = me.convertRebuildDataToCitationData(e.data.rebuildData);
-                    me.setCitations(me.config.mode, citationData);
-                    me.setBibliography(e.data.bibliographyData);
-                    me.safeStorage.citationByIndex = me.config.citationByIndex;
-                    me.config.processorReady = true;
-                    break;
-                /**
-                 * In response to `callRegisterCitation`, refresh `config.citationByIndex`,
-                 *   set citations that require update in the document, replace
-                 *   the bibliography in the document, and save the `citationByIndex` array
-                 *   for persistence.
-                 *
-                 * @param {Object[]} citationByIndex Array of registered citation objects
-                 * @param {Object[]} citationData Array of elements with the form `[noteNumber, citeString]`
-                 * @param {Object[]} bibliographyData Array of serialized xHTML bibliography entries
-                 */
-                case 'registerCitation':
-                    me.debug('registerCitation()');
-                    if (e.data.errors) {
-                        me.debug(e.data.errors);
-                    }
-                    me.config.citationByIndex = e.data.citationByIndex;
-                    // setCitations() implicitly updates this.config.citationIDs
-                    me.setCitations(me.config.mode, e.data.citationData, true);
-                    me.setBibliography(e.data.bibliographyData);
-                    me.safeStorage.citationByIndex = me.config.citationByIndex;
-                    me.config.processorReady = true;
-                    break;
+            var request = me.pendingRequests[e.data.requestID];
+            if (!request) {
+                me.debug('WARNING: response to unknown request ' + e.data.requestID);
+                return;
+            }
+            clearTimeout(request.timer);
+            delete me.pendingRequests[e.data.requestID];
+            me.config.processorReady = Object.keys(me.pendingRequests).length === 0;
+            if (e.data.result === 'OK') {
+                request.resolve(e.data);
+            } else {
+                for (var i = 0; i < e.data.errors.length; i++) {
+                    me.onError(e.data.errors[i]);
+                }
+                request.reject(e.data.errors);
+            }
+        };
+        this.worker.onerror = function (e) {
+            // The worker failed outside of any request, and will not
+            // reply to those pending
+            var message = e && e.message ? e.message : 'Worker error';
+            for (var requestID in me.pendingRequests) {
+                me.rejectRequest(requestID, 'WORKER_ERROR', message);
             }
         };
     }
@@ -202,29 +265,205 @@ var CiteSupport = function () {
             }
         }
 
+        /**
+         * Hook for errors returned by the worker. Override this on the
+         *   `citesupport` object to report errors to the user.
+         *
+         * Each error has a `code` (one of `ENGINE_ERROR`, `XML_PARSE_ERROR`,
+         *   `FETCH_ERROR`, `JSON_ERROR`, `CONFIG_ERROR`, `ITEM_IN_USE`,
+         *   `NO_PROCESSOR` or `UNKNOWN_COMMAND`; or, for a request that
+         *   the worker failed to answer, `WORKER_ERROR` or `TIMEOUT`),
+         *   a `message`, the `command` that failed, and the `citationID`
+         *   of the citation under registration (or `null`).
+         *
+         * @param {Object{}} error An error object returned by the worker
+         * @return {void}
+         */
+
+    }, {
+        key: 'onError',
+        value: function onError(error) {
+            this.debug('ERROR (' + error.code + ') in ' + error.command + ': ' + error.message);
+        }
+
+        /**
+         * Sends a command to the worker. Each message carries a request ID,
+         *   and the worker replies against that ID. The worker runs requests
+         *   strictly in the order received, so calls made while the processor
+         *   is busy are queued rather than dropped. A request that has no
+         *   reply within `config.requestTimeout` milliseconds (if set) is
+         *   rejected with a `TIMEOUT` error.
+         *
+         * @param {string} command The name of a worker command
+         * @param {Object{}} params Arguments to the command
+         * @return {Promise} Resolves with the response data, or rejects with its errors
+         */
+
+    }, {
+        key: 'callWorker',
+        value: function callWorker(command, params) {
+            var me = this;
+            this.requestCount += 1;
+            var requestID = this.requestCount;
+            params.command = command;
+            params.requestID = requestID;
+            return new Promise(function (resolve, reject) {
+                var request = {
+                    command: command,
+                    citationID: params.citation && params.citation.citationID || null,
+                    resolve: resolve,
+                    reject: reject,
+                    timer: null
+                };
+                if (me.config.requestTimeout) {
+                    request.timer = setTimeout(function () {
+                        me.rejectRequest(requestID, 'TIMEOUT', 'No reply from the worker within ' + me.config.requestTimeout + 'ms');
+                    }, me.config.requestTimeout);
+                }
+                me.pendingRequests[requestID] = request;
+                me.config.processorReady = false;
+                me.worker.postMessage(params);
+            });
+        }
+
+        /**
+         * Rejects a pending request with an error of the form returned by
+         *   the worker, for a failure that the worker cannot report itself.
+         *   The error is passed to `onError()`. A late reply to the request
+         *   is ignored.
+         *
+         * @param {number} requestID The ID of the request
+         * @param {string} code The error code
+         * @param {string} message The error message
+         * @return {void}
+         */
+
+    }, {
+        key: 'rejectRequest',
+        value: function rejectRequest(requestID, code, message) {
+            var request = this.pendingRequests[requestID];
+            if (!request) {
+                return;
+            }
+            clearTimeout(request.timer);
+            delete this.pendingRequests[requestID];
+            this.config.processorReady = Object.keys(this.pendingRequests).length === 0;
+            var errors = [{
+                code: code,
+                message: message,
+                command: request.command,
+                citationID: request.citationID
+            }];
+            this.onError(errors[0]);
+            request.reject(errors);
+        }
+
+        /**
+         * Runs a document edit once the edits queued before it have
+         *   returned. The worker queues requests itself, but an edit
+         *   reads the citations around its own from `config.citationByIndex`,
+         *   which reflects an earlier edit only when its response arrives.
+         *   Processor initializations are queued in the same way, so that
+         *   none resets the processor under an edit in flight.
+         *
+         * @param {Function} edit A function making the edit, returning a Promise
+         * @return {Promise} Resolves or rejects as the promise from `edit`
+         */
+
+    }, {
+        key: 'queueEdit',
+        value: function queueEdit(edit) {
+            var ret = this.editQueue.then(edit);
+            this.editQueue = ret.catch(function () {
+                // Reported by the edit itself
+            });
+            return ret;
+        }
+
         /**
          * Initializes the processor, optionally populating it with a
-         *   preexisting list of citations.
+         *   preexisting list of citations and uncited items.
+         *
+         * On return, refresh `config.mode`, and document citations (if any)
+         *   and document bibliography (if any). The response carries:
+         *
+         *   - `xclass`: Either `note` or `in-text` as a string
+         *   - `rebuildData`: Array of elements with the form `[citationID, noteNumber, citeString]`
+         *   - `bibliographyData`: Array of serialized xHTML bibliography entries
+         *   - `bibliographySections`: Array of bibliography sections, each with
+         *     its `title` and `bibliographyData` (if `config.bibliographySections`
+         *     is set, in place of `bibliographyData`)
+         *   - `chapterBibliographies`: Array with the `bibliographyData` or
+         *     `bibliographySections` of each chapter (if the document has chapters)
+         *   - `restored`: Whether the processor was restored from `snapshot`
+         *
+         * Data is fetched through the adapters set in `config.dataSources`
+         *   (static files in `_static/data` if `null`).
+         *
+         * Each element with class `citesupport-chapter` begins a chapter,
+         *   with its own citation numbering and bibliography. Citations
+         *   are assigned to chapters by `properties.chapterIndex`. If
+         *   `config.consolidatedBibliography` is false, a document with
+         *   chapters has no bibliography of its own. Chapter markers are
+         *   read only here, so the processor must be initialized again
+         *   when they change.
+         *
+         * If `snapshot` (from `callGetSnapshot()`) was taken of the same
+         *   citations, rendered with the same style, locale, items and
+         *   abbreviations, the processor is restored from it without
+         *   rerunning every citation. A stale snapshot is ignored.
+         *
+         * Abbreviations saved with the document are sent along, and are
+         *   in place before the processor is built.
          *
          * @param {string} styleName The ID of a style
          * @param {string} localeName The ID of a locale
          * @param {Object[]} citationByIndex An array of citation objects with citationIDs
-         * @return {void}
+         * @param {string[]} uncitedItemIDs An array of item IDs to list in the
+         *   bibliography without citing them (defaults to `config.uncitedItemIDs`)
+         * @param {Object{}} snapshot A snapshot of the processor state (optional)
+         * @return {Promise} Resolves with the worker response
          */
 
     }, {
         key: 'callInitProcessor',
-        value: function callInitProcessor(styleName, localeName, citationByIndex) {
+        value: function callInitProcessor(styleName, localeName, citationByIndex, uncitedItemIDs, snapshot) {
             this.debug('callInitProcessor()');
-            this.config.processorReady = false;
+            var me = this;
             if (!citationByIndex) {
                 citationByIndex = [];
             }
-            this.worker.postMessage({
-                command: 'initProcessor',
+            if (!uncitedItemIDs) {
+                uncitedItemIDs = this.config.uncitedItemIDs;
+            }
+            var chapterIndexes = this.getChapterIndexes();
+            for (var i = 0; i < citationByIndex.length; i++) {
+                citationByIndex[i].properties.chapterIndex = chapterIndexes[i] || 0;
+            }
+            this.config.chapterCount = document.getElementsByClassName('citesupport-chapter').length;
+            return this.callWorker('initProcessor', {
                 styleName: styleName,
                 localeName: localeName,
-                citationByIndex: citationByIndex
+                citationByIndex: citationByIndex,
+                uncitedItemIDs: uncitedItemIDs,
+                bibliographySections: this.config.bibliographySections,
+                chapterCount: this.config.chapterCount,
+                consolidatedBibliography: this.config.consolidatedBibliography,
+                dataSources: this.config.dataSources,
+                abbreviations: this.safeStorage.abbreviations,
+                snapshot: snapshot || null
+            }).then(function (data) {
+                me.debug('initProcessor()');
+                me.config.mode = data.xclass;
+                me.config.uncitedItemIDs = data.uncitedItemIDs;
+                var citationData = me.convertRebuildDataToCitationData(data.rebuildData);
+                me.setCitations(me.config.mode, citationData);
+                me.setBibliography(data.bibliographyData, data.bibliographySections, data.chapterBibliographies);
+                me.safeStorage.citationByIndex = me.config.citationByIndex;
+                if (!data.restored) {
+                    me.scheduleSnapshot();
+                }
+                return data;
             });
         }
 
@@ -233,26 +472,534 @@ var CiteSupport = function () {
          *   citations described by `preCitations` and precede those
          *   described in `postCitations`.
          *
+         * On return, refresh `config.citationByIndex`, set citations that
+         *   require update in the document, update the bibliography in
+         *   the document, and save the `citationByIndex` array for
+         *   persistence. The response carries:
+         *
+         *   - `citationByIndex`: Array of registered citation objects
+         *   - `citationData`: Array of elements with the form `[noteNumber, citeString]`
+         *   - `bibliographyData`: Array of serialized xHTML bibliography entries
+         *   - `bibliographySections`: Array of bibliography sections (if set)
+         *   - `chapterBibliographies`: Array of chapter bibliographies (if the document has chapters)
+         *   - `bibliographyChanges`: Changes to the entries of the bibliographies
+         *     (if only entries have changed, in place of the three above; see
+         *     `updateBibliography()`)
+         *
+         * The chapter of the citation is set from its position in the document.
+         *
+         * If `citationNode` is given, the node of a new citation is given
+         *   the citationID assigned by the processor on return, and is
+         *   removed from the document if the request fails.
+         *
          * @param {Object{}} citation A citation object
          * @param {Object[]} preCitations An array of `[citationID, noteNumber]` pairs in document order
          * @param {Object[]} postCitations An array of `[citationID, noteNumber]` pairs in document order
-         * @return {void}
+         * @param {HtmlElement} citationNode The span node of the citation (optional)
+         * @return {Promise} Resolves with the worker response
          */
 
     }, {
         key: 'callRegisterCitation',
-        value: function callRegisterCitation(citation, preCitations, postCitations) {
-            if (!this.config.processorReady) return;
+        value: function callRegisterCitation(citation, preCitations, postCitations, citationNode) {
             this.debug('callRegisterCitation()');
-            this.config.processorReady = false;
-            this.worker.postMessage({
-                command: 'registerCitation',
+            var me = this;
+            var citationPos = preCitations.length;
+            if (citationNode) {
+                citationPos = Array.prototype.indexOf.call(document.getElementsByClassName('citation'), citationNode);
+            }
+            citation.properties.chapterIndex = this.getChapterIndexes()[citationPos] || 0;
+            return this.callWorker('registerCitation', {
+                citation: citation,
+                preCitations: preCitations,
+                postCitations: postCitations
+            }).then(function (data) {
+                me.debug('registerCitation()');
+                if (citationNode && !citationNode.getAttribute('id')) {
+                    citationNode.setAttribute('id', data.citationByIndex[preCitations.length].citationID);
+                }
+                me.updateDocument(data);
+                return data;
+            }, function (errors) {
+                if (citationNode && !citationNode.getAttribute('id') && citationNode.parentNode) {
+                    citationNode.parentNode.removeChild(citationNode);
+                }
+                me.recoverDocument(errors);
+                throw errors;
+            });
+        }
+
+        /**
+         * Renders a citation as `callRegisterCitation()` would render it
+         *   between `preCitations` and `postCitations`, without registering
+         *   it. Neither the processor nor the document is changed. The
+         *   response carries the rendered citation as `citationText`,
+         *   with any ibid, subsequent or disambiguated form that it takes
+         *   in that position.
+         *
+         * The chapter of the citation is set from its position in the
+         *   document, unless `properties.chapterIndex` is given.
+         *
+         * @param {Object{}} citation A citation object
+         * @param {Object[]} preCitations An array of `[citationID, noteNumber]` pairs in document order
+         * @param {Object[]} postCitations An array of `[citationID, noteNumber]` pairs in document order
+         * @return {Promise} Resolves with the worker response
+         */
+
+    }, {
+        key: 'callPreviewCitation',
+        value: function callPreviewCitation(citation, preCitations, postCitations) {
+            this.debug('callPreviewCitation()');
+            if ('number' !== typeof citation.properties.chapterIndex) {
+                citation.properties.chapterIndex = this.getChapterIndexes()[preCitations.length] || 0;
+            }
+            return this.callWorker('previewCitation', {
                 citation: citation,
                 preCitations: preCitations,
                 postCitations: postCitations
             });
         }
 
+        /**
+         * Takes a snapshot of the processor state, for a later
+         *   `callInitProcessor()`. The response carries it as `snapshot`,
+         *   a plain object that can be stored as JSON. It holds the
+         *   registered citations and their texts, with hashes of the
+         *   style, locales and items by which a stale snapshot is
+         *   recognized.
+         *
+         * @return {Promise} Resolves with the worker response
+         */
+
+    }, {
+        key: 'callGetSnapshot',
+        value: function callGetSnapshot() {
+            this.debug('callGetSnapshot()');
+            return this.callWorker('getSnapshot', {});
+        }
+
+        /**
+         * Saves a snapshot of the processor state for `initDocument()`,
+         *   once the document has settled: `config.snapshotDelay`
+         *   milliseconds after the last change.
+         *
+         * @return {void}
+         */
+
+    }, {
+        key: 'scheduleSnapshot',
+        value: function scheduleSnapshot() {
+            var me = this;
+            clearTimeout(this.snapshotTimer);
+            this.snapshotTimer = setTimeout(function () {
+                me.callGetSnapshot().then(function (data) {
+                    me.safeStorage.processorSnapshot = data.snapshot;
+                }).catch(function () {
+                    // Errors are reported through onError()
+                });
+            }, this.config.snapshotDelay);
+        }
+
+        /**
+         * Uploads CSL-JSON items into the worker in a single message, and
+         *   optionally removes others. Uploaded items are used in place of
+         *   a fetch from the data source. Items that are already cited may
+         *   be updated, but not removed.
+         *
+         * The batch is checked whole: if any item lacks an `id`, nothing
+         *   is changed. If an uploaded item is registered in the processor,
+         *   it is refreshed there, and the response carries the affected
+         *   citations as `citationData`, with `bibliographyChanges` or the
+         *   bibliographies, in the same form as `callRegisterCitation()`.
+         *   Otherwise these are `null`.
+         *
+         * @param {Object[]} items An array of CSL-JSON items, or an object mapping IDs to items
+         * @param {string[]} removeIDs An array of item IDs to remove
+         * @return {Promise} Resolves with the worker response
+         */
+
+    }, {
+        key: 'callLoadItems',
+        value: function callLoadItems(items, removeIDs) {
+            this.debug('callLoadItems()');
+            var me = this;
+            return this.callWorker('loadItems', {
+                items: items,
+                removeIDs: removeIDs
+            }).then(function (data) {
+                me.debug('loadItems()');
+                if (data.citationData) {
+                    me.updateDocument(data);
+                }
+                return data;
+            });
+        }
+
+        /**
+         * Drops content cached by the worker. Styles, locales, items and
+         *   jurisdiction modules are kept across processor rebuilds, so
+         *   that a change of style refetches only what the new style
+         *   needs. After a change at the data source, invalidate the
+         *   cached copies. `types` are any of `styles`, `locales`, `items`
+         *   and `juris` (all by default), and `ids` restricts each to the
+         *   given IDs.
+         *
+         * Styles, locales and jurisdiction modules are fetched again by
+         *   the next `callInitProcessor()`. Items in use in the document
+         *   are fetched again at once, and the document is rerendered,
+         *   with the same `rebuildData` and `bibliographyData` as
+         *   `callInitProcessor()`. Otherwise these are `null`.
+         *
+         * @param {string[]} types An array of cache types
+         * @param {string[]} ids An array of IDs to invalidate
+         * @return {Promise} Resolves with the worker response
+         */
+
+    }, {
+        key: 'callInvalidateCache',
+        value: function callInvalidateCache(types, ids) {
+            this.debug('callInvalidateCache()');
+            var me = this;
+            return this.callWorker('invalidateCache', {
+                types: types,
+                ids: ids
+            }).then(function (data) {
+                me.debug('invalidateCache()');
+                me.refreshDocument(data);
+                return data;
+            });
+        }
+
+        /**
+         * Fetches items from the data source into the item store of the
+         *   worker, so that they can be found with `callSearchItems()`.
+         *   The items are not cited.
+         *
+         * @param {string[]} itemIDs An array of item IDs
+         * @return {Promise} Resolves with the worker response
+         */
+
+    }, {
+        key: 'callFetchItems',
+        value: function callFetchItems(itemIDs) {
+            this.debug('callFetchItems()');
+            return this.callWorker('fetchItems', {
+                itemIDs: itemIDs
+            });
+        }
+
+        /**
+         * Searches the item store of the worker by creator, title and
+         *   year. The response carries the matching items as `items`, each
+         *   with an `id`, a `label` generated from its CSL-JSON fields
+         *   (such as "Geller et al. 2002"), its `title`, `type` and
+         *   `year`, and the number of matches before the limit as `total`.
+         *
+         * @param {string} query Words that must all occur in a matching item
+         * @param {Object{}} options `type`, a CSL item type; `itemIDs`, an
+         *   array of IDs to restrict the search to; `limit`, the maximum
+         *   number of items returned (default 50)
+         * @return {Promise} Resolves with the worker response
+         */
+
+    }, {
+        key: 'callSearchItems',
+        value: function callSearchItems(query, options) {
+            this.debug('callSearchItems()');
+            options = options || {};
+            return this.callWorker('searchItems', {
+                query: query,
+                type: options.type,
+                itemIDs: options.itemIDs,
+                limit: options.limit
+            });
+        }
+
+        /**
+         * Fetches the style catalogue from the worker. Each style in the
+         *   response is described by the metadata in its CSL `<info>` block:
+         *   `id`, `title`, `titleShort`, `citationFormat`, `fields`,
+         *   `parent` (for a dependent style), `defaultLocale` and
+         *   `summary`. Styles are sorted by citation format, then by title.
+         *
+         * @param {string} query Words that must all occur in the title, ID,
+         *   fields or summary of a matching style
+         * @param {Object{}} options `citationFormat` and `field`, to restrict
+         *   the styles returned
+         * @return {Promise} Resolves with the worker response
+         */
+
+    }, {
+        key: 'callGetStyles',
+        value: function callGetStyles(query, options) {
+            this.debug('callGetStyles()');
+            options = options || {};
+            return this.callWorker('getStyles', {
+                query: query,
+                citationFormat: options.citationFormat,
+                field: options.field,
+                dataSources: this.config.dataSources
+            });
+        }
+
+        /**
+         * Sets the items that appear in the bibliography without being
+         *   cited in the document, replacing any set before. The document
+         *   is rerendered, since citation numbering and disambiguation
+         *   may depend on these items. The list is kept in storage.
+         *
+         * @param {string[]} uncitedItemIDs An array of item IDs
+         * @return {Promise} Resolves with the worker response
+         */
+
+    }, {
+        key: 'callSetUncitedItems',
+        value: function callSetUncitedItems(uncitedItemIDs) {
+            this.debug('callSetUncitedItems()');
+            var me = this;
+            return this.callWorker('setUncitedItems', {
+                uncitedItemIDs: uncitedItemIDs
+            }).then(function (data) {
+                me.debug('setUncitedItems()');
+                me.safeStorage.uncitedItemIDs = data.uncitedItemIDs;
+                me.refreshDocument(data);
+                return data;
+            });
+        }
+
+        /**
+         * Splits the bibliography into sections, replacing any set before.
+         *   Each section is a filter for the processor's `makeBibliography()`,
+         *   with a `title` for its heading:
+         *
+         *       {
+         *           title: "Cases",
+         *           select: [{field: "type", value: "legal_case"}]
+         *       }
+         *
+         *   `select` keeps items that match all of its conditions, `include`
+         *   items that match any, and `exclude` drops items that match any
+         *   (a section uses one of these). `quash` then drops items that
+         *   match all of its conditions. A section with no conditions lists
+         *   every item. An empty array restores a single bibliography.
+         *   Citations are not affected. The sections are kept in storage.
+         *
+         * @param {Object[]} sections An array of bibliography sections
+         * @return {Promise} Resolves with the worker response
+         */
+
+    }, {
+        key: 'callSetBibliographySections',
+        value: function callSetBibliographySections(sections) {
+            this.debug('callSetBibliographySections()');
+            var me = this;
+            return this.callWorker('setBibliographySections', {
+                bibliographySections: sections
+            }).then(function (data) {
+                me.debug('setBibliographySections()');
+                me.safeStorage.bibliographySections = sections;
+                me.setBibliography(data.bibliographyData, data.bibliographySections, data.chapterBibliographies);
+                return data;
+            });
+        }
+
+        /**
+         * Uploads abbreviation lists into the worker, and rerenders the
+         *   document with them. Entries are merged into the lists for
+         *   each jurisdiction, and take precedence over those loaded
+         *   from the data source.
+         *
+         * @param {Object{}} abbreviations Lists keyed by jurisdiction, then by category
+         * @return {Promise} Resolves with the worker response
+         */
+
+    }, {
+        key: 'callLoadAbbreviations',
+        value: function callLoadAbbreviations(abbreviations) {
+            this.debug('callLoadAbbreviations()');
+            var me = this;
+            return this.callWorker('loadAbbreviations', {
+                abbreviations: abbreviations
+            }).then(function (data) {
+                me.debug('loadAbbreviations()');
+                me.refreshDocument(data);
+                return data;
+            });
+        }
+
+        /**
+         * Records a single abbreviation, and rerenders the document with
+         *   it. The abbreviation is kept in storage, and restored by
+         *   `initDocument()`.
+         *
+         * @param {string} jurisdiction A jurisdiction ID, or `default`
+         * @param {string} category An abbreviation category, such as `container-title`
+         * @param {string} key The full form
+         * @param {string} value The abbreviation
+         * @return {Promise} Resolves with the worker response
+         */
+
+    }, {
+        key: 'callSetAbbreviation',
+        value: function callSetAbbreviation(jurisdiction, category, key, value) {
+            this.debug('callSetAbbreviation()');
+            var me = this;
+            jurisdiction = jurisdiction || 'default';
+            return this.callWorker('setAbbreviation', {
+                jurisdiction: jurisdiction,
+                category: category,
+                key: key,
+                value: value
+            }).then(function (data) {
+                me.debug('setAbbreviation()');
+                var abbreviations = me.safeStorage.abbreviations;
+                if (!abbreviations[jurisdiction]) {
+                    abbreviations[jurisdiction] = {};
+                }
+                if (!abbreviations[jurisdiction][category]) {
+                    abbreviations[jurisdiction][category] = {};
+                }
+                abbreviations[jurisdiction][category][key] = value;
+                me.safeStorage.abbreviations = abbreviations;
+                me.refreshDocument(data);
+                return data;
+            });
+        }
+
+        /**
+         * Removes a single abbreviation, and rerenders the document
+         *   without it. An entry loaded from the data source is removed
+         *   for the current session only.
+         *
+         * @param {string} jurisdiction A jurisdiction ID, or `default`
+         * @param {string} category An abbreviation category, such as `container-title`
+         * @param {string} key The full form
+         * @return {Promise} Resolves with the worker response
+         */
+
+    }, {
+        key: 'callRemoveAbbreviation',
+        value: function callRemoveAbbreviation(jurisdiction, category, key) {
+            this.debug('callRemoveAbbreviation()');
+            var me = this;
+            jurisdiction = jurisdiction || 'default';
+            return this.callWorker('removeAbbreviation', {
+                jurisdiction: jurisdiction,
+                category: category,
+                key: key
+            }).then(function (data) {
+                me.debug('removeAbbreviation()');
+                var abbreviations = me.safeStorage.abbreviations;
+                if (abbreviations[jurisdiction] && abbreviations[jurisdiction][category]) {
+                    delete abbreviations[jurisdiction][category][key];
+                    me.safeStorage.abbreviations = abbreviations;
+                }
+                me.refreshDocument(data);
+                return data;
+            });
+        }
+
+        /**
+         * Fetches the abbreviation list of a jurisdiction from the worker.
+         *
+         * @param {string} jurisdiction A jurisdiction ID, or `default`
+         * @param {string} category An optional category to limit the list to
+         * @return {Promise} Resolves with the worker response, which carries
+         *   the list as `abbreviations`
+         */
+
+    }, {
+        key: 'callGetAbbreviations',
+        value: function callGetAbbreviations(jurisdiction, category) {
+            this.debug('callGetAbbreviations()');
+            return this.callWorker('getAbbreviations', {
+                jurisdiction: jurisdiction || 'default',
+                category: category
+            });
+        }
+
+        /**
+         * Applies a document rerendered by the worker. Responses that
+         *   did not require a rerender carry `null` for `rebuildData`,
+         *   and are ignored.
+         *
+         * @param {Object} data A worker response with `rebuildData`,
+         *   `bibliographyData`, `bibliographySections`, `chapterBibliographies`
+         *   and `citationByIndex`
+         * @return {void}
+         */
+
+    }, {
+        key: 'refreshDocument',
+        value: function refreshDocument(data) {
+            if (!data.rebuildData) {
+                return;
+            }
+            this.config.citationByIndex = data.citationByIndex;
+            var citationData = this.convertRebuildDataToCitationData(data.rebuildData);
+            this.setCitations(this.config.mode, citationData);
+            this.setBibliography(data.bibliographyData, data.bibliographySections, data.chapterBibliographies);
+            this.safeStorage.citationByIndex = this.config.citationByIndex;
+            this.scheduleSnapshot();
+        }
+
+        /**
+         * Applies the citations and bibliography changes returned by the
+         *   worker for part of the document, as by `callRegisterCitation()`.
+         *
+         * @param {Object} data A worker response with `citationData`,
+         *   `bibliographyChanges` or the bibliographies, and `citationByIndex`
+         * @return {void}
+         */
+
+    }, {
+        key: 'updateDocument',
+        value: function updateDocument(data) {
+            this.config.citationByIndex = data.citationByIndex;
+            // setCitations() implicitly updates this.config.citationIDs
+            this.setCitations(this.config.mode, data.citationData, true);
+            if (data.bibliographyChanges) {
+                this.updateBibliography(data.bibliographyChanges);
+            } else {
+                this.setBibliography(data.bibliographyData, data.bibliographySections, data.chapterBibliographies);
+            }
+            this.safeStorage.citationByIndex = this.config.citationByIndex;
+            this.scheduleSnapshot();
+        }
+
+        /**
+         * Restore a usable document state after a failed `registerCitation`
+         *   request. `config.citationByIndex` is reset to the last saved
+         *   state. If the processor itself failed, it is reinitialized
+         *   from that state.
+         *
+         * @param {Object[]} errors An array of error objects returned by the worker
+         * @return {void}
+         */
+
+    }, {
+        key: 'recoverDocument',
+        value: function recoverDocument(errors) {
+            this.debug('recoverDocument()');
+            // Saved citations may include one removed from the document
+            // by the failed edit.
+            var citationByIndex = this.safeStorage.citationByIndex.filter(function (citation) {
+                return !!document.getElementById(citation.citationID);
+            });
+            this.safeStorage.citationByIndex = citationByIndex;
+            var engineFailed = errors.some(function (error) {
+                return error.code === 'ENGINE_ERROR';
+            });
+            if (engineFailed) {
+                var me = this;
+                this.queueEdit(function () {
+                    return me.callInitProcessor(me.config.defaultStyle, me.config.defaultLocale, me.config.citationByIndex);
+                }).catch(function () {
+                    // Errors are reported through onError()
+                });
+            }
+        }
+
         /**
          * Converts the array returned by the processor `rebuildProcessor()` method
          * to the form digested by our own `setCitations()` method.
@@ -285,6 +1032,10 @@ var CiteSupport = function () {
          * Function to be run immediately after document has been loaded, and
          *   before any editing operations.
          *
+         * The processor is restored from the snapshot saved by
+         *   `scheduleSnapshot()`, if it is still current. Abbreviations
+         *   recorded in earlier sessions are sent with `callInitProcessor()`.
+         *
          * @return {void}
          */
 
@@ -292,7 +1043,17 @@ var CiteSupport = function () {
         key: 'initDocument',
         value: function initDocument() {
             this.debug('initDocument()');
-            this.callInitProcessor(this.safeStorage.defaultStyle, this.safeStorage.defaultLocale, this.safeStorage.citationByIndex);
+            var me = this;
+            this.config.bibliographySections = this.safeStorage.bibliographySections;
+            this.queueEdit(function () {
+                return me.callInitProcessor(me.safeStorage.defaultStyle, me.safeStorage.defaultLocale, me.safeStorage.citationByIndex, me.safeStorage.uncitedItemIDs, me.safeStorage.processorSnapshot);
+            }).catch(function () {
+                // Errors are reported through onError()
+            });
+            // Make the reference library searchable in the citation menu
+            this.callFetchItems(this.config.libraryItemIDs).catch(function () {
+                // Errors are reported through onError()
+            });
         }
 
         /**
@@ -313,14 +1074,11 @@ var CiteSupport = function () {
         value: function setCitations(mode, data) {
             this.debug('setCitations()');
 
-            // Assure that every citation node has citationID
             // Store data on any node of first impression
-            var citationNodes = document.getElementsByClassName('citation');
+            // (new citation nodes are given their citationID by callRegisterCitation())
             for (var i = 0; i < data.length; i++) {
-                var citationNode = citationNodes[data[i][0]];
                 var citationID = data[i][2];
-                if (!citationNode.getAttribute('id')) {
-                    citationNode.setAttribute('id', citationID);
+                if (document.getElementById(citationID) && 'number' !== typeof this.config.citationIdToPos[citationID]) {
                     if (this.config.demo) {
                         // Demo-only hack, used to reconstruct document state on load
                         var pegs = document.getElementsByClassName('citeme');
@@ -374,6 +1132,10 @@ var CiteSupport = function () {
                     var tuple = data[i];
                     var citationID = tuple[2];
                     var citationNode = document.getElementById(citationID);
+                    if (!citationNode) {
+                        // Removed from the document while this update was pending
+                        continue;
+                    }
                     var citationText = tuple[1];
                     var citationIndex = tuple[0];
                     var footnoteNumber = citationIndex + 1;
@@ -404,9 +1166,15 @@ var CiteSupport = function () {
                 }
                 // Regenerate all footnotes from hidden texts
                 var citationNodes = document.getElementsByClassName('citation');
+                var footnoteNumber = 0;
                 for (var i = 0; i < citationNodes.length; i++) {
-                    var footnoteText = citationNodes[i].childNodes[1].innerHTML;
-                    var footnoteNumber = i + 1;
+                    var footnoteMarkNode = citationNodes[i].querySelector('.footnote-mark');
+                    if (!footnoteMarkNode) {
+                        // A new citation not yet registered
+                        continue;
+                    }
+                    var footnoteText = footnoteMarkNode.nextSibling.innerHTML;
+                    footnoteNumber += 1;
                     var footnote = document.createElement('div');
                     footnote.classList.add('footnote');
                     footnote.innerHTML = '<span class="footnote"><span class="footnote-number">' + footnoteNumber + '</span><span class="footnote-text">' + footnoteText + '</span></span>';
@@ -419,6 +1187,10 @@ var CiteSupport = function () {
                     var tuple = data[i];
                     var citationID = tuple[2];
                     var citationNode = document.getElementById(citationID);
+                    if (!citationNode) {
+                        // Removed from the document while this update was pending
+                        continue;
+                    }
                     var citationText = tuple[1];
                     citationNode.innerHTML = citationText;
                 }
@@ -426,67 +1198,337 @@ var CiteSupport = function () {
         }
 
         /**
-         * Replace bibliography with xHTML returned by the processor.
+         * Return the chapter of each citation node, in document order.
+         *   Each element with class `citesupport-chapter` begins a chapter.
+         *   Citations before the first marker belong to the first chapter.
+         *
+         * @return {number[]} An array of chapter indexes, one for each citation node
+         */
+
+    }, {
+        key: 'getChapterIndexes',
+        value: function getChapterIndexes() {
+            var markers = document.getElementsByClassName('citesupport-chapter');
+            var citationNodes = document.getElementsByClassName('citation');
+            var chapterIndexes = [];
+            for (var i = 0; i < citationNodes.length; i++) {
+                var chapterIndex = 0;
+                for (var j = 1; j < markers.length; j++) {
+                    if (markers[j].compareDocumentPosition(citationNodes[i]) & Node.DOCUMENT_POSITION_FOLLOWING) {
+                        chapterIndex = j;
+                    }
+                }
+                chapterIndexes.push(chapterIndex);
+            }
+            return chapterIndexes;
+        }
+
+        /**
+         * Fill a node with a bibliography. If the bibliography is split
+         *   into sections, each section with entries is set in its own
+         *   `class:csl-bib-section` container, under a heading with its
+         *   title. Each section body is given an ID from `idPrefix`, and
+         *   its layout parameters are kept in `bibliographyLayouts` under
+         *   that ID, for `setBibliographyStylesheet()`.
+         *
+         * @param {HtmlElement} node The node to fill
+         * @param {string} idPrefix A prefix for the IDs of section bodies
+         * @param {Object[]} data An array consisting of [0] an object with style information and [1] an array of serialized xHMTL bibliography entries.
+         * @param {Object[]} sections An array of objects with the `title` of a section and its `bibliographyData`, in the form of `data` (if the bibliography has sections)
+         * @return {number} The number of sections with entries
+         */
+
+    }, {
+        key: 'fillBibliography',
+        value: function fillBibliography(node, idPrefix, data, sections) {
+            if (!sections) {
+                sections = [{
+                    title: null,
+                    bibliographyData: data
+                }];
+            }
+            var count = 0;
+            node.innerHTML = '';
+            for (var i = 0; i < sections.length; i++) {
+                var sectionData = sections[i].bibliographyData;
+                if (!sectionData || !sectionData[1] || sectionData[1].length === 0) {
+                    continue;
+                }
+                var sectionNode = document.createElement('div');
+                sectionNode.classList.add('csl-bib-section');
+                if (sections[i].title) {
+                    var heading = document.createElement('h3');
+                    heading.textContent = sections[i].title;
+                    sectionNode.appendChild(heading);
+                }
+                var bibBody = document.createElement('div');
+                bibBody.setAttribute('id', idPrefix + '-section-' + i);
+                bibBody.className = BibliographyCSS.getClasses(sectionData[0]).join(' ');
+                bibBody.innerHTML = sectionData[1].join('\n');
+                sectionNode.appendChild(bibBody);
+                node.appendChild(sectionNode);
+                this.bibliographyLayouts[idPrefix + '-section-' + i] = sectionData[0];
+                count++;
+            }
+            return count;
+        }
+
+        /**
+         * Replace bibliography with xHTML returned by the processor. The
+         *   layout is set by a stylesheet from `BibliographyCSS`. If the
+         *   document has chapters, the bibliography of each chapter is set
+         *   in a `class:citesupport-chapter-bibliography` container at the
+         *   end of the chapter.
+         *
+         * @param {Object[]} data An array consisting of [0] an object with style information and [1] an array of serialized xHMTL bibliography entries.
+         * @param {Object[]} sections An array of objects with the `title` of a section and its `bibliographyData`, in the form of `data` (if the bibliography has sections)
+         * @param {Object[]} chapters An array of objects with the `bibliographyData` and `bibliographySections` of each chapter (if the document has chapters)
+         */
+
+    }, {
+        key: 'setBibliography',
+        value: function setBibliography(data, sections, chapters) {
+            this.debug('setBibliography()');
+            var bibContainer = document.getElementById('bibliography-container');
+            var bib = document.getElementById('bibliography');
+            this.bibliographyLayouts = {};
+            bibContainer.hidden = this.fillBibliography(bib, 'bibliography', data, sections) === 0;
+            var chapterBibs = document.getElementsByClassName('citesupport-chapter-bibliography');
+            for (var i = chapterBibs.length - 1; i > -1; i--) {
+                chapterBibs[i].parentNode.removeChild(chapterBibs[i]);
+            }
+            if (chapters) {
+                // The last chapter ends at the footnotes or the bibliography,
+                // whichever comes first
+                var markers = document.getElementsByClassName('citesupport-chapter');
+                var end = document.getElementById('footnote-container');
+                if (bibContainer.compareDocumentPosition(end) & Node.DOCUMENT_POSITION_FOLLOWING) {
+                    end = bibContainer;
+                }
+                for (var i = 0; i < chapters.length; i++) {
+                    var chapterBody = document.createElement('div');
+                    var chapterCount = this.fillBibliography(chapterBody, 'chapter-' + i + '-bibliography', chapters[i].bibliographyData, chapters[i].bibliographySections);
+                    if (chapterCount === 0) {
+                        continue;
+                    }
+                    var chapterBib = document.createElement('div');
+                    chapterBib.classList.add('citesupport-chapter-bibliography');
+                    chapterBib.innerHTML = '<h3>Bibliography</h3>';
+                    chapterBib.appendChild(chapterBody);
+                    var next = markers[i + 1] || end;
+                    next.parentNode.insertBefore(chapterBib, next);
+                }
+            }
+            this.setBibliographyStylesheet();
+        }
+
+        /**
+         * Set the stylesheet of the bibliographies from the layout
+         *   parameters of their section bodies in `bibliographyLayouts`.
+         *   The layout is carried by the stylesheet and the classes of the
+         *   section bodies alone, so entries need no styling of their own,
+         *   and may be patched in place while they are on view.
+         *
+         * @return {void}
+         */
+
+    }, {
+        key: 'setBibliographyStylesheet',
+        value: function setBibliographyStylesheet() {
+            this.debug('setBibliographyStylesheet()');
+            var css = [];
+            for (var id in this.bibliographyLayouts) {
+                css.push(BibliographyCSS.getStylesheet(this.bibliographyLayouts[id], '#' + id));
+            }
+            var bibStyle = document.getElementById('citesupport-bibliography-style');
+            if (!bibStyle) {
+                bibStyle = document.createElement('style');
+                bibStyle.setAttribute('id', 'citesupport-bibliography-style');
+                document.head.appendChild(bibStyle);
+            }
+            bibStyle.textContent = css.join('\n');
+        }
+
+        /**
+         * Patch the entries of bibliographies set by `setBibliography()`
+         *   in place. Changes are given for each section of the document
+         *   bibliography (or for the bibliography as a whole, if it has no
+         *   sections) as `bibliography`, and for those of each chapter as
+         *   `chapters`. Each set of changes lists the indexes of entries
+         *   `removed` from the bibliography, and the entries `inserted`
+         *   into it or `changed` in it, as `[index, entryString]` pairs
+         *   with indexes in the updated bibliography, and the layout
+         *   `params` of the updated bibliography, from which the classes
+         *   and stylesheet of its section body are set again.
+         *
+         * @param {Object{}} changes Changes to the entries of bibliographies
+         * @return {void}
+         */
+
+    }, {
+        key: 'updateBibliography',
+        value: function updateBibliography(changes) {
+            this.debug('updateBibliography()');
+            this.patchBibliography('bibliography', changes.bibliography);
+            if (changes.chapters) {
+                for (var i = 0; i < changes.chapters.length; i++) {
+                    this.patchBibliography('chapter-' + i + '-bibliography', changes.chapters[i]);
+                }
+            }
+            this.setBibliographyStylesheet();
+        }
+
+        /**
+         * Apply changes to the entries of the section bodies filled by
+         *   `fillBibliography()` under `idPrefix`.
+         *
+         * @param {string} idPrefix The prefix of the IDs of section bodies
+         * @param {Object[]} sections The changes to the entries of each section
+         * @return {void}
+         */
+
+    }, {
+        key: 'patchBibliography',
+        value: function patchBibliography(idPrefix, sections) {
+            var makeEntryNode = function makeEntryNode(entryString) {
+                var node = document.createElement('div');
+                node.innerHTML = entryString;
+                return node.firstElementChild;
+            };
+            for (var i = 0; i < sections.length; i++) {
+                // A section without entries has no body, and no changes
+                var bibBody = document.getElementById(idPrefix + '-section-' + i);
+                if (!bibBody) {
+                    continue;
+                }
+                bibBody.className = BibliographyCSS.getClasses(sections[i].params).join(' ');
+                this.bibliographyLayouts[idPrefix + '-section-' + i] = sections[i].params;
+                var entryNodes = Array.prototype.slice.call(bibBody.children);
+                for (var j = 0; j < sections[i].removed.length; j++) {
+                    bibBody.removeChild(entryNodes[sections[i].removed[j]]);
+                }
+                // Inserted in order of index, so that each lands ahead of
+                // the entries that follow it
+                for (var j = 0; j < sections[i].inserted.length; j++) {
+                    var inserted = sections[i].inserted[j];
+                    bibBody.insertBefore(makeEntryNode(inserted[1]), bibBody.children[inserted[0]] || null);
+                }
+                for (var j = 0; j < sections[i].changed.length; j++) {
+                    var changed = sections[i].changed[j];
+                    bibBody.replaceChild(makeEntryNode(changed[1]), bibBody.children[changed[0]]);
+                }
+            }
+        }
+
+        /**
+         * Serialize the document as standalone HTML, for saving outside
+         *   the page. In note styles, each citation becomes a footnote
+         *   reference linked to a numbered list of footnotes, with a
+         *   backlink from each footnote to its reference. In other styles,
+         *   citations are kept as plain `class:citation` spans. The
+         *   bibliography is laid out by CSS classes on the bibliography
+         *   body (`hanging-indent`, or `second-field-align` with
+         *   `second-field-align-flush` or `second-field-align-margin`) and
+         *   the stylesheet from `BibliographyCSS`. The citation widget, the demo
+         *   pegs, hidden citation texts and elements with class
+         *   `citesupport-ui` are left out.
          *
-         * @param {Object[]} data An array consisting of [0] an object with style information and [1] an array of serialized xHMTL bibliography entries.
+         * @param {string} title The title of the exported document (defaults to the page title)
+         * @return {string} A complete HTML document
          */
 
     }, {
-        key: 'setBibliography',
-        value: function setBibliography(data) {
-            this.debug('setBibliography()');
-            var bibContainer = document.getElementById('bibliography-container');
-            if (!data || !data[1] || data[1].length === 0) {
-                bibContainer.hidden = true;
-                return;
-            };
-            var bib = document.getElementById('bibliography');
-            bib.setAttribute('style', 'visibility: hidden;');
-            bib.innerHTML = data[1].join('\n');
-            var entries = document.getElementsByClassName('csl-entry');
-            if (data[0].hangingindent) {
-                for (var i = 0; i < entries.length; i++) {
-                    var entry = entries[i];
-                    entry.setAttribute('style', 'padding-left: 1.3em;text-indent: -1.3em;');
-                }
-                bibContainer.hidden = false;
-                bib.setAttribute('style', 'visibility: visible;');
-            } else if (data[0]['second-field-align']) {
-                var offsetSpec = 'padding-right:0.3em;';
-                if (data[0].maxoffset) {
-                    offsetSpec = 'width: ' + (data[0].maxoffset / 2 + 0.5) + 'em;';
+        key: 'exportDocument',
+        value: function exportDocument(title) {
+            this.debug('exportDocument()');
+            var content = document.getElementById('dynamic-editing').cloneNode(true);
+            var removeNodes = function removeNodes(selector) {
+                var nodes = content.querySelectorAll(selector);
+                for (var i = 0; i < nodes.length; i++) {
+                    nodes[i].parentNode.removeChild(nodes[i]);
                 }
-                for (var i = 0; i < entries.length; i++) {
-                    var entry = entries[i];
-                    entry.setAttribute('style', 'white-space: nowrap;');
+            };
+            removeNodes('#cite-menu, .citeme, .citesupport-ui, .headerlink, #footnote-container, #bibliography-container');
+
+            // Citations and footnotes
+            var footnotes = [];
+            var citationNodes = content.querySelectorAll('.citation');
+            for (var i = 0; i < citationNodes.length; i++) {
+                var citationNode = citationNodes[i];
+                var replacement;
+                if (this.config.mode === 'note') {
+                    var footnoteNumber = footnotes.length + 1;
+                    footnotes.push(citationNode.childNodes[1] ? citationNode.childNodes[1].innerHTML : '');
+                    replacement = document.createElement('sup');
+                    replacement.classList.add('footnote-ref');
+                    replacement.setAttribute('id', 'fnref-' + footnoteNumber);
+                    replacement.innerHTML = '<a href="#fn-' + footnoteNumber + '">' + footnoteNumber + '</a>';
+                } else {
+                    replacement = document.createElement('span');
+                    replacement.classList.add('citation');
+                    replacement.innerHTML = citationNode.innerHTML;
                 }
-                var numbers = document.getElementsByClassName('csl-left-margin');
-                for (var i = 0; i < numbers.length; i++) {
-                    var number = numbers[i];
-                    number.setAttribute('style', 'display:inline-block;' + offsetSpec);
+                citationNode.parentNode.replaceChild(replacement, citationNode);
+            }
+            removeNodes('[hidden]');
+            // Paragraphs that held only editing controls
+            var paragraphs = content.querySelectorAll('p');
+            for (var i = 0; i < paragraphs.length; i++) {
+                if (!paragraphs[i].textContent.trim() && !paragraphs[i].querySelector('img')) {
+                    paragraphs[i].parentNode.removeChild(paragraphs[i]);
                 }
-                if (data[0].maxoffset) {
-                    // cheat
-                    var widthSpec = '';
-                    var texts = document.getElementsByClassName('csl-right-inline');
-                    var containerWidth = document.getElementById('dynamic-editing').offsetWidth;
-                    var numberWidth = data[0].maxoffset * (90 / 9);
-                    widthSpec = 'width:' + (containerWidth - numberWidth - 20) + 'px;';
-                    for (var i = 0; i < texts.length; i++) {
-                        var text = texts[i];
-                        text.setAttribute('style', 'display: inline-block;white-space: normal;' + widthSpec);
-                    }
-                    bibContainer.hidden = false;
-                    bib.setAttribute('style', 'visibility: visible;');
-                } else {
-                    bibContainer.hidden = false;
-                    bib.setAttribute('style', 'visibility: visible;');
+            }
+            var html = content.innerHTML;
+            if (footnotes.length) {
+                html += '\n<section class="footnotes">\n<h2>Notes</h2>\n<ol>\n';
+                for (var i = 0; i < footnotes.length; i++) {
+                    var footnoteNumber = i + 1;
+                    html += '<li id="fn-' + footnoteNumber + '">' + footnotes[i] + ' <a class="footnote-backref" href="#fnref-' + footnoteNumber + '" title="Back to text">&#8617;&#xFE0E;</a></li>\n';
                 }
-            } else {
-                bibContainer.hidden = false;
-                bib.setAttribute('style', 'visibility: visible;');
+                html += '</ol>\n</section>';
+            }
+
+            // Bibliography
+            var css = ['.footnote-ref a, .footnote-backref { text-decoration: none; }'];
+            var bibStyle = document.getElementById('citesupport-bibliography-style');
+            if (bibStyle) {
+                // Chapter bibliographies are exported in place
+                css.push(bibStyle.textContent);
             }
+            var bib = document.getElementById('bibliography');
+            if (bib.innerHTML) {
+                html += '\n<section class="bibliography">\n<h2>Bibliography</h2>\n' + bib.innerHTML + '\n</section>';
+            }
+
+            var escapeHTML = function escapeHTML(str) {
+                return ('' + str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+            };
+            return '<!DOCTYPE html>\n' + '<html lang="' + escapeHTML(document.documentElement.lang || 'en') + '">\n' + '<head>\n' + '<meta charset="utf-8">\n' + '<title>' + escapeHTML(title || document.title) + '</title>\n' + '<style>\n' + css.join('\n') + '\n</style>\n' + '</head>\n' + '<body>\n' + html + '\n</body>\n' + '</html>\n';
+        }
+
+        /**
+         * Save the document as an HTML file, using `exportDocument()`.
+         *
+         * @param {string} fileName The name offered for the file
+         * @return {void}
+         */
+
+    }, {
+        key: 'downloadDocument',
+        value: function downloadDocument(fileName) {
+            this.debug('downloadDocument()');
+            var blob = new Blob([this.exportDocument()], { type: 'text/html' });
+            var link = document.createElement('a');
+            link.setAttribute('href', URL.createObjectURL(blob));
+            link.setAttribute('download', fileName || 'document.html');
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            setTimeout(function () {
+                URL.revokeObjectURL(link.getAttribute('href'));
+            }, 0);
         }
+
         /**
          * Set or acquire a citation node for editing. If the node is
          * newly set, it will not have a processor-assigned citationID.
@@ -541,42 +1583,37 @@ var CiteSupport = function () {
         key: 'citationWidget',
         value: function citationWidget(citationNode) {
             citesupport.debug('citationWidget()');
-
-            var itemData = [{
-                title: "Geller 2002",
-                id: "item01"
-            }, {
-                title: "West 1934",
-                id: "item02"
-            }, {
-                title: "Allen 1878",
-                id: "item03"
-            }, {
-                title: "American case",
-                id: "item04"
-            }, {
-                title: "British case",
-                id: "item05"
-            }];
+            var me = this;
 
             var citeMenu = document.createElement('div');
             citeMenu.setAttribute('id', 'cite-menu');
             var innerHTML = '<div class="menu">';
 
-            for (var i = 0; i < itemData.length; i++) {
-                var itemID = itemData[i].id;
-                var itemTitle = itemData[i].title;
-                innerHTML += '<label><input id="' + itemID + '" type="checkbox" name="cite-menu-item" value="' + itemID + '">' + itemTitle + '</label><br/>';
-            }
+            // References are found by search. Checked items are moved into
+            // the ordered list above the search results, where they can be
+            // reordered.
+            var typeOptions = ITEM_TYPES.map(function (type) {
+                return '<option value="' + type + '">' + type + '</option>';
+            }).join('');
+            innerHTML += '<div class="cite-menu-selected"></div>' + '<input class="cite-menu-search" type="search" placeholder="Author, title or year"/>' + '<select class="cite-menu-type"><option value="">All types</option>' + typeOptions + '</select>' + '<div class="cite-menu-pool"></div>' + '<div class="cite-menu-more"></div>' + '<div class="cite-menu-preview"></div>';
             innerHTML += '<button id="cite-save-button" type="button">Save</button></div>';
             citeMenu.innerHTML = innerHTML;
             if (!this.hasRoomForMenu(citationNode)) {
-                citeMenu.firstChild.setAttribute('style', 'left:-160px !important;');
+                citeMenu.firstChild.setAttribute('style', 'left:-250px !important;');
             } else {
                 citeMenu.firstChild.setAttribute('style', 'left:0px !important;');
             }
             citationNode.insertBefore(citeMenu, citationNode.firstChild);
 
+            citeMenu.addEventListener('change', function (e) {
+                if (e.target.getAttribute('name') === 'cite-menu-item') {
+                    citesupport.selectCiteMenuItem(citeMenu, e.target.parentNode.parentNode, e.target.checked);
+                }
+            });
+            this.setCiteMenuOrderListeners(citeMenu);
+            this.setCiteMenuSearchListeners(citeMenu);
+            this.setCiteMenuPreviewListeners(citeMenu);
+
             var button = document.getElementById('cite-save-button');
 
             var citationID = citationNode.getAttribute('id');
@@ -593,15 +1630,292 @@ var CiteSupport = function () {
                     var itemIDs = citation.citationItems.map(function (obj) {
                         return obj.id;
                     });
-                    for (var i = 0; i < itemIDs.length; i++) {
-                        var menuItem = document.getElementById(itemIDs[i]);
-                        menuItem.checked = true;
-                    }
+                    // Saving before the cite items are in the menu would drop them
+                    button.disabled = true;
+                    this.callSearchItems('', {
+                        itemIDs: itemIDs
+                    }).then(function (data) {
+                        var labels = {};
+                        for (var i = 0; i < data.items.length; i++) {
+                            labels[data.items[i].id] = data.items[i];
+                        }
+                        for (var i = 0; i < citation.citationItems.length; i++) {
+                            var citationItem = citation.citationItems[i];
+                            var entry = me.makeCiteMenuItem(labels[citationItem.id] || { id: citationItem.id, label: citationItem.id }, i);
+                            entry.querySelector('input[name="cite-menu-item"]').checked = true;
+                            me.selectCiteMenuItem(citeMenu, entry, true);
+                            me.setCiteItemOptions(entry.querySelector('.cite-menu-options'), citationItem);
+                        }
+                        button.disabled = false;
+                        me.searchCiteMenu(citeMenu);
+                        me.previewCiteMenu(citeMenu);
+                    }).catch(function () {
+                        // Errors are reported through onError()
+                    });
                 }
+            } else {
+                this.searchCiteMenu(citeMenu);
             }
             button.addEventListener('click', citesupport.citationEditHandler);
         }
 
+        /**
+         * Build an entry of the citation menu for an item found by search.
+         *
+         * @param {Object} result A search result, with `id`, `label` and `title`
+         * @param {number} pos The position of the entry among the search results
+         * @return {HtmlElement} A node with class `cite-menu-item`
+         */
+
+    }, {
+        key: 'makeCiteMenuItem',
+        value: function makeCiteMenuItem(result, pos) {
+            var entry = document.createElement('div');
+            entry.classList.add('cite-menu-item');
+            entry.setAttribute('data-item-id', result.id);
+            entry.setAttribute('data-pos', pos);
+            entry.innerHTML = '<span class="cite-menu-move">' + '<button class="cite-menu-up" type="button" title="Move up">&#9650;</button>' + '<button class="cite-menu-down" type="button" title="Move down">&#9660;</button>' + '</span>' + '<label><input type="checkbox" name="cite-menu-item"/><span class="cite-menu-title"></span></label><br/>' + this.citeItemOptionsHTML();
+            // Labels and titles come from item data, so are set as text
+            entry.querySelector('input').setAttribute('value', result.id);
+            entry.querySelector('.cite-menu-title').textContent = result.label;
+            entry.querySelector('label').setAttribute('title', result.title || '');
+            return entry;
+        }
+
+        /**
+         * Set listeners that rerun the search of the citation menu as the
+         *   user types, or changes the item type.
+         *
+         * @param {HtmlElement} citeMenu The citation menu
+         * @return {void}
+         */
+
+    }, {
+        key: 'setCiteMenuSearchListeners',
+        value: function setCiteMenuSearchListeners(citeMenu) {
+            var timer = null;
+            citeMenu.querySelector('.cite-menu-search').addEventListener('input', function () {
+                // Wait for a pause in typing
+                clearTimeout(timer);
+                timer = setTimeout(function () {
+                    citesupport.searchCiteMenu(citeMenu);
+                }, 200);
+            });
+            citeMenu.querySelector('.cite-menu-type').addEventListener('change', function () {
+                citesupport.searchCiteMenu(citeMenu);
+            });
+        }
+
+        /**
+         * Search the item store with the query and type set in the citation
+         *   menu, and replace the unselected entries with the results.
+         *
+         * @param {HtmlElement} citeMenu The citation menu
+         * @return {void}
+         */
+
+    }, {
+        key: 'searchCiteMenu',
+        value: function searchCiteMenu(citeMenu) {
+            var me = this;
+            var searchID = (citeMenu.searchID || 0) + 1;
+            citeMenu.searchID = searchID;
+            this.callSearchItems(citeMenu.querySelector('.cite-menu-search').value, {
+                type: citeMenu.querySelector('.cite-menu-type').value
+            }).then(function (data) {
+                // Drop the results of a superseded search
+                if (citeMenu.searchID !== searchID) {
+                    return;
+                }
+                var selected = citeMenu.querySelectorAll('.cite-menu-selected .cite-menu-item');
+                var selectedIDs = [];
+                for (var i = 0; i < selected.length; i++) {
+                    selectedIDs.push(selected[i].getAttribute('data-item-id'));
+                }
+                var pool = citeMenu.querySelector('.cite-menu-pool');
+                pool.innerHTML = '';
+                for (var i = 0; i < data.items.length; i++) {
+                    if (selectedIDs.indexOf(data.items[i].id) === -1) {
+                        pool.appendChild(me.makeCiteMenuItem(data.items[i], i));
+                    }
+                }
+                var more = data.total - data.items.length;
+                citeMenu.querySelector('.cite-menu-more').textContent = more ? more + ' more: refine the search' : '';
+            }).catch(function () {
+                // Errors are reported through onError()
+            });
+        }
+
+        /**
+         * Set listeners that refresh the preview of the citation menu as
+         *   items are selected, reordered or given options.
+         *
+         * @param {HtmlElement} citeMenu The citation menu
+         * @return {void}
+         */
+
+    }, {
+        key: 'setCiteMenuPreviewListeners',
+        value: function setCiteMenuPreviewListeners(citeMenu) {
+            var timer = null;
+            var schedule = function schedule(e) {
+                // The search does not change the citation
+                if (e.target.classList.contains('cite-menu-search') || e.target.classList.contains('cite-menu-type')) {
+                    return;
+                }
+                // Wait for a pause in typing
+                clearTimeout(timer);
+                timer = setTimeout(function () {
+                    citesupport.previewCiteMenu(citeMenu);
+                }, 200);
+            };
+            citeMenu.addEventListener('change', schedule);
+            citeMenu.addEventListener('input', schedule);
+            var selectedList = citeMenu.querySelector('.cite-menu-selected');
+            selectedList.addEventListener('click', schedule);
+            selectedList.addEventListener('drop', schedule);
+        }
+
+        /**
+         * Show the citation set in the citation menu as it would appear
+         *   in the document if saved.
+         *
+         * @param {HtmlElement} citeMenu The citation menu
+         * @return {void}
+         */
+
+    }, {
+        key: 'previewCiteMenu',
+        value: function previewCiteMenu(citeMenu) {
+            // The menu is gone once the citation has been saved
+            if (document.getElementById('cite-menu') !== citeMenu) {
+                return;
+            }
+            var previewID = (citeMenu.previewID || 0) + 1;
+            citeMenu.previewID = previewID;
+            var previewNode = citeMenu.querySelector('.cite-menu-preview');
+            var citationItems = this.getCitationItemIdsFrom(citeMenu);
+            if (citationItems.length === 0) {
+                previewNode.innerHTML = '';
+                return;
+            }
+            // Composed as citationEditHandler() composes it on save
+            var splitData = this.getCitationSplits(document.getElementsByClassName('citation'));
+            var citation = {
+                citationItems: citationItems,
+                properties: {
+                    noteIndex: this.config.mode === 'note' ? splitData.citationsPre.length + 1 : 0
+                }
+            };
+            if (splitData.citation) {
+                citation.citationID = splitData.citation.citationID;
+            }
+            this.callPreviewCitation(citation, splitData.citationsPre, splitData.citationsPost).then(function (data) {
+                // Drop a superseded preview
+                if (citeMenu.previewID !== previewID) {
+                    return;
+                }
+                previewNode.innerHTML = data.citationText;
+            }).catch(function () {
+                // Errors are reported through onError()
+            });
+        }
+
+        /**
+         * Move an entry of the citation menu into the ordered list of
+         *   selected items (at its end), or back to its place among the
+         *   unselected items. Options are shown only for selected items.
+         *
+         * @param {HtmlElement} citeMenu The citation menu
+         * @param {HtmlElement} entry A node with class `cite-menu-item`
+         * @param {boolean} selected Whether the item is selected
+         * @return {void}
+         */
+
+    }, {
+        key: 'selectCiteMenuItem',
+        value: function selectCiteMenuItem(citeMenu, entry, selected) {
+            entry.querySelector('.cite-menu-options').hidden = !selected;
+            if (selected) {
+                entry.setAttribute('draggable', 'true');
+                citeMenu.querySelector('.cite-menu-selected').appendChild(entry);
+            } else {
+                entry.removeAttribute('draggable');
+                var pool = citeMenu.querySelector('.cite-menu-pool');
+                var pos = parseInt(entry.getAttribute('data-pos'), 10);
+                var next = null;
+                for (var i = 0; i < pool.children.length; i++) {
+                    if (parseInt(pool.children[i].getAttribute('data-pos'), 10) > pos) {
+                        next = pool.children[i];
+                        break;
+                    }
+                }
+                pool.insertBefore(entry, next);
+            }
+        }
+
+        /**
+         * Set listeners for reordering selected items in the citation
+         *   menu, with the up and down buttons or by drag-and-drop. The
+         *   order of the list is the order of `citationItems` on save.
+         *
+         * @param {HtmlElement} citeMenu The citation menu
+         * @return {void}
+         */
+
+    }, {
+        key: 'setCiteMenuOrderListeners',
+        value: function setCiteMenuOrderListeners(citeMenu) {
+            var selectedList = citeMenu.querySelector('.cite-menu-selected');
+            var dragged = null;
+            var getEntry = function getEntry(node) {
+                while (node && node !== selectedList) {
+                    if (node.classList && node.classList.contains('cite-menu-item')) {
+                        return node;
+                    }
+                    node = node.parentNode;
+                }
+                return null;
+            };
+            selectedList.addEventListener('click', function (e) {
+                var entry = getEntry(e.target);
+                if (!entry) {
+                    return;
+                }
+                if (e.target.classList.contains('cite-menu-up') && entry.previousElementSibling) {
+                    selectedList.insertBefore(entry, entry.previousElementSibling);
+                } else if (e.target.classList.contains('cite-menu-down') && entry.nextElementSibling) {
+                    selectedList.insertBefore(entry.nextElementSibling, entry);
+                }
+            });
+            selectedList.addEventListener('dragstart', function (e) {
+                dragged = getEntry(e.target);
+                e.dataTransfer.setData('text/plain', dragged.getAttribute('data-item-id'));
+            });
+            selectedList.addEventListener('dragover', function (e) {
+                if (dragged) {
+                    e.preventDefault();
+                }
+            });
+            selectedList.addEventListener('drop', function (e) {
+                e.preventDefault();
+                var target = getEntry(e.target);
+                if (dragged && target && target !== dragged) {
+                    // Drop above or below the target, by pointer position
+                    var rect = target.getBoundingClientRect();
+                    if (e.clientY > rect.top + rect.height / 2) {
+                        selectedList.insertBefore(dragged, target.nextElementSibling);
+                    } else {
+                        selectedList.insertBefore(dragged, target);
+                    }
+                }
+                dragged = null;
+            });
+            selectedList.addEventListener('dragend', function () {
+                dragged = null;
+            });
+        }
+
         /**
          * Perform the update operation appropriate to selections
          *   and context.
@@ -619,6 +1933,9 @@ var CiteSupport = function () {
          *     - If this is an existing citation and items are to be used,
          *       update this citation in context.
          *
+         * The menu is closed at once. Requests to the processor are made by
+         *   `sendCitationEdit()`, once any earlier edits have returned.
+         *
          * @params {Event} e An event object
          * @return {void}
          */
@@ -632,9 +1949,55 @@ var CiteSupport = function () {
             var citationNode = menu.parentNode;
             var citationID = citationNode.getAttribute('id');
 
+            // If there are no citation items from the menu,
+            // then we are either removing an existing citation
+            // or doing nothing.
+            if (citationItems.length === 0) {
+                // Remove citation from DOM
+                citationNode.parentNode.removeChild(citationNode);
+                if (!citationID) {
+                    // Just remove the menu AND the citation
+                    return;
+                }
+
+                // Remove citation data from memory objects and storage
+                delete citesupport.config.citationIDs[citationID];
+                delete citesupport.config.citationIdToPos[citationID];
+            } else {
+                // The citation node keeps its place (and any old text)
+                // until the processor returns
+                citationNode.removeChild(menu);
+            }
+
+            // The citations around this one are read when the edit is sent,
+            // after any earlier edits have returned.
+            citesupport.queueEdit(function () {
+                return citesupport.sendCitationEdit(citationNode, citationItems);
+            }).catch(function () {
+                // Errors are reported through onError()
+            });
+        }
+
+        /**
+         * Send an edit made in the citation menu to the processor, with
+         *   the citations before and after it as they now stand in the
+         *   document. Called by `citationEditHandler()` through `queueEdit()`.
+         *
+         * @param {HtmlElement} citationNode The span node of the citation,
+         *   which is no longer in the document if the citation was removed
+         * @param {Object[]} citationItems The cite items set in the menu
+         * @return {Promise} Resolves with the worker response
+         */
+
+    }, {
+        key: 'sendCitationEdit',
+        value: function sendCitationEdit(citationNode, citationItems) {
+            citesupport.debug('sendCitationEdit()');
+
             // Before touching the processor, we need to assure that citationByIndex
             // reflects current document state. In the demo, that's easy: the two are
-            // always congruent at the top of this handler. With free-text editing
+            // congruent once earlier edits have returned, apart from the nodes of
+            // citations removed or not yet registered. With free-text editing
             // and the possibility of both internal and external cut-and-paste it won't
             // be so easy.
 
@@ -650,7 +2013,7 @@ var CiteSupport = function () {
             for (var i = 0; i < citationNodes.length; i++) {
                 var node = citationNodes[i];
                 var id = node.getAttribute('id');
-                if (id) {
+                if (id && 'number' === typeof citationMap[id]) {
                     citationByIndex.push(citesupport.config.citationByIndex[citationMap[id]]);
                 }
             }
@@ -679,82 +2042,40 @@ var CiteSupport = function () {
             }
             citesupport.safeStorage.citationByIndex = citationByIndex;
 
-            // If there are no citation items from the menu,
-            // then we are either removing an existing citation
-            // or doing nothing.
-            if (citationItems.length === 0) {
-                if (citationID) {
-                    // Remove an existing citation
-
-                    // Remove citation from DOM
-                    citationNode.parentNode.removeChild(citationNode);
-
-                    // Remove citation data from memory objects and storage
-                    delete citesupport.config.citationIDs[citationID];
-                    delete citesupport.config.citationIdToPos[citationID];
-
-                    // Remove citation from citationByIndex and citationIDs
-                    for (var i = citesupport.config.citationByIndex.length - 1; i > -1; i--) {
-                        if (citesupport.config.citationByIndex[i].citationID === citationID) {
-                            citesupport.config.citationByIndex = citesupport.config.citationByIndex.slice(0, i).concat(citesupport.config.citationByIndex.slice(i + 1));
-
-                            // Adjust note numbers in citationByIndex child properties if note style
-                            if (citesupport.config.mode === 'note') {
-                                for (var j = i; j < citesupport.config.citationByIndex.length; j++) {
-                                    citesupport.config.citationByIndex[j].properties.noteIndex += -1;
-                                }
-                            }
-                        }
-                    }
-
-                    if (citesupport.config.citationByIndex.length === 0) {
-                        // If we have no citations left, initialize the processor
-                        citesupport.callInitProcessor(citesupport.config.defaultStyle, citesupport.config.defaultLocale, citesupport.config.citationByIndex);
-                    } else {
-                        // Get citation, citationsPre, citationsPost
-                        var splitData = citesupport.getCitationSplits();
-                        splitData.citation.properties.noteIndex = 1;
-
-                        // Adjust note numbers in citationByIndex child properties if note style
-                        if (citesupport.config.mode === 'note') {
-                            for (var i = 1; i < citesupport.config.citationByIndex.length; i++) {
-                                citesupport.config.citationByIndex[i].properties.noteIndex = i + 1;
-                            }
-                        }
-
-                        citesupport.config.processorReady = true;
-                        citesupport.callRegisterCitation(splitData.citation, splitData.citationsPre, splitData.citationsPost);
-                    }
+            if (!citationNode.parentNode) {
+                // The citation was removed
+                if (citesupport.config.citationByIndex.length === 0) {
+                    // If we have no citations left, initialize the processor
+                    return citesupport.callInitProcessor(citesupport.config.defaultStyle, citesupport.config.defaultLocale, citesupport.config.citationByIndex);
                 } else {
-                    // Just remove the menu AND the citation
-                    menu.parentNode.parentNode.removeChild(menu.parentNode);
+                    // Get citation, citationsPre, citationsPost
+                    var splitData = citesupport.getCitationSplits();
+                    return citesupport.callRegisterCitation(splitData.citation, splitData.citationsPre, splitData.citationsPost);
                 }
-            } else {
-
-                // Get citationsPre and citationsPost
-                var citationNodes = document.getElementsByClassName('citation');
-                var splitData = citesupport.getCitationSplits(citationNodes);
+            }
 
-                // Get the note number
-                var noteNumber = citesupport.config.mode === 'note' ? splitData.citationsPre.length + 1 : 0;
+            // Get citationsPre and citationsPost
+            var splitData = citesupport.getCitationSplits(citationNodes, citationNode);
 
-                // Compose the citation.
-                var citation;
-                if (splitData.citation) {
-                    citation = splitData.citation;
-                    citation.citationItems = citationItems;
-                } else {
-                    citation = {
-                        citationItems: citationItems,
-                        properties: {
-                            noteIndex: noteNumber
-                        }
-                    };
-                }
+            // Get the note number
+            var noteNumber = citesupport.config.mode === 'note' ? splitData.citationsPre.length + 1 : 0;
 
-                // Submit the update request.
-                citesupport.callRegisterCitation(citation, splitData.citationsPre, splitData.citationsPost);
+            // Compose the citation.
+            var citation;
+            if (splitData.citation) {
+                citation = splitData.citation;
+                citation.citationItems = citationItems;
+            } else {
+                citation = {
+                    citationItems: citationItems,
+                    properties: {
+                        noteIndex: noteNumber
+                    }
+                };
             }
+
+            // Submit the update request.
+            return citesupport.callRegisterCitation(citation, splitData.citationsPre, splitData.citationsPost, citationNode);
         }
 
         /**
@@ -762,41 +2083,45 @@ var CiteSupport = function () {
          *   citations before and after its position.
          *
          * If `nodes` argument is provided, return a citation object for
-         *   the current citation open for editing. If no `nodes` argument
-         *   is given, use the first citation in the document as the
-         *   "current" citation.
-         *
-         *
+         *   the citation in `citationNode`, or in the node holding the
+         *   citation menu if `citationNode` is not given (`null` if the
+         *   citation is new). Nodes of citations not yet registered are
+         *   passed over. If no `nodes` argument is given, use the first
+         *   citation in the document as the "current" citation.
          *
          * @param {HtmlElementList} nodes A list of citation nodes
-         * @return {Object[]} splitData An object with citation object as `citation`, an
+         * @param {HtmlElement} citationNode The node of the current citation (optional)
+         * @return {Object[]} splitData An object with citation object as `citation`, and
+         *   arrays of `[citationID, noteNumber]` pairs as `citationsPre` and `citationsPost`
          */
 
     }, {
         key: 'getCitationSplits',
-        value: function getCitationSplits(nodes) {
+        value: function getCitationSplits(nodes, citationNode) {
             citesupport.debug('getCitationSplits()');
             var splitData = {
                 citation: null,
                 citationsPre: [],
                 citationsPost: []
             };
-            var current = 'citationsPre';
-            var offset = 0;
             if (nodes) {
+                var citationMap = {};
+                for (var i = 0; i < citesupport.config.citationByIndex.length; i++) {
+                    var citation = citesupport.config.citationByIndex[i];
+                    citationMap[citation.citationID] = citation;
+                }
+                var current = 'citationsPre';
                 for (var i = 0; i < nodes.length; i++) {
                     var node = nodes[i];
-                    if (node.firstChild && node.firstChild.getAttribute && node.firstChild.getAttribute('id') === 'cite-menu') {
+                    var citation = citationMap[node.getAttribute('id')];
+                    var isCurrent = citationNode ? node === citationNode : node.firstChild && node.firstChild.getAttribute && node.firstChild.getAttribute('id') === 'cite-menu';
+                    if (isCurrent) {
                         current = 'citationsPost';
-                        if (!node.getAttribute('id')) {
-                            // Inserting a new citation
-                            offset = -1;
-                        } else {
+                        if (citation) {
                             // Editing an existing citation
-                            splitData.citation = citesupport.config.citationByIndex[i];
+                            splitData.citation = citation;
                         }
-                    } else {
-                        var citation = citesupport.config.citationByIndex[i + offset];
+                    } else if (citation) {
                         splitData[current].push([citation.citationID, citation.properties.noteIndex]);
                     }
                 }
@@ -810,10 +2135,12 @@ var CiteSupport = function () {
         }
 
         /**
-         * Read and return selections from citation menu.
+         * Read and return selections from citation menu, in the order
+         *   of the list of selected items.
          *
          * @param {HtmlElement} menu A DOM node containing input elements of type `checkbox`
-         * @return {Object[]} An array of objects, each with an `id` value
+         * @return {Object[]} An array of cite items, each with an `id` value
+         *   and any options set for it
          */
 
     }, {
@@ -821,18 +2148,94 @@ var CiteSupport = function () {
         value: function getCitationItemIdsFrom(menu) {
             this.debug('getCitationItemIdsFrom()');
             var citationItems = [];
-            var checkboxes = menu.getElementsByTagName('input');
+            var checkboxes = menu.querySelectorAll('input[name="cite-menu-item"]');
             for (var i = 0; i < checkboxes.length; i++) {
                 var checkbox = checkboxes[i];
                 if (checkbox.checked) {
-                    citationItems.push({
-                        id: checkbox.getAttribute('value')
-                    });
+                    var optionsNode = checkbox.parentNode.parentNode.querySelector('.cite-menu-options');
+                    citationItems.push(this.getCiteItemOptions(optionsNode, checkbox.getAttribute('value')));
                 }
             }
             return citationItems;
         }
 
+        /**
+         * Return the markup for the cite-item options of one entry in the
+         *   citation menu: prefix, locator and label, suffix, and author
+         *   display.
+         *
+         * @return {string} Serialized xHTML
+         */
+
+    }, {
+        key: 'citeItemOptionsHTML',
+        value: function citeItemOptionsHTML() {
+            var labelOptions = LOCATOR_LABELS.map(function (label) {
+                return '<option value="' + label + '">' + label + '</option>';
+            }).join('');
+            return '<div class="cite-menu-options" hidden>' + '<input class="cite-menu-prefix" type="text" placeholder="Prefix"/>' + '<select class="cite-menu-label">' + labelOptions + '</select>' + '<input class="cite-menu-locator" type="text" placeholder="Locator"/>' + '<input class="cite-menu-suffix" type="text" placeholder="Suffix"/>' + '<select class="cite-menu-author">' + '<option value="">Show author</option>' + '<option value="suppress-author">Suppress author</option>' + '<option value="author-only">Author only</option>' + '</select>' + '</div>';
+        }
+
+        /**
+         * Set the cite-item options of one entry in the citation menu
+         *   from a cite item.
+         *
+         * @param {HtmlElement} optionsNode The options node of the menu entry
+         * @param {Object} citationItem A cite item
+         * @return {void}
+         */
+
+    }, {
+        key: 'setCiteItemOptions',
+        value: function setCiteItemOptions(optionsNode, citationItem) {
+            optionsNode.querySelector('.cite-menu-prefix').value = citationItem.prefix || '';
+            optionsNode.querySelector('.cite-menu-label').value = citationItem.label || 'page';
+            optionsNode.querySelector('.cite-menu-locator').value = citationItem.locator || '';
+            optionsNode.querySelector('.cite-menu-suffix').value = citationItem.suffix || '';
+            var author = '';
+            if (citationItem['suppress-author']) {
+                author = 'suppress-author';
+            } else if (citationItem['author-only']) {
+                author = 'author-only';
+            }
+            optionsNode.querySelector('.cite-menu-author').value = author;
+        }
+
+        /**
+         * Read a cite item from the options of one entry in the citation
+         *   menu. Empty options are omitted.
+         *
+         * @param {HtmlElement} optionsNode The options node of the menu entry
+         * @param {string} itemID The ID of the item
+         * @return {Object} A cite item
+         */
+
+    }, {
+        key: 'getCiteItemOptions',
+        value: function getCiteItemOptions(optionsNode, itemID) {
+            var citationItem = {
+                id: itemID
+            };
+            var prefix = optionsNode.querySelector('.cite-menu-prefix').value;
+            var locator = optionsNode.querySelector('.cite-menu-locator').value.trim();
+            var suffix = optionsNode.querySelector('.cite-menu-suffix').value;
+            var author = optionsNode.querySelector('.cite-menu-author').value;
+            if (prefix) {
+                citationItem.prefix = prefix;
+            }
+            if (locator) {
+                citationItem.locator = locator;
+                citationItem.label = optionsNode.querySelector('.cite-menu-label').value;
+            }
+            if (suffix) {
+                citationItem.suffix = suffix;
+            }
+            if (author) {
+                citationItem[author] = true;
+            }
+            return citationItem;
+        }
+
         /**
          * Replace citation span nodes and get ready to roll. Puts
          *   document into the state it would have been in at first
@@ -906,6 +2309,10 @@ var CiteSupport = function () {
          *   the processor. This menu will be needed in all deployments,
          *   but is not part of the processor code itself.
          *
+         *   The styles are those of the style catalogue of the worker,
+         *   grouped by citation format. Typing in the search box
+         *   (`citation-styles-search`) narrows the menu.
+         *
          * @return {void}
          */
 
@@ -913,43 +2320,81 @@ var CiteSupport = function () {
         key: 'buildStyleMenu',
         value: function buildStyleMenu() {
             this.debug('buildStyleMenu()');
-            var styleData = [{
-                title: "ACM Proceedings",
-                id: "acm-sig-proceedings"
-            }, {
-                title: "AMA",
-                id: "american-medical-association"
-            }, {
-                title: "Chicago (author-date)",
-                id: "chicago-author-date"
-            }, {
-                title: "Chicago (full note)",
-                id: "jm-chicago-fullnote-bibliography"
-            }, {
-                title: "DIN-1505-2 (alpha)",
-                id: "din-1505-2-alphanumeric"
-            }, {
-                title: "JM Indigo",
-                id: "jm-indigobook"
-            }, {
-                title: "JM Indigo (L. Rev.)",
-                id: "jm-indigobook-law-review"
-            }, {
-                title: "JM OSCOLA",
-                id: "jm-oscola"
-            }];
-            var defaultStyle = this.safeStorage.defaultStyle;
-            var stylesMenu = document.getElementById('citation-styles');
-            for (var i = 0; i < styleData.length; i++) {
-                var styleDatum = styleData[i];
-                var option = document.createElement('option');
-                option.setAttribute('value', styleDatum.id);
-                if (styleDatum.id === defaultStyle) {
-                    option.selected = true;
-                }
-                option.innerHTML = styleDatum.title;
-                stylesMenu.appendChild(option);
+            var me = this;
+            var searchBox = document.getElementById('citation-styles-search');
+            if (searchBox) {
+                var timer = null;
+                searchBox.addEventListener('input', function () {
+                    clearTimeout(timer);
+                    timer = setTimeout(function () {
+                        me.fillStyleMenu(searchBox.value);
+                    }, 200);
+                });
+            }
+            this.fillStyleMenu('');
+        }
+
+        /**
+         * Fill the style menu with the styles matching a search, in one
+         *   option group per citation format. The current style is kept
+         *   at the top of the menu if the search leaves it out.
+         *
+         * @param {string} query Words to search the style catalogue for
+         * @return {Promise} Resolves when the menu is filled
+         */
+
+    }, {
+        key: 'fillStyleMenu',
+        value: function fillStyleMenu(query) {
+            this.debug('fillStyleMenu()');
+            var me = this;
+            var searchID = (this.styleSearchID || 0) + 1;
+            this.styleSearchID = searchID;
+            if (!this.styleTitles) {
+                this.styleTitles = {};
             }
+            return this.callGetStyles(query).then(function (data) {
+                // Drop the results of a superseded search
+                if (me.styleSearchID !== searchID) {
+                    return;
+                }
+                var defaultStyle = me.safeStorage.defaultStyle;
+                var stylesMenu = document.getElementById('citation-styles');
+                var makeOption = function makeOption(styleDatum) {
+                    var option = document.createElement('option');
+                    option.setAttribute('value', styleDatum.id);
+                    option.setAttribute('title', styleDatum.summary || styleDatum.title);
+                    if (styleDatum.id === defaultStyle) {
+                        option.selected = true;
+                    }
+                    option.textContent = styleDatum.title;
+                    return option;
+                };
+                stylesMenu.innerHTML = '';
+                var styleIDs = data.styles.map(function (styleDatum) {
+                    me.styleTitles[styleDatum.id] = styleDatum.title;
+                    return styleDatum.id;
+                });
+                if (styleIDs.indexOf(defaultStyle) === -1) {
+                    stylesMenu.appendChild(makeOption({
+                        id: defaultStyle,
+                        title: me.styleTitles[defaultStyle] || defaultStyle
+                    }));
+                }
+                var group = null;
+                for (var i = 0; i < data.styles.length; i++) {
+                    var styleDatum = data.styles[i];
+                    var label = CITATION_FORMAT_LABELS[styleDatum.citationFormat] || 'Other';
+                    if (!group || group.getAttribute('label') !== label) {
+                        group = document.createElement('optgroup');
+                        group.setAttribute('label', label);
+                        stylesMenu.appendChild(group);
+                    }
+                    group.appendChild(makeOption(styleDatum));
+                }
+            }).catch(function () {
+                // Errors are reported through onError()
+            });
         }
 
         /**
@@ -967,7 +2412,29 @@ var CiteSupport = function () {
                 if (e.target.getAttribute('id') === 'citation-styles') {
                     citesupport.debug('SET STYLE TO: ' + e.target.value);
                     citesupport.safeStorage.defaultStyle = e.target.value;
-                    citesupport.callInitProcessor(citesupport.config.defaultStyle, citesupport.config.defaultLocale, citesupport.config.citationByIndex);
+                    citesupport.queueEdit(function () {
+                        return citesupport.callInitProcessor(citesupport.config.defaultStyle, citesupport.config.defaultLocale, citesupport.config.citationByIndex);
+                    }).catch(function () {
+                        // Errors are reported through onError()
+                    });
+                }
+            });
+        }
+
+        /**
+         * Listen for clicks on the export button, and save the document
+         *   as HTML.
+         *
+         * @return {void}
+         */
+
+    }, {
+        key: 'setExportListener',
+        value: function setExportListener() {
+            this.debug('setExportListener()');
+            document.body.addEventListener('click', function (e) {
+                if (e.target.getAttribute('id') === 'export-document') {
+                    citesupport.downloadDocument();
                 }
             });
         }
@@ -1018,7 +2485,7 @@ var CiteSupport = function () {
 
             var screenwidth = x;
 
-            return screenwidth - xpos > 114;
+            return screenwidth - xpos > 250;
         }
     }]);
 
@@ -1032,5 +2499,6 @@ window.addEventListener('load', function (e) {
     citesupport.spoofDocument();
     citesupport.initDocument();
     citesupport.setStyleListener();
+    citesupport.setExportListener();
     citesupport.setPegListener();
 });
@@ -0,0 +1,174 @@
+/**
+ * Abbreviation lists for citeworker.js
+ *
+ * Abbreviations are held per jurisdiction and per category, in the
+ * form used by the processor:
+ *
+ *     {
+ *         "default": {
+ *             "container-title": {
+ *                 "British Medical Journal": "Brit. Med. J."
+ *             }
+ *         },
+ *         "us": {
+ *             "institution-part": {
+ *                 "court.appeals": "!here>>>"
+ *             }
+ *         }
+ *     }
+ *
+ * The list for each jurisdiction is loaded on first use through the
+ * `abbrevs` data source (by default, `_static/data/abbrevs/abbrevs-{id}.json`).
+ * A jurisdiction with no list file simply has no abbreviations of its
+ * own. Lookups fall back from a jurisdiction to its parents, and
+ * finally to `default`, so that `us:c9` is served by the lists for
+ * `us:c9`, `us` and `default` in that order.
+ *
+ * Values may carry processor directives such as `!here>>>` and
+ * `!authority>>>`, which are passed through to the processor as-is.
+ */
+
+/**
+ * @param {Function} getContent A function with the signature of the
+ *   worker's `getContent(type, id, callback)`
+ */
+function AbbreviationManager(getContent) {
+    this.getContent = getContent;
+    this.lists = {};
+}
+
+/**
+ * Return a jurisdiction followed by its parents, ending with `default`.
+ *
+ * @param {string} jurisdiction A jurisdiction ID such as `us:c9`
+ * @return {string[]}
+ */
+AbbreviationManager.prototype.fallbacks = function(jurisdiction) {
+    var ret = [];
+    if (jurisdiction && jurisdiction !== 'default') {
+        var lst = jurisdiction.split(':');
+        for (var i = lst.length; i > 0; i--) {
+            ret.push(lst.slice(0, i).join(':'));
+        }
+    }
+    ret.push('default');
+    return ret;
+}
+
+/**
+ * Fetch the lists for any of the given jurisdictions (and their parents)
+ * that are not yet loaded.
+ *
+ * @param {string[]} jurisdictions An array of jurisdiction IDs
+ * @param {Function} callback Called with an error message, or with nothing on success
+ */
+AbbreviationManager.prototype.load = function(jurisdictions, callback) {
+    var me = this;
+    var pending = [];
+    for (var i = 0, ilen = jurisdictions.length; i < ilen; i++) {
+        var lst = this.fallbacks(jurisdictions[i]);
+        for (var j = 0, jlen = lst.length; j < jlen; j++) {
+            if (!this.lists[lst[j]] && pending.indexOf(lst[j]) === -1) {
+                pending.push(lst[j]);
+            }
+        }
+    }
+    var fetchList = function(pos) {
+        if (pos === pending.length) {
+            callback();
+            return;
+        }
+        var jurisdiction = pending[pos];
+        me.getContent('abbrevs', jurisdiction, function(txt) {
+            var list = {};
+            if (txt) {
+                try {
+                    list = ("string" === typeof txt) ? JSON.parse(txt) : txt;
+                } catch (e) {
+                    callback('Invalid JSON in abbreviation list ' + jurisdiction + ': ' + e.message);
+                    return;
+                }
+            }
+            // A list recorded before the fetch completed takes precedence
+            me.lists[jurisdiction] = me.merge(list, me.lists[jurisdiction] || {});
+            fetchList(pos + 1);
+        });
+    }
+    fetchList(0);
+}
+
+/**
+ * Merge abbreviations into a list, category by category.
+ *
+ * @param {Object{}} list A map of category to key/value pairs
+ * @param {Object{}} additions A map of category to key/value pairs
+ * @return {Object{}} The updated list
+ */
+AbbreviationManager.prototype.merge = function(list, additions) {
+    for (var category in additions) {
+        if (!list[category]) {
+            list[category] = {};
+        }
+        for (var key in additions[category]) {
+            list[category][key] = additions[category][key];
+        }
+    }
+    return list;
+}
+
+/**
+ * Add or update a single abbreviation. The list for the jurisdiction
+ * must already be loaded.
+ */
+AbbreviationManager.prototype.set = function(jurisdiction, category, key, value) {
+    var addition = {};
+    addition[category] = {};
+    addition[category][key] = value;
+    this.lists[jurisdiction] = this.merge(this.lists[jurisdiction] || {}, addition);
+}
+
+/**
+ * Remove a single abbreviation. Returns true if it existed.
+ */
+AbbreviationManager.prototype.remove = function(jurisdiction, category, key) {
+    var list = this.lists[jurisdiction];
+    if (!list || !list[category] || !list[category].hasOwnProperty(key)) {
+        return false;
+    }
+    delete list[category][key];
+    return true;
+}
+
+/**
+ * Implements `sys.getAbbreviation()` for the processor. The abbreviation
+ * (if any) is set on the processor's own abbreviation object under the
+ * jurisdiction that supplied it, and that jurisdiction is returned.
+ *
+ * @param {Object{}} obj The processor's abbreviation object, keyed by jurisdiction
+ * @param {string} jurisdiction The jurisdiction of the item
+ * @param {string} category An abbreviation category, such as `container-title`
+ * @param {string} key The string to be abbreviated
+ * @return {string} The jurisdiction in which the abbreviation was found
+ */
+AbbreviationManager.prototype.getAbbreviation = function(obj, jurisdiction, category, key) {
+    var lst = this.fallbacks(jurisdiction);
+    var found = lst[0];
+    for (var i = 0, ilen = lst.length; i < ilen; i++) {
+        var list = this.lists[lst[i]];
+        if (list && list[category] && list[category].hasOwnProperty(key)) {
+            found = lst[i];
+            break;
+        }
+    }
+    if (!obj[found]) {
+        obj[found] = new CSL.AbbreviationSegments();
+    }
+    if (!obj[found][category]) {
+        obj[found][category] = {};
+    }
+    var list = this.lists[found];
+    if (list && list[category] && list[category].hasOwnProperty(key)) {
+        obj[found][category][key] = list[category][key];
+    }
+    return found;
+}
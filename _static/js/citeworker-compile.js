@@ -0,0 +1,261 @@
+/**
+ * Precompiled styles, locales and jurisdiction modules for citeworker.js
+ *
+ * The processor reads CSL XML through `CSL.parseXml()`, which turns it
+ * into a JSON tree for `CSL.XmlJSON`:
+ *
+ *     {
+ *         name: "style",
+ *         attrs: {xmlns: "http://purl.org/net/xbiblio/csl", ...},
+ *         children: [{name: "info", attrs: {}, children: [...]}, ...]
+ *     }
+ *
+ * `CSL.Engine` accepts the tree, serialized as JSON, wherever it
+ * accepts XML (the style, and the returns of `sys.retrieveLocale()`
+ * and `sys.retrieveStyleModule()`), and then skips the XML parse.
+ * `compileContent()` makes the serialized tree. A `CompiledCache`
+ * keeps compiled trees in a persistent store, keyed by a hash of the
+ * XML they were compiled from and by the processor version, so that
+ * each style, locale or module is parsed once, not on every build of
+ * the processor. Changed XML has a new hash, so stale entries are
+ * never used.
+ *
+ * In the worker, the store is an IndexedDB database. In Node, the
+ * module can be required, with a directory for a store:
+ *
+ *     var compiler = require('./_static/js/citeworker-compile.js');
+ *     var cache = new compiler.CompiledCache(new compiler.CompiledFileStore('compiled'));
+ *     cache.compile(xml, function(err, json) {
+ *         var engine = new compiler.CSL.Engine(sys, json);
+ *     });
+ *
+ * or run, to fill such a directory ahead of time:
+ *
+ *     node _static/js/citeworker-compile.js compiled/ style.csl locales-en-US.xml
+ */
+
+if (typeof require !== "undefined" && typeof module !== 'undefined' && "exports" in module) {
+    var CSL = require('./citeproc.js').CSL;
+}
+
+/**
+ * Hash a string, as 64 bits of hex (two 32-bit halves) and its length.
+ *
+ * @param {string} str The string to hash
+ * @return {string} A hash key
+ */
+function hashContent(str) {
+    var h1 = 0xdeadbeef;
+    var h2 = 0x41c6ce57;
+    for (var i = 0, ilen = str.length; i < ilen; i++) {
+        var ch = str.charCodeAt(i);
+        h1 = Math.imul(h1 ^ ch, 2654435761);
+        h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    var hex = function(n) {
+        return ('0000000' + (n >>> 0).toString(16)).slice(-8);
+    }
+    return hex(h2) + hex(h1) + '-' + str.length;
+}
+
+/**
+ * Compile serialized CSL XML into the JSON form read by `CSL.XmlJSON`.
+ *
+ * @param {string} txt A serialized CSL style, locale or jurisdiction module
+ * @return {string} The serialized JSON tree
+ */
+function compileContent(txt) {
+    return JSON.stringify(CSL.parseXml(txt));
+}
+
+/**
+ * An IndexedDB database with a single object store of compiled trees,
+ * keyed by hash. If IndexedDB is not available, nothing is stored.
+ *
+ * @param {Object{}} options `dbName` (default `citesupport-compiled`)
+ */
+function CompiledDBStore(options) {
+    options = options || {};
+    this.dbName = options.dbName || 'citesupport-compiled';
+    this.db = null;
+    this.waiting = null;
+}
+
+CompiledDBStore.prototype.open = function(callback) {
+    var me = this;
+    if (this.db) {
+        callback(this.db);
+        return;
+    }
+    if (this.waiting) {
+        this.waiting.push(callback);
+        return;
+    }
+    this.waiting = [callback];
+    var done = function(db) {
+        me.db = db;
+        var waiting = me.waiting;
+        me.waiting = null;
+        for (var i = 0, ilen = waiting.length; i < ilen; i++) {
+            waiting[i](db);
+        }
+    }
+    if ("undefined" === typeof indexedDB) {
+        done(null);
+        return;
+    }
+    var req = indexedDB.open(this.dbName, 1);
+    req.onupgradeneeded = function() {
+        req.result.createObjectStore('compiled');
+    }
+    req.onsuccess = function() {
+        done(req.result);
+    }
+    req.onerror = function() {
+        done(null);
+    }
+}
+
+CompiledDBStore.prototype.get = function(key, callback) {
+    this.open(function(db) {
+        if (!db) {
+            callback();
+            return;
+        }
+        var req = db.transaction('compiled', 'readonly').objectStore('compiled').get(key);
+        req.onsuccess = function() {
+            callback(req.result);
+        }
+        req.onerror = function() {
+            callback();
+        }
+    });
+}
+
+CompiledDBStore.prototype.put = function(key, json) {
+    // Storage is best effort: a failed write only costs a parse later
+    this.open(function(db) {
+        if (db) {
+            db.transaction('compiled', 'readwrite').objectStore('compiled').put(json, key);
+        }
+    });
+}
+
+/**
+ * A directory of compiled trees, one `{key}.json` file each, for use
+ * in Node.
+ *
+ * @param {string} dir The path of the directory
+ */
+function CompiledFileStore(dir) {
+    this.fs = require('fs');
+    this.path = require('path');
+    this.dir = dir;
+}
+
+CompiledFileStore.prototype.get = function(key, callback) {
+    this.fs.readFile(this.path.join(this.dir, key + '.json'), 'utf8', function(err, json) {
+        callback(err ? undefined : json);
+    });
+}
+
+CompiledFileStore.prototype.put = function(key, json) {
+    this.fs.writeFileSync(this.path.join(this.dir, key + '.json'), json);
+}
+
+/**
+ * Compiled trees, held in memory and in a persistent store.
+ *
+ * @param {Object} store A store with the methods of `CompiledDBStore`
+ *   (nothing is persisted if null)
+ */
+function CompiledCache(store) {
+    this.store = store || null;
+    this.entries = {};
+}
+
+/**
+ * Return the key of serialized XML in the cache.
+ *
+ * @param {string} txt A serialized CSL style, locale or jurisdiction module
+ * @return {string} A key
+ */
+CompiledCache.prototype.getKey = function(txt) {
+    return CSL.PROCESSOR_VERSION + '-' + hashContent(txt);
+}
+
+/**
+ * Compile serialized XML, or take its compiled form from the cache.
+ *
+ * @param {string} txt A serialized CSL style, locale or jurisdiction module
+ * @param {Function} callback Called with an error message, or with
+ *   nothing and the serialized JSON tree on success
+ */
+CompiledCache.prototype.compile = function(txt, callback) {
+    var me = this;
+    var key = this.getKey(txt);
+    if (this.entries[key]) {
+        callback(null, this.entries[key]);
+        return;
+    }
+    var compile = function() {
+        var json;
+        try {
+            json = compileContent(txt);
+        } catch (e) {
+            callback('Unable to compile XML: ' + (e && e.message ? e.message : e));
+            return;
+        }
+        me.entries[key] = json;
+        if (me.store) {
+            me.store.put(key, json);
+        }
+        callback(null, json);
+    }
+    if (!this.store) {
+        compile();
+        return;
+    }
+    this.store.get(key, function(json) {
+        if (json) {
+            me.entries[key] = json;
+            callback(null, json);
+            return;
+        }
+        compile();
+    });
+}
+
+if (typeof require !== "undefined" && typeof module !== 'undefined' && "exports" in module) {
+    module.exports = {
+        CSL: CSL,
+        hashContent: hashContent,
+        compileContent: compileContent,
+        CompiledFileStore: CompiledFileStore,
+        CompiledCache: CompiledCache
+    };
+    if (require.main === module) {
+        // Compile the files given after the output directory, and
+        // print the key of each
+        var fs = require('fs');
+        var args = process.argv.slice(2);
+        if (args.length < 2) {
+            console.log('Usage: node citeworker-compile.js <output-dir> <file> ...');
+            process.exit(1);
+        }
+        var cache = new CompiledCache(new CompiledFileStore(args[0]));
+        args.slice(1).forEach(function(fileName) {
+            var txt = fs.readFileSync(fileName, 'utf8');
+            cache.compile(txt, function(err) {
+                if (err) {
+                    console.log(fileName + ': ' + err);
+                    process.exitCode = 1;
+                    return;
+                }
+                console.log(cache.getKey(txt) + ' ' + fileName);
+            });
+        });
+    }
+}
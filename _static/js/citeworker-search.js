@@ -0,0 +1,189 @@
+/**
+ * Item search for citeworker.js
+ *
+ * Every item held by the worker (fetched from a data source or
+ * uploaded with `loadItems`) is entered in a search index. An entry
+ * carries a short label generated from the CSL-JSON fields of the
+ * item, and a lowercase string of the creator names, title, container
+ * title and year that queries are matched against.
+ *
+ * A query is split on whitespace, and an item matches if every word
+ * of the query occurs in its search string. Matching is a plain scan
+ * of the prepared strings, which is fast enough for some thousands of
+ * items; results are capped by a `limit`, so that the message sent
+ * back to the page stays small.
+ */
+
+/**
+ * @param {Object{}} options `limit`, the default maximum number of results (50)
+ */
+function ItemSearchIndex(options) {
+    options = options || {};
+    this.limit = options.limit || 50;
+    this.entries = {};
+    this.ids = [];
+}
+
+/**
+ * Return the year of a CSL-JSON date, in any of its input forms.
+ *
+ * @param {Object} date A CSL-JSON date object
+ * @return {string} The year, or an empty string
+ */
+ItemSearchIndex.prototype.getYear = function(date) {
+    if (!date) {
+        return '';
+    }
+    if (date['date-parts'] && date['date-parts'][0] && date['date-parts'][0][0]) {
+        return '' + date['date-parts'][0][0];
+    }
+    if (date.year) {
+        return '' + date.year;
+    }
+    var m = ('' + (date.raw || date.literal || '')).match(/[0-9]{4}/);
+    return m ? m[0] : '';
+}
+
+/**
+ * Return the names of the first creator variable set on an item,
+ *   in CSL order.
+ *
+ * @param {Object} item A CSL-JSON item
+ * @return {Object[]} An array of CSL-JSON name objects
+ */
+ItemSearchIndex.prototype.getCreators = function(item) {
+    for (var i = 0, ilen = CSL.CREATORS.length; i < ilen; i++) {
+        var names = item[CSL.CREATORS[i]];
+        if (names && names.length) {
+            return names;
+        }
+    }
+    return [];
+}
+
+/**
+ * Build the entry for an item: a label such as "Geller et al. 2002",
+ *   the title, type and year, and the search string.
+ *
+ * @param {Object} item A CSL-JSON item
+ * @return {Object} A search index entry
+ */
+ItemSearchIndex.prototype.makeEntry = function(item) {
+    var creators = this.getCreators(item).map(function(name) {
+        return name.family || name.literal || name.given || '';
+    });
+    var year = this.getYear(item.issued);
+    var title = item.title || item['container-title'] || '';
+    var label;
+    if (creators.length > 2) {
+        label = creators[0] + ' et al.';
+    } else if (creators.length) {
+        label = creators.join(' & ');
+    } else {
+        label = item['title-short'] || title;
+        if (label.length > 40) {
+            label = label.slice(0, 40) + '\u2026';
+        }
+    }
+    if (year) {
+        label += ' ' + year;
+    }
+    var haystack = [];
+    for (var i = 0, ilen = CSL.NAME_VARIABLES.length; i < ilen; i++) {
+        var names = item[CSL.NAME_VARIABLES[i]];
+        if (names) {
+            for (var j = 0, jlen = names.length; j < jlen; j++) {
+                haystack.push(names[j].family, names[j].given, names[j].literal);
+            }
+        }
+    }
+    haystack.push(item.title, item['title-short'], item['container-title'], item.authority, year);
+    return {
+        id: item.id,
+        label: label,
+        title: title,
+        type: item.type,
+        year: year,
+        search: haystack.filter(function(str) {
+            return !!str;
+        }).join(' ').toLowerCase()
+    };
+}
+
+/**
+ * Add or replace the entry for an item.
+ *
+ * @param {Object} item A CSL-JSON item
+ * @return {void}
+ */
+ItemSearchIndex.prototype.update = function(item) {
+    if (!this.entries[item.id]) {
+        this.ids.push(item.id);
+    }
+    this.entries[item.id] = this.makeEntry(item);
+}
+
+/**
+ * Remove the entry for an item.
+ *
+ * @param {string} itemID The ID of an item
+ * @return {void}
+ */
+ItemSearchIndex.prototype.remove = function(itemID) {
+    if (!this.entries[itemID]) {
+        return;
+    }
+    delete this.entries[itemID];
+    this.ids.splice(this.ids.indexOf(itemID), 1);
+}
+
+/**
+ * Search the index. Results are returned in the order in which items
+ *   entered the index.
+ *
+ * @param {string} query Words to match against creators, titles and year
+ * @param {Object{}} options `type`, a CSL item type to restrict results to;
+ *   `itemIDs`, an array of IDs to restrict results to; `limit`
+ * @return {Object} The matching entries (without search strings) as
+ *   `items`, and the number of matches before the limit as `total`
+ */
+ItemSearchIndex.prototype.search = function(query, options) {
+    options = options || {};
+    var words = (query || '').toLowerCase().split(/\s+/).filter(function(word) {
+        return !!word;
+    });
+    var ids = options.itemIDs || this.ids;
+    var limit = options.limit || this.limit;
+    var items = [];
+    var total = 0;
+    for (var i = 0, ilen = ids.length; i < ilen; i++) {
+        var entry = this.entries[ids[i]];
+        if (!entry || (options.type && entry.type !== options.type)) {
+            continue;
+        }
+        var match = true;
+        for (var j = 0, jlen = words.length; j < jlen; j++) {
+            if (entry.search.indexOf(words[j]) === -1) {
+                match = false;
+                break;
+            }
+        }
+        if (!match) {
+            continue;
+        }
+        total++;
+        if (items.length < limit) {
+            items.push({
+                id: entry.id,
+                label: entry.label,
+                title: entry.title,
+                type: entry.type,
+                year: entry.year
+            });
+        }
+    }
+    return {
+        items: items,
+        total: total
+    };
+}
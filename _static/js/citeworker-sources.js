@@ -0,0 +1,369 @@
+/**
+ * Data-source adapters for citeworker.js
+ *
+ * The worker needs five kinds of data: CSL styles (`styles`), CSL
+ * locales (`locales`), CSL-JSON items (`items`), CSL-M
+ * jurisdiction modules (`juris`) and abbreviation lists (`abbrevs`).
+ * Each kind is fetched through an
+ * adapter, chosen by the host page in the `dataSources` parameter of
+ * the `initProcessor` message.
+ *
+ * All adapters have the same two methods:
+ *
+ *     adapter.get(type, id, callback)
+ *     adapter.list(type, callback)
+ *
+ * The callback of `get()` receives the content, or nothing if the
+ * resource could not be found. The callback of `list()` receives an
+ * array of the IDs available for a data type, or nothing if the
+ * source cannot list them. Only styles are listed, for the style
+ * catalogue. Styles, locales and jurisdiction modules are delivered
+ * as serialized XML. Items and abbreviation lists may be delivered
+ * either as an object or as a JSON string.
+ *
+ * Adapter specs in `dataSources` are keyed by data type, with an
+ * optional `default` entry for types not listed:
+ *
+ *     dataSources: {
+ *         items: {adapter: 'http', urls: {items: 'https://example.com/refs/{id}'}},
+ *         default: {adapter: 'static'}
+ *     }
+ *
+ * Types with no spec fall back to the static files in `_static/data`.
+ */
+
+var DATA_TYPES = ['styles', 'locales', 'items', 'juris', 'abbrevs'];
+
+/**
+ * Static files, fetched by XHR from a directory tree with one
+ * subdirectory per data type. This is the default adapter. A
+ * subdirectory is listed from the directory listing served for it, so
+ * that a file dropped into the directory is listed. On servers that do
+ * not list directories, an `index.json` file in the subdirectory,
+ * holding an array of IDs, is read instead; for the demo styles, it is
+ * written by the Sphinx build.
+ *
+ * @param {Object{}} options `baseURL` (default `../data/`) and `filenames`,
+ *   a map of data type to a filename template with an `{id}` placeholder
+ */
+function StaticFileSource(options) {
+    options = options || {};
+    this.baseURL = options.baseURL || '../data/';
+    this.filenames = {
+        styles: '{id}.csl',
+        locales: 'locales-{id}.xml',
+        items: '{id}.json',
+        juris: 'juris-{id}.csl',
+        abbrevs: 'abbrevs-{id}.json'
+    };
+    if (options.filenames) {
+        for (var key in options.filenames) {
+            this.filenames[key] = options.filenames[key];
+        }
+    }
+}
+
+StaticFileSource.prototype.get = function(type, id, callback) {
+    var url = this.baseURL + type + '/' + this.filenames[type].replace('{id}', id);
+    var xhr = new XMLHttpRequest();
+    xhr.open('GET', url);
+    xhr.onreadystatechange = function() {
+        if (xhr.readyState === 4) {
+            if (xhr.status === 200) {
+                callback(xhr.responseText);
+            } else {
+                callback();
+            }
+        }
+    }
+    xhr.send(null);
+}
+
+StaticFileSource.prototype.list = function(type, callback) {
+    var me = this;
+    this.listDirectory(type, function(ids) {
+        if (ids) {
+            callback(ids);
+            return;
+        }
+        var xhr = new XMLHttpRequest();
+        xhr.open('GET', me.baseURL + type + '/index.json');
+        xhr.onreadystatechange = function() {
+            if (xhr.readyState === 4) {
+                var ids;
+                if (xhr.status === 200) {
+                    try {
+                        ids = JSON.parse(xhr.responseText);
+                    } catch (e) {
+                        // An invalid index lists nothing
+                    }
+                }
+                callback(Array.isArray(ids) ? ids : undefined);
+            }
+        }
+        xhr.send(null);
+    });
+}
+
+/**
+ * List the IDs of a data type from the links of the directory listing
+ * served for its subdirectory. Links are matched against the filename
+ * template of the type.
+ *
+ * @param {string} type A data type
+ * @param {Function} callback Called with an array of IDs, or nothing
+ *   if the server does not list the directory
+ */
+StaticFileSource.prototype.listDirectory = function(type, callback) {
+    var parts = this.filenames[type].split('{id}').map(function(part) {
+        return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    });
+    var rex = new RegExp('^' + parts.join('(.+)') + '$');
+    var xhr = new XMLHttpRequest();
+    xhr.open('GET', this.baseURL + type + '/');
+    xhr.onreadystatechange = function() {
+        if (xhr.readyState === 4) {
+            if (xhr.status !== 200) {
+                callback();
+                return;
+            }
+            var ids = [];
+            var links = xhr.responseText.match(/href="[^"]*"/g) || [];
+            for (var i = 0, ilen = links.length; i < ilen; i++) {
+                var filename = links[i].slice(6, -1).split(/[?#]/)[0].split('/').pop();
+                var m = null;
+                try {
+                    m = decodeURIComponent(filename).match(rex);
+                } catch (e) {
+                    // A malformed link is skipped
+                }
+                if (m && ids.indexOf(m[1]) === -1) {
+                    ids.push(m[1]);
+                }
+            }
+            callback(ids);
+        }
+    }
+    xhr.send(null);
+}
+
+/**
+ * A bundle of data posted into the worker with the `initProcessor`
+ * message. Nothing is fetched.
+ *
+ * @param {Object{}} options `bundle`, an object keyed by data type. Each
+ *   value is a map of IDs to content. Items may also be given as a
+ *   CSL-JSON array.
+ */
+function BundleSource(options) {
+    options = options || {};
+    var bundle = options.bundle || {};
+    this.data = {};
+    for (var i = 0, ilen = DATA_TYPES.length; i < ilen; i++) {
+        var type = DATA_TYPES[i];
+        var content = bundle[type] || {};
+        if (Array.isArray(content)) {
+            var map = {};
+            for (var j = 0, jlen = content.length; j < jlen; j++) {
+                map[content[j].id] = content[j];
+            }
+            content = map;
+        }
+        this.data[type] = content;
+    }
+}
+
+BundleSource.prototype.get = function(type, id, callback) {
+    callback(this.data[type] ? this.data[type][id] : undefined);
+}
+
+BundleSource.prototype.list = function(type, callback) {
+    callback(Object.keys(this.data[type] || {}));
+}
+
+/**
+ * An IndexedDB database with one object store per data type, keyed
+ * by ID. The stores are created if they do not exist; filling them is
+ * left to the host page, which shares the database with the worker.
+ *
+ * @param {Object{}} options `dbName` (default `citesupport`) and `version`
+ */
+function IndexedDBSource(options) {
+    options = options || {};
+    this.dbName = options.dbName || 'citesupport';
+    this.version = options.version || 2;
+    this.db = null;
+    this.waiting = null;
+}
+
+IndexedDBSource.prototype.open = function(callback) {
+    var me = this;
+    if (this.db) {
+        callback(this.db);
+        return;
+    }
+    if (this.waiting) {
+        this.waiting.push(callback);
+        return;
+    }
+    this.waiting = [callback];
+    var done = function(db) {
+        me.db = db;
+        var waiting = me.waiting;
+        me.waiting = null;
+        for (var i = 0, ilen = waiting.length; i < ilen; i++) {
+            waiting[i](db);
+        }
+    }
+    if ("undefined" === typeof indexedDB) {
+        done(null);
+        return;
+    }
+    var req = indexedDB.open(this.dbName, this.version);
+    req.onupgradeneeded = function() {
+        var db = req.result;
+        for (var i = 0, ilen = DATA_TYPES.length; i < ilen; i++) {
+            if (!db.objectStoreNames.contains(DATA_TYPES[i])) {
+                db.createObjectStore(DATA_TYPES[i]);
+            }
+        }
+    }
+    req.onsuccess = function() {
+        done(req.result);
+    }
+    req.onerror = function() {
+        done(null);
+    }
+}
+
+IndexedDBSource.prototype.get = function(type, id, callback) {
+    this.open(function(db) {
+        if (!db || !db.objectStoreNames.contains(type)) {
+            callback();
+            return;
+        }
+        var req = db.transaction(type, 'readonly').objectStore(type).get(id);
+        req.onsuccess = function() {
+            callback(req.result);
+        }
+        req.onerror = function() {
+            callback();
+        }
+    });
+}
+
+IndexedDBSource.prototype.list = function(type, callback) {
+    this.open(function(db) {
+        if (!db || !db.objectStoreNames.contains(type)) {
+            callback();
+            return;
+        }
+        var req = db.transaction(type, 'readonly').objectStore(type).getAllKeys();
+        req.onsuccess = function() {
+            callback(req.result);
+        }
+        req.onerror = function() {
+            callback();
+        }
+    });
+}
+
+/**
+ * A generic HTTP backend using `fetch()`.
+ *
+ * @param {Object{}} options `urls`, a map of data type to a URL template
+ *   with an `{id}` placeholder (the ID is URI-encoded); `listURLs`, a
+ *   map of data type to the URL of a JSON array of IDs; and optional
+ *   `headers` and `credentials` for the request.
+ */
+function HttpSource(options) {
+    options = options || {};
+    this.urls = options.urls || {};
+    this.listURLs = options.listURLs || {};
+    this.headers = options.headers || {};
+    this.credentials = options.credentials || 'same-origin';
+}
+
+HttpSource.prototype.get = function(type, id, callback) {
+    if (!this.urls[type]) {
+        callback();
+        return;
+    }
+    var url = this.urls[type].replace('{id}', encodeURIComponent(id));
+    fetch(url, {
+        headers: this.headers,
+        credentials: this.credentials
+    }).then(function(response) {
+        if (!response.ok) {
+            return undefined;
+        }
+        return response.text();
+    }).then(function(txt) {
+        callback(txt);
+    }, function() {
+        callback();
+    });
+}
+
+HttpSource.prototype.list = function(type, callback) {
+    if (!this.listURLs[type]) {
+        callback();
+        return;
+    }
+    fetch(this.listURLs[type], {
+        headers: this.headers,
+        credentials: this.credentials
+    }).then(function(response) {
+        if (!response.ok) {
+            return undefined;
+        }
+        return response.json();
+    }).then(function(ids) {
+        callback(Array.isArray(ids) ? ids : undefined);
+    }, function() {
+        callback();
+    });
+}
+
+var dataSourceAdapters = {
+    static: StaticFileSource,
+    bundle: BundleSource,
+    indexeddb: IndexedDBSource,
+    http: HttpSource
+};
+
+/**
+ * Build a map of data type to adapter instance from the `dataSources`
+ * parameter of an `initProcessor` message.
+ *
+ * @param {Object{}} specs Adapter specs keyed by data type, or `default`
+ * @return {Object{}} An adapter for each data type
+ */
+function makeDataSources(specs) {
+    specs = specs || {};
+    var sources = {};
+    var instances = [];
+    for (var i = 0, ilen = DATA_TYPES.length; i < ilen; i++) {
+        var type = DATA_TYPES[i];
+        var spec = specs[type] || specs['default'] || {adapter: 'static'};
+        // Types that share a spec share an adapter instance
+        var pos = instances.map(function(obj) {
+            return obj.spec;
+        }).indexOf(spec);
+        if (pos > -1) {
+            sources[type] = instances[pos].adapter;
+            continue;
+        }
+        var Adapter = dataSourceAdapters[spec.adapter || 'static'];
+        if (!Adapter) {
+            throw new Error('Unknown data source adapter: ' + spec.adapter);
+        }
+        var adapter = new Adapter(spec);
+        instances.push({
+            spec: spec,
+            adapter: adapter
+        });
+        sources[type] = adapter;
+    }
+    return sources;
+}
@@ -0,0 +1,230 @@
+/**
+ * Style catalogue for citeworker.js
+ *
+ * The styles offered to the user are those listed by the `styles`
+ * data source, by ID (for the static files, the `.csl` files in
+ * `_static/data/styles`; see citeworker-sources.js). Each style is
+ * fetched once, and described by the metadata in its `<info>` block:
+ *
+ *     {
+ *         id: "chicago-author-date",
+ *         styleID: "http://www.zotero.org/styles/chicago-author-date",
+ *         title: "Chicago Manual of Style 16th edition (author-date)",
+ *         titleShort: null,
+ *         citationFormat: "author-date",
+ *         fields: ["generic-base"],
+ *         parent: null,
+ *         defaultLocale: "en-US",
+ *         summary: "The author-date variant of the Chicago style"
+ *     }
+ *
+ * A dependent style names its independent parent in `parent`, as the
+ * ID of the parent in the catalogue. Dependent styles often omit the
+ * citation format, which is then taken from the parent.
+ */
+
+/**
+ * Citation formats, in the order in which they are grouped.
+ */
+var CITATION_FORMATS = ['author-date', 'author', 'numeric', 'label', 'note'];
+
+/**
+ * @param {Function} getContent A function with the signature of the
+ *   worker's `getContent(type, id, callback)`
+ * @param {Function} listContent A function with the signature of the
+ *   worker's `listContent(type, callback)`
+ */
+function StyleCatalogue(getContent, listContent) {
+    this.getContent = getContent;
+    this.listContent = listContent;
+    this.entries = {};
+}
+
+/**
+ * Parse the `<info>` block and the root attributes of a style. Only
+ * that part of the style is parsed.
+ *
+ * @param {string} id The ID of the style in the data source
+ * @param {string} txt A serialized CSL style
+ * @return {Object} A catalogue entry, or null if txt is not a CSL style
+ */
+StyleCatalogue.prototype.parseInfo = function(id, txt) {
+    var root = txt.match(/<style[\s>][^>]*>/);
+    var info = txt.match(/<info>[\s\S]*?<\/info>/);
+    if (!root || !info) {
+        return null;
+    }
+    var obj = CSL.parseXml(root[0].replace(/\/>$/, '>') + info[0] + '</style>');
+    var entry = {
+        id: id,
+        styleID: null,
+        title: id,
+        titleShort: null,
+        citationFormat: null,
+        fields: [],
+        parent: null,
+        defaultLocale: obj.attrs['default-locale'] || null,
+        summary: null
+    };
+    var getText = function(node) {
+        return node.children.filter(function(child) {
+            return "string" === typeof child;
+        }).join('').trim();
+    }
+    var children = obj.children[0].children;
+    for (var i = 0, ilen = children.length; i < ilen; i++) {
+        var node = children[i];
+        switch (node.name) {
+        case 'title':
+            entry.title = getText(node);
+            break;
+        case 'title-short':
+            entry.titleShort = getText(node);
+            break;
+        case 'id':
+            entry.styleID = getText(node);
+            break;
+        case 'summary':
+            entry.summary = getText(node);
+            break;
+        case 'category':
+            if (node.attrs['citation-format']) {
+                entry.citationFormat = node.attrs['citation-format'];
+            }
+            if (node.attrs.field) {
+                entry.fields.push(node.attrs.field);
+            }
+            break;
+        case 'link':
+            if (node.attrs.rel === 'independent-parent' && node.attrs.href) {
+                // The parent is looked up by the last segment of its URI
+                entry.parent = node.attrs.href.replace(/\/+$/, '').split('/').pop();
+            }
+            break;
+        }
+    }
+    return entry;
+}
+
+/**
+ * Fetch and parse any listed styles that are not yet in the catalogue,
+ * and drop entries for styles no longer listed.
+ *
+ * @param {Function} callback Called with an error message, or with nothing on success
+ */
+StyleCatalogue.prototype.load = function(callback) {
+    var me = this;
+    this.listContent('styles', function(ids) {
+        if (!ids) {
+            callback('Unable to list styles');
+            return;
+        }
+        var entries = {};
+        var pending = [];
+        for (var i = 0, ilen = ids.length; i < ilen; i++) {
+            if (me.entries[ids[i]]) {
+                entries[ids[i]] = me.entries[ids[i]];
+            } else {
+                pending.push(ids[i]);
+            }
+        }
+        me.entries = entries;
+        var fetchStyle = function(pos) {
+            if (pos === pending.length) {
+                callback();
+                return;
+            }
+            me.getContent('styles', pending[pos], function(txt) {
+                // A listed style that cannot be fetched or parsed is left out
+                var entry = null;
+                if (txt) {
+                    try {
+                        entry = me.parseInfo(pending[pos], txt);
+                    } catch (e) {
+                        // Malformed XML in the info block
+                    }
+                }
+                if (entry) {
+                    me.entries[entry.id] = entry;
+                }
+                fetchStyle(pos + 1);
+            });
+        }
+        fetchStyle(0);
+    });
+}
+
+/**
+ * Drop the entry for a style, so that it is fetched and parsed again
+ * by the next load().
+ *
+ * @param {string} id The ID of the style in the data source
+ * @return {void}
+ */
+StyleCatalogue.prototype.remove = function(id) {
+    delete this.entries[id];
+}
+
+/**
+ * Return the citation format of a style, taken from its parent if
+ * the style does not declare one.
+ *
+ * @param {Object} entry A catalogue entry
+ * @return {string} A citation format, or null
+ */
+StyleCatalogue.prototype.getCitationFormat = function(entry) {
+    if (!entry.citationFormat && entry.parent && this.entries[entry.parent]) {
+        return this.entries[entry.parent].citationFormat;
+    }
+    return entry.citationFormat;
+}
+
+/**
+ * Search the catalogue. Results are sorted by citation format (in the
+ * order of CITATION_FORMATS, with unknown formats last), then by title.
+ *
+ * @param {string} query Words to match against titles, IDs, fields and summaries
+ * @param {Object{}} options `citationFormat` and `field` to restrict results to
+ * @return {Object[]} An array of catalogue entries
+ */
+StyleCatalogue.prototype.search = function(query, options) {
+    options = options || {};
+    var words = (query || '').toLowerCase().split(/\s+/).filter(function(word) {
+        return !!word;
+    });
+    var styles = [];
+    for (var id in this.entries) {
+        var entry = JSON.parse(JSON.stringify(this.entries[id]));
+        entry.citationFormat = this.getCitationFormat(entry);
+        if (options.citationFormat && entry.citationFormat !== options.citationFormat) {
+            continue;
+        }
+        if (options.field && entry.fields.indexOf(options.field) === -1) {
+            continue;
+        }
+        var haystack = [entry.id, entry.title, entry.titleShort, entry.summary].concat(entry.fields).filter(function(str) {
+            return !!str;
+        }).join(' ').toLowerCase();
+        var match = true;
+        for (var i = 0, ilen = words.length; i < ilen; i++) {
+            if (haystack.indexOf(words[i]) === -1) {
+                match = false;
+                break;
+            }
+        }
+        if (match) {
+            styles.push(entry);
+        }
+    }
+    var rank = function(entry) {
+        var pos = CITATION_FORMATS.indexOf(entry.citationFormat);
+        return pos === -1 ? CITATION_FORMATS.length : pos;
+    }
+    styles.sort(function(a, b) {
+        if (rank(a) !== rank(b)) {
+            return rank(a) - rank(b);
+        }
+        return a.title.toLowerCase() < b.title.toLowerCase() ? -1 : (a.title.toLowerCase() > b.title.toLowerCase() ? 1 : 0);
+    });
+    return styles;
+}
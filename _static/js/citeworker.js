@@ -1,48 +1,43 @@
-importScripts('../js/citeproc.js');
+importScripts('../js/citeproc.js', '../js/citeworker-sources.js', '../js/citeworker-abbrevs.js', '../js/citeworker-search.js', '../js/citeworker-styles.js', '../js/citeworker-compile.js');
 
+// Styles, locales, items and jurisdiction modules are kept across
+// processor rebuilds, until invalidated with invalidateCache. Locales
+// and jurisdiction modules are kept in compiled form.
+var stylesObj = {};
 var itemsObj = {};
 var jurisdictionsObj = {};
 var style = null;
-var localesObj = null;
+var compiledStyle = null;
+var localesObj = {};
 var preferredLocale = null;
+var processorLocales = [];
 var citeproc = null;
+var chapterEngines = null;
+// The compiled style and locale of the current processor, from which
+// it is built afresh by rerenderDocument()
+var processorStyle = null;
+var processorLocale = null;
 var citationByIndex = null;
-var abbreviationObj = {
-    "default": {
-        "container-title": {
-            "English Reports": "!authority>>>E.R.",
-            "Archives of Dermatological Research": "Arch. Dermatol.",
-            "British Medical Journal": "Brit. Med. J."
-        },
-        "collection-title": {},
-        "institution-entire": {},
-        "institution-part": {
-            "court.appeals": "!here>>>",
-            "House of Lords": "HL"
-        },
-        nickname: {},
-        number: {},
-        title: {},
-        place: {
-            us: "!here>>>",
-            "us:c9": "9th Cir."
-        },
-        hereinafter: {},
-        classic: {}
-    }
-}
-var emptyAbbreviationObj = {
-    "container-title": {},
-    "collection-title": {},
-    "institution-entire": {},
-    "institution-part": {},
-    nickname: {},
-    number: {},
-    title: {},
-    place: {},
-    hereinafter: {},
-    classic: {}
-}
+var uncitedItemIDs = null;
+var processorSnapshot = null;
+// The texts of citations as last sent to the page, by citationID,
+// for snapshots of the processor state
+var citationTexts = {};
+var chapterCount = 0;
+var bibliographySections = null;
+var consolidatedBibliography = true;
+// The bibliographies as last sent to the page, for sending only the
+// changes to their entries
+var lastBibliography = null;
+var dataSources = makeDataSources();
+var dataSourcesKey = null;
+var requestQueue = [];
+var requestRunning = false;
+var currentRequest = null;
+var abbreviations = new AbbreviationManager(getContent);
+var searchIndex = new ItemSearchIndex();
+var styleCatalogue = new StyleCatalogue(getContent, listContent);
+var compiledCache = new CompiledCache(new CompiledDBStore());
 var sys = {
     retrieveItem: function(itemID) {
         return itemsObj[itemID];
@@ -54,47 +49,558 @@ var sys = {
         return jurisdictionsObj[jurisdiction];
     },
     getAbbreviation: function(listname, obj, jurisdiction, category, key) {
-        if (!obj[jurisdiction]) {
-            obj[jurisdiction] = JSON.parse(JSON.stringify(emptyAbbreviationObj));
+        return abbreviations.getAbbreviation(obj, jurisdiction, category, key);
+    }
+}
+
+function guard(callback) {
+    // Continue the current request from an asynchronous callback. An
+    // error thrown there is out of reach of runNextRequest(), and is
+    // returned here, so that the request queue does not stall.
+    var d = currentRequest;
+    return function() {
+        try {
+            return callback.apply(this, arguments);
+        } catch (e) {
+            if (requestRunning && currentRequest === d) {
+                sendError(d, 'ENGINE_ERROR', e);
+            }
         }
-        obj[jurisdiction][category][key] = abbreviationObj['default'][category][key];
-	return jurisdiction;
     }
 }
 
-function getFileContent(type, filename, callback) {
-    var xhr = new XMLHttpRequest();
-    if (type === 'styles') {
-        filename = filename + '.csl';
-    } else if (type === 'locales') {
-        filename = 'locales-' + filename + '.xml';
-    } else if (type === 'items') {
-        filename = filename + '.json';
-    } else if (type === 'juris') {
-        filename = 'juris-' + filename + '.csl';
+function getContent(type, id, callback) {
+    // Fetch through the adapter set for this data type
+    // (see citeworker-sources.js)
+    dataSources[type].get(type, id, guard(callback));
+}
+
+function listContent(type, callback) {
+    // List the IDs available from the adapter set for this data type
+    dataSources[type].list(type, guard(callback));
+}
+
+function setDataSources(d) {
+    // Replace the adapters if the page has changed its data sources.
+    // Returns false after sending an error.
+    if (!d.dataSources || JSON.stringify(d.dataSources) === dataSourcesKey) {
+        return true;
+    }
+    try {
+        dataSources = makeDataSources(d.dataSources);
+    } catch (e) {
+        sendError(d, 'CONFIG_ERROR', e);
+        return false;
     }
-    var url = '../data/' + type + '/' + filename;
+    dataSourcesKey = JSON.stringify(d.dataSources);
+    // Content from the previous sources may be stale
+    stylesObj = {};
+    localesObj = {};
+    itemsObj = {};
+    jurisdictionsObj = {};
+    abbreviations = new AbbreviationManager(getContent);
+    searchIndex = new ItemSearchIndex();
+    styleCatalogue = new StyleCatalogue(getContent, listContent);
+    return true;
+}
 
-    xhr.open('GET', url);
-    xhr.onreadystatechange = function() {
-        if (xhr.readyState === 4) {
-            if (xhr.status === 200) {
-                callback(xhr.responseText);
-            } else {
-                callback();
+function setBibliographySections(d, sections) {
+    // Each section is a filter for makeBibliography(), with a title.
+    // Returns false after sending an error.
+    sections = sections || [];
+    for (var i=0,ilen=sections.length;i<ilen;i++) {
+        var section = sections[i];
+        if (!section || "object" !== typeof section) {
+            sendError(d, 'CONFIG_ERROR', 'Invalid bibliography section at position ' + i);
+            return false;
+        }
+        var clauses = ['select', 'include', 'exclude', 'quash'];
+        for (var j=0,jlen=clauses.length;j<jlen;j++) {
+            var specs = section[clauses[j]];
+            if (!specs) {
+                continue;
+            }
+            var valid = Array.isArray(specs) && specs.every(function(spec) {
+                return spec && "string" === typeof spec.field && "undefined" !== typeof spec.value;
+            });
+            if (!valid) {
+                sendError(d, 'CONFIG_ERROR', 'Invalid ' + clauses[j] + ' in bibliography section at position ' + i);
+                return false;
             }
         }
     }
-    xhr.send(null);
+    bibliographySections = sections.length ? sections : null;
+    return true;
+}
+
+function renderBibliography(engine) {
+    // A single bibliography, rendered through the filter of each
+    // section as bibliographySections if sections are set
+    var ret = {
+        bibliographyData: null,
+        bibliographySections: null
+    };
+    if (!engine.bibliography.tokens.length) {
+        return ret;
+    }
+    if (!bibliographySections) {
+        ret.bibliographyData = engine.makeBibliography();
+        return ret;
+    }
+    ret.bibliographySections = bibliographySections.map(function(section) {
+        return {
+            title: section.title || null,
+            bibliographyData: engine.makeBibliography(section)
+        };
+    });
+    return ret;
 }
 
-function getStyle(styleName, localeName) {
-    // Fetch style, call getLocales()
-    getFileContent('styles', styleName, function(txt) {
+function makeBibliography(engine, chapters, data) {
+    // Set the bibliographies of a response: that of the document
+    // (unless it has chapters and no consolidated bibliography), and
+    // that of each chapter as chapterBibliographies
+    var bib = {
+        bibliographyData: null,
+        bibliographySections: null
+    };
+    if (!chapters || consolidatedBibliography) {
+        bib = renderBibliography(engine);
+    }
+    data.bibliographyData = bib.bibliographyData;
+    data.bibliographySections = bib.bibliographySections;
+    data.chapterBibliographies = chapters ? chapters.map(renderBibliography) : null;
+    lastBibliography = {
+        bibliographyData: data.bibliographyData,
+        bibliographySections: data.bibliographySections,
+        chapterBibliographies: data.chapterBibliographies
+    };
+}
+
+function makeBibliographyChanges(engine, chapters, data) {
+    // Set the bibliographies of a response as in makeBibliography(),
+    // or, if they can be patched from those last sent, as the changes
+    // to the entries in bibliographyChanges
+    var previous = lastBibliography;
+    makeBibliography(engine, chapters, data);
+    data.bibliographyChanges = diffBibliographies(previous, data);
+    if (data.bibliographyChanges) {
+        data.bibliographyData = null;
+        data.bibliographySections = null;
+        data.chapterBibliographies = null;
+    }
+}
+
+function diffBibliographies(previous, next) {
+    // Compare bibliographies section by section, for the document and
+    // for each chapter. Returns null if any cannot be patched.
+    if (!previous) {
+        return null;
+    }
+    var getSections = function(bib) {
+        if (bib.bibliographySections) {
+            return bib.bibliographySections.map(function(section) {
+                return section.bibliographyData;
+            });
+        }
+        return [bib.bibliographyData];
+    }
+    var diffSections = function(previousBib, nextBib) {
+        var previousSections = getSections(previousBib);
+        var nextSections = getSections(nextBib);
+        if (previousSections.length !== nextSections.length) {
+            return null;
+        }
+        var ret = [];
+        for (var i=0,ilen=nextSections.length;i<ilen;i++) {
+            var changes = diffEntries(previousSections[i], nextSections[i]);
+            if (!changes) {
+                return null;
+            }
+            ret.push(changes);
+        }
+        return ret;
+    }
+    var changes = {
+        bibliography: diffSections(previous, next),
+        chapters: null
+    };
+    if (!changes.bibliography) {
+        return null;
+    }
+    if (previous.chapterBibliographies || next.chapterBibliographies) {
+        if (!previous.chapterBibliographies || !next.chapterBibliographies || previous.chapterBibliographies.length !== next.chapterBibliographies.length) {
+            return null;
+        }
+        changes.chapters = [];
+        for (var i=0,ilen=next.chapterBibliographies.length;i<ilen;i++) {
+            var chapterChanges = diffSections(previous.chapterBibliographies[i], next.chapterBibliographies[i]);
+            if (!chapterChanges) {
+                return null;
+            }
+            changes.chapters.push(chapterChanges);
+        }
+    }
+    return changes;
+}
+
+function diffEntries(previous, next) {
+    // Compare two results of makeBibliography() by entry_ids. Returns
+    // the indexes of entries removed from the previous bibliography,
+    // and the entries inserted into the next, or changed in it, with
+    // their indexes there, with the layout parameters of the next.
+    // Entries that move are removed and inserted. The layout is set
+    // by a stylesheet from the parameters, so entries are patched
+    // whatever the layout. Returns null if one of the bibliographies
+    // is empty and the other not.
+    var isEmpty = function(bib) {
+        return !bib || !bib[1] || bib[1].length === 0;
+    }
+    var changes = {
+        params: null,
+        removed: [],
+        inserted: [],
+        changed: []
+    };
+    if (isEmpty(previous) && isEmpty(next)) {
+        return changes;
+    }
+    if (isEmpty(previous) || isEmpty(next)) {
+        return null;
+    }
+    changes.params = {};
+    for (var key in next[0]) {
+        if (key !== 'entry_ids' && key !== 'bibliography_errors') {
+            changes.params[key] = next[0][key];
+        }
+    }
+    var previousPositions = {};
+    for (var i=0,ilen=previous[0].entry_ids.length;i<ilen;i++) {
+        previousPositions[JSON.stringify(previous[0].entry_ids[i])] = i;
+    }
+    var kept = {};
+    var lastKept = -1;
+    for (var i=0,ilen=next[0].entry_ids.length;i<ilen;i++) {
+        var pos = previousPositions[JSON.stringify(next[0].entry_ids[i])];
+        if ("number" === typeof pos && pos > lastKept) {
+            kept[pos] = true;
+            lastKept = pos;
+            if (previous[1][pos] !== next[1][i]) {
+                changes.changed.push([i, next[1][i]]);
+            }
+        } else {
+            changes.inserted.push([i, next[1][i]]);
+        }
+    }
+    for (var i=0,ilen=previous[1].length;i<ilen;i++) {
+        if (!kept[i]) {
+            changes.removed.push(i);
+        }
+    }
+    return changes;
+}
+
+function rebuildChapters(chapters, citations, mode, chapterIndexes) {
+    // Rerun the citations of each chapter in the processor of the
+    // chapter, so that numbering and back-references start afresh in
+    // each. Citations are rendered in the output mode of the main
+    // processor. Only the chapters listed in chapterIndexes are rerun,
+    // if given. Returns rebuildData for the chapters, in document order.
+    var rebuildData = [];
+    for (var i=0,ilen=chapters.length;i<ilen;i++) {
+        if (chapterIndexes && chapterIndexes.indexOf(i) === -1) {
+            continue;
+        }
+        var chapterCitations = JSON.parse(JSON.stringify(citations)).filter(function(citation) {
+            return (citation.properties.chapterIndex || 0) === i;
+        });
+        // Restoring no citations clears the registry of the chapter
+        chapters[i].restoreProcessorState();
+        rebuildData = rebuildData.concat(chapters[i].rebuildProcessorState(chapterCitations, mode, []));
+    }
+    return rebuildData;
+}
+
+/**
+ * Fields of a cited item that are set by the page. The others are
+ * set by the processor.
+ */
+// The processor version against which restoreProcessor() is
+// written. Under any other, documents are rebuilt in full.
+var RESTORE_PROCESSOR_VERSION = '1.1.183';
+
+var CITATION_ITEM_FIELDS = ['id', 'locator', 'label', 'prefix', 'suffix', 'suppress-author', 'author-only'];
+
+function getCitationsKey(citations) {
+    // Hash the citations of a document as set by the page, without
+    // the state that the processor adds to them
+    return hashContent(JSON.stringify(citations.map(function(citation) {
+        return [
+            citation.citationID,
+            citation.properties.chapterIndex || 0,
+            !!citation.properties.unsorted,
+            citation.citationItems.map(function(citationItem) {
+                return CITATION_ITEM_FIELDS.map(function(field) {
+                    return ("undefined" === typeof citationItem[field]) ? null : citationItem[field];
+                });
+            })
+        ];
+    })));
+}
+
+function sortedJSON(obj) {
+    // JSON with object keys in sorted order, so that lists built up
+    // in a different order hash the same
+    if (!obj || "object" !== typeof obj) {
+        return JSON.stringify(obj);
+    }
+    return '{' + Object.keys(obj).sort().map(function(key) {
+        return JSON.stringify(key) + ':' + sortedJSON(obj[key]);
+    }).join(',') + '}';
+}
+
+function getProcessorHashes(itemIDs) {
+    // Hash the style, locales, items and abbreviation lists that the
+    // processor renders from. A snapshot taken under other hashes is
+    // stale.
+    var hashes = {
+        style: hashContent(style),
+        locales: {},
+        items: {},
+        abbrevs: {}
+    };
+    for (var i=0,ilen=processorLocales.length;i<ilen;i++) {
+        var locale = processorLocales[i];
+        hashes.locales[locale] = hashContent(localesObj[locale] || '');
+    }
+    itemIDs = itemIDs.slice().sort();
+    var jurisdictions = ['default'];
+    for (var i=0,ilen=itemIDs.length;i<ilen;i++) {
+        var item = itemsObj[itemIDs[i]];
+        hashes.items[itemIDs[i]] = hashContent(JSON.stringify(item || null));
+        if (item && item.jurisdiction) {
+            jurisdictions = jurisdictions.concat(abbreviations.fallbacks(item.jurisdiction));
+        }
+    }
+    jurisdictions.sort();
+    for (var i=0,ilen=jurisdictions.length;i<ilen;i++) {
+        hashes.abbrevs[jurisdictions[i]] = hashContent(sortedJSON(abbreviations.lists[jurisdictions[i]] || {}));
+    }
+    return hashes;
+}
+
+function serializeProcessor(engine) {
+    // The registered citations of a processor, without the items
+    // themselves, and the note counts that it keeps for each item.
+    // Positions and sort keys are set by the processor on copies of
+    // the cited items in sortedItems, which are taken in the order of
+    // citationItems.
+    var registry = {};
+    for (var itemID in engine.registry.registry) {
+        registry[itemID] = {
+            'citation-count': engine.registry.registry[itemID]['citation-count'],
+            'first-reference-note-number': engine.registry.registry[itemID]['first-reference-note-number']
+        };
+    }
+    var citations = engine.registry.citationreg.citationByIndex.map(function(citation) {
+        var sortedItems = (citation.sortedItems || []).slice();
+        return {
+            citationID: citation.citationID,
+            citationItems: citation.citationItems.map(function(citationItem) {
+                var source = citationItem;
+                for (var i=0,ilen=sortedItems.length;i<ilen;i++) {
+                    if (sortedItems[i][0] === citationItem.item) {
+                        source = sortedItems.splice(i, 1)[0][1];
+                        break;
+                    }
+                }
+                var obj = {};
+                for (var key in source) {
+                    if (key !== 'item') {
+                        obj[key] = source[key];
+                    }
+                }
+                return JSON.parse(JSON.stringify(obj));
+            }),
+            properties: JSON.parse(JSON.stringify(citation.properties))
+        };
+    });
+    return {
+        citations: citations,
+        registry: registry
+    };
+}
+
+function makeSnapshot() {
+    // Serialize the state of the processor (and of chapter
+    // processors) for restoreProcessor()
+    var citations = citeproc.registry.citationreg.citationByIndex;
+    var texts = {};
+    for (var i=0,ilen=citations.length;i<ilen;i++) {
+        texts[citations[i].citationID] = citationTexts[citations[i].citationID];
+    }
+    return {
+        version: CSL.PROCESSOR_VERSION,
+        localeName: preferredLocale,
+        hashes: getProcessorHashes(Object.keys(citeproc.registry.registry)),
+        citationsKey: getCitationsKey(citations),
+        processor: serializeProcessor(citeproc),
+        chapters: chapterEngines ? chapterEngines.map(serializeProcessor) : null,
+        citationTexts: texts
+    };
+}
+
+function isSnapshotCurrent(snapshot, citations, itemIDs) {
+    // A snapshot is used only if it was taken of the same citations,
+    // rendered from the same style, locales, items and abbreviations,
+    // and only under the processor version that restoreProcessor()
+    // is written against
+    if (CSL.PROCESSOR_VERSION !== RESTORE_PROCESSOR_VERSION) {
+        return false;
+    }
+    if (!snapshot || snapshot.version !== CSL.PROCESSOR_VERSION || snapshot.localeName !== preferredLocale) {
+        return false;
+    }
+    if ((snapshot.chapters ? snapshot.chapters.length : 0) !== chapterCount) {
+        return false;
+    }
+    if (snapshot.citationsKey !== getCitationsKey(citations || [])) {
+        return false;
+    }
+    return JSON.stringify(snapshot.hashes) === JSON.stringify(getProcessorHashes(itemIDs));
+}
+
+function restoreProcessor(engine, chapters, snapshot) {
+    // Rebuild processors from the citations of a snapshot. Citations
+    // are rerun only where restoreProcessorState() finds their state
+    // changed; the text of the others is that kept in the snapshot.
+    // Returns rebuildData, in the form of rebuildProcessorState().
+    var texts = JSON.parse(JSON.stringify(snapshot.citationTexts));
+    var restore = function(engine, state) {
+        // Items registered afresh, without note counts, mark every
+        // citation that cites them for rerendering. The texts of the
+        // snapshot stand for those, so the marks are cleared and the
+        // counts set as the items are registered. The processor has no
+        // public means of doing so: without the patch, restoring a
+        // snapshot reruns every citation, as rebuildProcessorState()
+        // does. The patch reads tmp.taintedItemIDs and the registry
+        // entries of the processor, which are internal to it, so
+        // isSnapshotCurrent() refuses snapshots under any processor
+        // but RESTORE_PROCESSOR_VERSION. The patch is removed however
+        // the restore ends.
+        var updateItems = engine.updateItems;
+        engine.updateItems = function() {
+            var ret = updateItems.apply(engine, arguments);
+            engine.tmp.taintedItemIDs = {};
+            for (var itemID in state.registry) {
+                if (engine.registry.registry[itemID]) {
+                    engine.registry.registry[itemID]['citation-count'] = state.registry[itemID]['citation-count'];
+                    engine.registry.registry[itemID]['first-reference-note-number'] = state.registry[itemID]['first-reference-note-number'];
+                }
+            }
+            return ret;
+        }
+        try {
+            var res = engine.restoreProcessorState(JSON.parse(JSON.stringify(state.citations)));
+        } finally {
+            delete engine.updateItems;
+        }
+        return res.length ? res[1] : [];
+    }
+    var updates = restore(engine, snapshot.processor);
+    engine.updateUncitedItems(uncitedItemIDs);
+    if (chapters) {
+        // Citation texts are those of the chapter processors
+        updates = [];
+        for (var i=0,ilen=chapters.length;i<ilen;i++) {
+            updates = updates.concat(restore(chapters[i], snapshot.chapters[i]));
+        }
+    }
+    for (var i=0,ilen=updates.length;i<ilen;i++) {
+        texts[updates[i][2]] = updates[i][1];
+    }
+    return engine.registry.citationreg.citationByIndex.map(function(citation) {
+        return [citation.citationID, citation.properties.noteIndex, texts[citation.citationID]];
+    });
+}
+
+function setCitationTexts(rebuildData) {
+    // Keep the citation texts of a rebuilt document
+    citationTexts = {};
+    for (var i=0,ilen=rebuildData.length;i<ilen;i++) {
+        citationTexts[rebuildData[i][0]] = rebuildData[i][2];
+    }
+}
+
+function updateCitationTexts(citationData) {
+    // Keep the citation texts updated by a registration, given as
+    // [index, text, citationID]
+    for (var i=0,ilen=citationData.length;i<ilen;i++) {
+        citationTexts[citationData[i][2]] = citationData[i][1];
+    }
+}
+
+function getStyle(d, styleName, localeName) {
+    // Fetch style (unless cached), call getLocales()
+    var setStyle = function(txt) {
+        var info = styleCatalogue.parseInfo(styleName, txt);
+        if (info && info.parent) {
+            getParentStyle(d, info, localeName);
+            return;
+        }
+        style = txt;
+        var locales = extractRawLocales(style, localeName);
+        locales = normalizeLocales(locales);
+        getLocales(d, locales);
+    }
+    if (stylesObj[styleName]) {
+        setStyle(stylesObj[styleName]);
+        return;
+    }
+    getContent('styles', styleName, function(txt) {
+        if (!txt) {
+            sendError(d, 'FETCH_ERROR', 'Unable to fetch style: ' + styleName);
+            return;
+        }
+        if (!txt.match(/<style[\s>]/)) {
+            sendError(d, 'XML_PARSE_ERROR', 'Not a CSL style: ' + styleName);
+            return;
+        }
+        stylesObj[styleName] = txt;
+        setStyle(txt);
+    });
+}
+
+function getParentStyle(d, info, localeName) {
+    // A dependent style is rendered with its independent parent,
+    // under the default locale of the dependent style
+    var setStyle = function(txt) {
+        if (info.defaultLocale) {
+            txt = txt.replace(/<style[\s>][^>]*>/, function(tag) {
+                tag = tag.replace(/\s+default-locale="[^"]*"/, '');
+                return tag.replace(/^<style/, '<style default-locale="' + info.defaultLocale + '"');
+            });
+        }
         style = txt;
         var locales = extractRawLocales(style, localeName);
         locales = normalizeLocales(locales);
-        getLocales(locales);
+        getLocales(d, locales);
+    }
+    if (stylesObj[info.parent]) {
+        setStyle(stylesObj[info.parent]);
+        return;
+    }
+    getContent('styles', info.parent, function(txt) {
+        if (!txt) {
+            sendError(d, 'FETCH_ERROR', 'Unable to fetch parent style ' + info.parent + ' of ' + info.id);
+            return;
+        }
+        if (!txt.match(/<style[\s>]/)) {
+            sendError(d, 'XML_PARSE_ERROR', 'Not a CSL style: ' + info.parent);
+            return;
+        }
+        stylesObj[info.parent] = txt;
+        setStyle(txt);
     });
 }
 
@@ -134,95 +640,207 @@ function normalizeLocales(locales) {
     return Object.keys(obj);
 }
 
-function getLocales(locales) {
-    // Fetch locales, call buildProcessor()
-    localesObj = {};
-    fetchLocale(0, locales, function() {
-        buildProcessor();
+function getLocales(d, locales) {
+    // Fetch locales not yet cached, call buildProcessor()
+    processorLocales = locales;
+    locales = locales.filter(function(locale) {
+        return !localesObj.hasOwnProperty(locale);
+    });
+    fetchLocale(d, 0, locales, function() {
+        compiledCache.compile(style, guard(function(err, json) {
+            if (err) {
+                sendError(d, 'XML_PARSE_ERROR', err);
+                return;
+            }
+            compiledStyle = json;
+            buildProcessor(d);
+        }));
     });
 }
 
-function fetchLocale(pos, locales, callback) {
+function fetchLocale(d, pos, locales, callback) {
     if (pos === locales.length) {
         callback();
         return;
     }
-    getFileContent('locales', locales[pos], function(txt) {
+    getContent('locales', locales[pos], function(txt) {
         var locale = locales[pos];
-        localesObj[locale] = txt;
-        fetchLocale(pos+1, locales, callback);
+        if (txt && !txt.match(/<locale[\s>]/)) {
+            sendError(d, 'XML_PARSE_ERROR', 'Not a CSL locale: ' + locale);
+            return;
+        }
+        if (!txt) {
+            localesObj[locale] = txt;
+            fetchLocale(d, pos+1, locales, callback);
+            return;
+        }
+        compiledCache.compile(txt, guard(function(err, json) {
+            if (err) {
+                sendError(d, 'XML_PARSE_ERROR', err + ' (locale ' + locale + ')');
+                return;
+            }
+            localesObj[locale] = json;
+            fetchLocale(d, pos+1, locales, callback);
+        }));
     });
 }
 
-function buildProcessor() {
-    citeproc = new CSL.Engine(sys, style, preferredLocale);
+function buildProcessor(d) {
+    // The new processor replaces the current one only on success, so
+    // that a failed style change leaves the document usable.
+    var engine;
+    var engineStyle = compiledStyle;
+    var engineLocale = preferredLocale;
+    var makeEngine = function() {
+        return new CSL.Engine(sys, engineStyle, engineLocale);
+    }
+    try {
+        engine = makeEngine();
+    } catch (e) {
+        sendError(d, (e instanceof SyntaxError) ? 'XML_PARSE_ERROR' : 'ENGINE_ERROR', e);
+        return;
+    }
     var itemIDs = [];
+    var documentItemIDs = [];
+    var addItemID = function(itemID) {
+        if (documentItemIDs.indexOf(itemID) === -1) {
+            documentItemIDs.push(itemID);
+            // Cached items, and items uploaded with loadItems, are
+            // not refetched
+            if (!itemsObj[itemID]) {
+                itemIDs.push(itemID);
+            }
+        }
+    }
     
+    // Uncited items are fetched along with cited ones
+    for (var i=0,ilen=uncitedItemIDs.length;i<ilen;i++) {
+        addItemID(uncitedItemIDs[i]);
+    }
     if (citationByIndex) {
         for (var i=0,ilen=citationByIndex.length;i<ilen;i++) {
             var citation = citationByIndex[i];
             for (var j=0,jlen=citation.citationItems.length;j<jlen;j++) {
-                var itemID = citation.citationItems[j].id;
-                itemIDs.push(itemID);
+                addItemID(citation.citationItems[j].id);
             }
             // Set note numbers for style, assuming that all notes are citesupport notes
-            if (citeproc.opt.xclass === 'note') {
+            if (engine.opt.xclass === 'note') {
                 citation.properties.noteIndex = (i + 1);
             } else {
                 citation.properties.noteIndex = 0;
             }
         }
     }
-    getItems(null, itemIDs,
+    getItems(d, itemIDs,
              function(callback) {
-                 getJurisdictions(null, itemIDs, callback);
+                 // Modules invalidated since the last build are
+                 // fetched again for cached items too
+                 getJurisdictions(d, documentItemIDs, callback);
              },
              function() {
-                 var rebuildData = null;
-                 if (citationByIndex) {
-                     rebuildData = citeproc.rebuildProcessorState(citationByIndex);
+                 var data = {
+                     rebuildData: null,
+                     restored: false
+                 };
+                 var chapters = null;
+                 try {
+                     if (chapterCount) {
+                         // Chapter processors share the style, locales
+                         // and items already held by the worker
+                         chapters = [];
+                         for (var i=0,ilen=chapterCount;i<ilen;i++) {
+                             chapters.push(makeEngine());
+                         }
+                     }
+                     if (isSnapshotCurrent(processorSnapshot, citationByIndex, documentItemIDs)) {
+                         try {
+                             data.rebuildData = restoreProcessor(engine, chapters, processorSnapshot);
+                             data.restored = true;
+                         } catch (e) {
+                             // A snapshot that cannot be restored is
+                             // dropped, and the document rebuilt on
+                             // fresh processors
+                             engine = makeEngine();
+                             if (chapters) {
+                                 chapters = chapters.map(makeEngine);
+                             }
+                         }
+                     }
+                     if (!data.restored) {
+                         if (citationByIndex || uncitedItemIDs.length) {
+                             data.rebuildData = engine.rebuildProcessorState(citationByIndex, engine.opt.mode, uncitedItemIDs);
+                         }
+                         if (chapters) {
+                             data.rebuildData = rebuildChapters(chapters, engine.registry.citationreg.citationByIndex, engine.opt.mode);
+                         }
+                     }
+                     makeBibliography(engine, chapters, data);
+                 } catch (e) {
+                     citationByIndex = null;
+                     uncitedItemIDs = null;
+                     processorSnapshot = null;
+                     sendError(d, 'ENGINE_ERROR', e);
+                     return;
                  }
                  citationByIndex = null;
-                 var bibRes = null;
-                 if (citeproc.bibliography.tokens.length) {
-                     bibRes = citeproc.makeBibliography();
-                 }
-                 postMessage({
-                     command: 'initProcessor',
-                     xclass: citeproc.opt.xclass,
-                     citationByIndex: citeproc.registry.citationreg.citationByIndex,
-                     rebuildData: rebuildData,
-                     bibliographyData: bibRes,
-                     result: 'OK'
-                 });
+                 uncitedItemIDs = null;
+                 processorSnapshot = null;
+                 citeproc = engine;
+                 chapterEngines = chapters;
+                 processorStyle = engineStyle;
+                 processorLocale = engineLocale;
+                 setCitationTexts(data.rebuildData || []);
+                 data.xclass = citeproc.opt.xclass;
+                 data.citationByIndex = citeproc.registry.citationreg.citationByIndex;
+                 data.uncitedItemIDs = Object.keys(citeproc.registry.uncited);
+                 data.result = 'OK';
+                 sendResponse(d, data);
              });
 }
 
 function getItems(d, itemIDs, itemsCallback, jurisdictionsCallback) {
     // Fetch locales, call buildProcessor()
-    fetchItem(0, itemIDs, itemsCallback, jurisdictionsCallback);
+    fetchItem(d, 0, itemIDs, itemsCallback, jurisdictionsCallback);
 }
 
-function fetchItem(pos, itemIDs, itemsCallback, jurisdictionsCallback) {
+function fetchItem(d, pos, itemIDs, itemsCallback, jurisdictionsCallback) {
     if (pos === itemIDs.length) {
         itemsCallback(jurisdictionsCallback);
         return;
     }
-    getFileContent('items', itemIDs[pos], function(txt) {
+    getContent('items', itemIDs[pos], function(txt) {
         var itemID = itemIDs[pos];
-        itemsObj[itemID] = JSON.parse(txt);
-        fetchItem(pos+1, itemIDs, itemsCallback, jurisdictionsCallback);
+        if (!txt) {
+            sendError(d, 'FETCH_ERROR', 'Unable to fetch item: ' + itemID);
+            return;
+        }
+        try {
+            itemsObj[itemID] = ("string" === typeof txt) ? JSON.parse(txt) : txt;
+        } catch (e) {
+            sendError(d, 'JSON_ERROR', 'Invalid JSON in item ' + itemID + ': ' + e.message);
+            return;
+        }
+        searchIndex.update(itemsObj[itemID]);
+        fetchItem(d, pos+1, itemIDs, itemsCallback, jurisdictionsCallback);
     });
 }
 
 function getJurisdictions(d, itemIDs, jurisdictionsCallback) {
-    // Installs jurisdiction style modules required by an
-    // item in the processor context.
+    // Installs jurisdiction style modules and abbreviation lists
+    // required by an item in the processor context.
+    getItemJurisdictions(d, itemIDs.map(function(itemID) {
+        return itemsObj[itemID];
+    }), jurisdictionsCallback);
+}
+
+function getItemJurisdictions(d, items, jurisdictionsCallback) {
+    // As getJurisdictions(), for items not yet in the item store
     var jurisdictionIDs = [];
-    for (var i=0,ilen=itemIDs.length;i<ilen;i++) {
-        var itemID = itemIDs[i];
-        var item = itemsObj[itemID];
+    var abbrevIDs = ['default'];
+    for (var i=0,ilen=items.length;i<ilen;i++) {
+        var item = items[i];
         if (item.jurisdiction) {
+            abbrevIDs.push(item.jurisdiction);
             var lst = item.jurisdiction.split(':');
             for (var j=0,jlen=lst.length;j<jlen;j++) {
                 var jurisdiction = lst.slice(0, j+1).join(':');
@@ -232,7 +850,33 @@ function getJurisdictions(d, itemIDs, jurisdictionsCallback) {
             }
         }
     }
-    fetchJurisdiction(0, jurisdictionIDs, jurisdictionsCallback);
+    fetchJurisdiction(0, jurisdictionIDs, function() {
+        abbreviations.load(abbrevIDs, function(err) {
+            if (err) {
+                sendError(d, 'JSON_ERROR', err);
+                return;
+            }
+            jurisdictionsCallback();
+        });
+    });
+}
+
+function loadAbbreviationLists(d, lists, callback) {
+    // Abbreviations arrive keyed by jurisdiction, then by category.
+    // The stored lists are loaded first, so that these entries take
+    // precedence.
+    var jurisdictions = Object.keys(lists);
+    abbreviations.load(jurisdictions, function(err) {
+        if (err) {
+            sendError(d, 'JSON_ERROR', err);
+            return;
+        }
+        for (var i=0,ilen=jurisdictions.length;i<ilen;i++) {
+            var jurisdiction = jurisdictions[i];
+            abbreviations.lists[jurisdiction] = abbreviations.merge(abbreviations.lists[jurisdiction], lists[jurisdiction]);
+        }
+        callback();
+    });
 }
 
 function fetchJurisdiction(pos, jurisdictionIDs, jurisdictionsCallback) {
@@ -240,25 +884,304 @@ function fetchJurisdiction(pos, jurisdictionIDs, jurisdictionsCallback) {
         jurisdictionsCallback();
         return;
     }
-    getFileContent('juris', jurisdictionIDs[pos], function(txt) {
+    getContent('juris', jurisdictionIDs[pos], function(txt) {
         var jurisdictionID = jurisdictionIDs[pos];
-        if (txt) {
-            jurisdictionsObj[jurisdictionID] = txt;
+        if (!txt) {
+            fetchJurisdiction(pos+1, jurisdictionIDs, jurisdictionsCallback);
+            return;
         }
-        fetchJurisdiction(pos+1, jurisdictionIDs, jurisdictionsCallback);
+        // A module that cannot be compiled is left out, as if missing
+        compiledCache.compile(txt, guard(function(err, json) {
+            if (!err) {
+                jurisdictionsObj[jurisdictionID] = json;
+            }
+            fetchJurisdiction(pos+1, jurisdictionIDs, jurisdictionsCallback);
+        }));
     });
 }
 
-onmessage = function(e) {
-    var d = e.data;
-    switch (d.command) {
-    case 'initProcessor':
+function processChapterCitation(d) {
+    // Register a citation in a document with chapters. The citation is
+    // registered in the document processor, and the chapters that gain
+    // or lose a citation are rerun. Returns the result in the form of
+    // processCitationCluster(), with citation positions in the document.
+    var chapterIndexes = [d.citation.properties.chapterIndex || 0];
+    var before = citeproc.registry.citationreg.citationByIndex.slice();
+    citeproc.processCitationCluster(d.citation, d.preCitations, d.postCitations);
+    var citations = citeproc.registry.citationreg.citationByIndex;
+    var positions = {};
+    for (var i=0,ilen=citations.length;i<ilen;i++) {
+        positions[citations[i].citationID] = i;
+    }
+    // A citation removed from the document is dropped from its chapter
+    for (var i=0,ilen=before.length;i<ilen;i++) {
+        var chapterIndex = before[i].properties.chapterIndex || 0;
+        if ("undefined" === typeof positions[before[i].citationID] && chapterIndexes.indexOf(chapterIndex) === -1) {
+            chapterIndexes.push(chapterIndex);
+        }
+    }
+    var rebuildData = rebuildChapters(chapterEngines, citations, citeproc.opt.mode, chapterIndexes);
+    return [null, rebuildData.map(function(entry) {
+        return [positions[entry[0]], entry[2], entry[0]];
+    })];
+}
+
+function refreshItems(engine, itemIDs) {
+    // Register again the items whose data has changed, so that they
+    // are retrieved afresh. The steps follow rebuildProcessorState():
+    // the items are dropped from the registry and registered again in
+    // their places through updateItems(), the citations that cite
+    // them are registered again in document order, and the uncited
+    // items are set last. Returns the updated citations in the form
+    // of processCitationCluster().
+    var registry = engine.registry;
+    var changed = {};
+    for (var i=0,ilen=itemIDs.length;i<ilen;i++) {
+        if (registry.registry[itemIDs[i]]) {
+            changed[itemIDs[i]] = true;
+        }
+    }
+    var isUnchanged = function(itemID) {
+        return !changed[itemID];
+    }
+    var cited = {};
+    registry.citationreg.citationByIndex.forEach(function(citation) {
+        citation.citationItems.forEach(function(citationItem) {
+            cited[citationItem.id] = true;
+        });
+    });
+    var citedItemIDs = registry.mylist.filter(function(itemID) {
+        return cited[itemID];
+    });
+    var uncitedItemIDs = registry.mylist.filter(function(itemID) {
+        return registry.uncited[itemID];
+    });
+    engine.updateUncitedItems([]);
+    engine.updateItems(citedItemIDs.filter(isUnchanged));
+    engine.updateItems(citedItemIDs);
+    var citationIDs = registry.citationreg.citationByIndex.map(function(citation) {
+        return citation.citationID;
+    });
+    var updates = {};
+    for (var i=0,ilen=citationIDs.length;i<ilen;i++) {
+        var citation = registry.citationreg.citationById[citationIDs[i]];
+        var cited = citation.citationItems.some(function(citationItem) {
+            return !!changed[citationItem.id];
+        });
+        if (!cited) {
+            continue;
+        }
+        var citationList = registry.citationreg.citationByIndex.map(function(citation) {
+            return [citation.citationID, citation.properties.noteIndex];
+        });
+        var res = engine.processCitationCluster({
+            citationID: citation.citationID,
+            citationItems: citation.citationItems.map(function(citationItem) {
+                var obj = {};
+                for (var key in citationItem) {
+                    if (key !== 'item') {
+                        obj[key] = citationItem[key];
+                    }
+                }
+                return JSON.parse(JSON.stringify(obj));
+            }),
+            properties: JSON.parse(JSON.stringify(citation.properties))
+        }, citationList.slice(0, i), citationList.slice(i+1), CSL.ASSUME_ALL_ITEMS_REGISTERED);
+        for (var j=0,jlen=res[1].length;j<jlen;j++) {
+            updates[res[1][j][2]] = res[1][j];
+        }
+    }
+    engine.updateUncitedItems(uncitedItemIDs);
+    return Object.keys(updates).map(function(citationID) {
+        return updates[citationID];
+    }).sort(function(a, b) {
+        return a[0] - b[0];
+    });
+}
+
+function refreshDocumentItems(itemIDs) {
+    // Refresh changed items in the processor, and in the processors
+    // of chapters. Returns the updated citations in the form of
+    // processCitationCluster(), with citation positions in the document.
+    var citationData = refreshItems(citeproc, itemIDs);
+    if (!chapterEngines) {
+        return citationData;
+    }
+    // Citation texts are those of the chapter processors
+    var positions = {};
+    var citations = citeproc.registry.citationreg.citationByIndex;
+    for (var i=0,ilen=citations.length;i<ilen;i++) {
+        positions[citations[i].citationID] = i;
+    }
+    citationData = [];
+    for (var i=0,ilen=chapterEngines.length;i<ilen;i++) {
+        citationData = citationData.concat(refreshItems(chapterEngines[i], itemIDs).map(function(entry) {
+            return [positions[entry[2]], entry[1], entry[2]];
+        }));
+    }
+    return citationData.sort(function(a, b) {
+        return a[0] - b[0];
+    });
+}
+
+function previewCitation(d) {
+    // Render a citation in context without registering it. The
+    // citation is rendered by a processor built for the purpose from
+    // the style, locale and citations of the current one, which is
+    // left untouched. In a document with chapters, the citations are
+    // those of the chapter of the citation.
+    var current = citeproc;
+    var uncitedItemIDs = Object.keys(citeproc.registry.uncited);
+    var preCitations = d.preCitations;
+    var postCitations = d.postCitations;
+    if (chapterEngines) {
+        current = chapterEngines[d.citation.properties.chapterIndex || 0];
+        uncitedItemIDs = [];
+        var inChapter = function(entry) {
+            return !!current.registry.citationreg.citationById[entry[0]];
+        }
+        preCitations = preCitations.filter(inChapter);
+        postCitations = postCitations.filter(inChapter);
+    }
+    var citations = JSON.parse(JSON.stringify(current.registry.citationreg.citationByIndex));
+    var engine = new CSL.Engine(sys, processorStyle, processorLocale);
+    engine.rebuildProcessorState(citations, current.opt.mode, uncitedItemIDs);
+    return engine.previewCitationCluster(d.citation, preCitations, postCitations, current.opt.mode);
+}
+
+function rerenderDocument() {
+    // Rebuild the document on fresh processors, so that every
+    // registered item is retrieved again, and abbreviations, which a
+    // processor caches on first lookup, are looked up again. The
+    // registered citations are rerun through updateItems(), and
+    // uncited items through updateUncitedItems(), inside
+    // rebuildProcessorState(). The processors replace the current
+    // ones only on success.
+    var citations = JSON.parse(JSON.stringify(citeproc.registry.citationreg.citationByIndex));
+    var uncitedItemIDs = Object.keys(citeproc.registry.uncited || {}).filter(function(itemID) {
+        return !!itemsObj[itemID];
+    });
+    var makeEngine = function() {
+        return new CSL.Engine(sys, processorStyle, processorLocale);
+    }
+    var engine = makeEngine();
+    var rebuildData = engine.rebuildProcessorState(citations, citeproc.opt.mode, uncitedItemIDs);
+    var chapters = null;
+    if (chapterEngines) {
+        // Citation texts are those of the chapter processors
+        chapters = chapterEngines.map(makeEngine);
+        rebuildData = rebuildChapters(chapters, citations, citeproc.opt.mode);
+    }
+    citeproc = engine;
+    chapterEngines = chapters;
+    return rebuildData;
+}
+
+function sendRerenderedDocument(d, data) {
+    // Rerender the document, if there is one, and reply with the
+    // result added to data
+    data.result = 'OK';
+    data.rebuildData = null;
+    data.bibliographyData = null;
+    data.bibliographySections = null;
+    data.chapterBibliographies = null;
+    data.citationByIndex = null;
+    if (citeproc) {
+        try {
+            data.rebuildData = rerenderDocument();
+            setCitationTexts(data.rebuildData);
+            makeBibliography(citeproc, chapterEngines, data);
+        } catch (e) {
+            sendError(d, 'ENGINE_ERROR', e);
+            return;
+        }
+        data.citationByIndex = citeproc.registry.citationreg.citationByIndex;
+    }
+    sendResponse(d, data);
+}
+
+function sendResponse(d, data) {
+    // Reply against the ID of the request, then run the next in line
+    data.command = d.command;
+    data.requestID = d.requestID;
+    postMessage(data);
+    requestRunning = false;
+    runNextRequest();
+}
+
+function sendError(d, code, e) {
+    // Errors are returned as a list of typed objects. The citationID
+    // is that of the citation under registration, if any.
+    var citationID = null;
+    if (d.citation && d.citation.citationID) {
+        citationID = d.citation.citationID;
+    }
+    sendResponse(d, {
+        result: 'ERROR',
+        errors: [
+            {
+                code: code,
+                message: (e && e.message) ? e.message : String(e),
+                command: d.command,
+                citationID: citationID
+            }
+        ]
+    });
+}
+
+function runNextRequest() {
+    // Requests are run strictly in order of arrival. Fetches are
+    // asynchronous, so a request is not complete until its handler
+    // calls sendResponse().
+    if (requestRunning || requestQueue.length === 0) {
+        return;
+    }
+    requestRunning = true;
+    var d = requestQueue.shift();
+    currentRequest = d;
+    var handler = commands[d.command];
+    if (!handler) {
+        sendError(d, 'UNKNOWN_COMMAND', 'Unknown command: ' + d.command);
+        return;
+    }
+    try {
+        handler(d);
+    } catch (e) {
+        sendError(d, 'ENGINE_ERROR', e);
+    }
+}
+
+var commands = {
+    initProcessor: function(d) {
+        if (!setDataSources(d)) {
+            return;
+        }
+        if (!setBibliographySections(d, d.bibliographySections)) {
+            return;
+        }
         preferredLocale = d.localeName;
         citationByIndex = d.citationByIndex;
-        getStyle(d.styleName, d.localeName);
-        break;
-    case 'registerCitation':
-        itemFetchLst = [];
+        uncitedItemIDs = d.uncitedItemIDs || [];
+        processorSnapshot = d.snapshot || null;
+        chapterCount = d.chapterCount || 0;
+        consolidatedBibliography = (d.consolidatedBibliography !== false);
+        // Abbreviations saved with the document are in place before
+        // the processor is built, so that a snapshot taken with them
+        // can be restored
+        loadAbbreviationLists(d, d.abbreviations || {}, function() {
+            getStyle(d, d.styleName, d.localeName);
+        });
+    },
+    registerCitation: function(d) {
+        if (!citeproc) {
+            sendError(d, 'NO_PROCESSOR', 'Processor is not initialized');
+            return;
+        }
+        if (chapterEngines && !chapterEngines[d.citation.properties.chapterIndex || 0]) {
+            sendError(d, 'CONFIG_ERROR', 'No chapter at index ' + d.citation.properties.chapterIndex);
+            return;
+        }
+        var itemFetchLst = [];
         for (var i=0,ilen=d.citation.citationItems.length;i<ilen;i++) {
             var itemID = d.citation.citationItems[i].id;
             if (!itemsObj[itemID]) {
@@ -272,19 +1195,373 @@ onmessage = function(e) {
                      getJurisdictions(d, itemFetchLst, callback);
                  },
                  function() {
-                     var citeRes = citeproc.processCitationCluster(d.citation, d.preCitations, d.postCitations);
-                     var bibRes = null;
-                     if (citeproc.bibliography.tokens.length) {
-                         bibRes = citeproc.makeBibliography();
+                     var data = {
+                         result: 'OK'
+                     };
+                     try {
+                         var citeRes;
+                         if (chapterEngines) {
+                             citeRes = processChapterCitation(d);
+                         } else {
+                             citeRes = citeproc.processCitationCluster(d.citation, d.preCitations, d.postCitations);
+                         }
+                         data.citationData = citeRes[1];
+                         updateCitationTexts(data.citationData);
+                         makeBibliographyChanges(citeproc, chapterEngines, data);
+                     } catch (e) {
+                         sendError(d, 'ENGINE_ERROR', e);
+                         return;
                      }
-                     postMessage({
-                         command: 'registerCitation',
+                     data.citationByIndex = citeproc.registry.citationreg.citationByIndex;
+                     sendResponse(d, data);
+                 });
+    },
+    getSnapshot: function(d) {
+        // The state of the processor, for a later initProcessor
+        if (!citeproc) {
+            sendError(d, 'NO_PROCESSOR', 'Processor is not initialized');
+            return;
+        }
+        sendResponse(d, {
+            result: 'OK',
+            snapshot: makeSnapshot()
+        });
+    },
+    invalidateCache: function(d) {
+        // Drop cached content by type, and optionally by ID. Styles,
+        // locales and jurisdiction modules are fetched again by the
+        // next initProcessor. Items in use by the processor are
+        // fetched again at once, and the document is rerendered.
+        var caches = {
+            styles: stylesObj,
+            locales: localesObj,
+            items: itemsObj,
+            juris: jurisdictionsObj
+        };
+        var types = d.types || Object.keys(caches);
+        for (var i=0,ilen=types.length;i<ilen;i++) {
+            if (!caches[types[i]]) {
+                sendError(d, 'CONFIG_ERROR', 'Unknown cache type: ' + types[i]);
+                return;
+            }
+        }
+        var itemFetchLst = [];
+        for (var i=0,ilen=types.length;i<ilen;i++) {
+            var cache = caches[types[i]];
+            var ids = d.ids || Object.keys(cache);
+            for (var j=0,jlen=ids.length;j<jlen;j++) {
+                var id = ids[j];
+                if (!cache.hasOwnProperty(id)) {
+                    continue;
+                }
+                delete cache[id];
+                if (types[i] === 'styles') {
+                    styleCatalogue.remove(id);
+                } else if (types[i] === 'items') {
+                    searchIndex.remove(id);
+                    if (citeproc && citeproc.registry.registry[id]) {
+                        itemFetchLst.push(id);
+                    }
+                }
+            }
+        }
+        getItems(d, itemFetchLst,
+                 function(callback) {
+                     getJurisdictions(d, itemFetchLst, callback);
+                 },
+                 function() {
+                     if (itemFetchLst.length) {
+                         sendRerenderedDocument(d, {
+                             itemIDs: itemFetchLst
+                         });
+                         return;
+                     }
+                     sendResponse(d, {
+                         result: 'OK',
+                         itemIDs: itemFetchLst,
+                         rebuildData: null,
+                         bibliographyData: null,
+                         bibliographySections: null,
+                         chapterBibliographies: null,
+                         citationByIndex: citeproc ? citeproc.registry.citationreg.citationByIndex : null
+                     });
+                 });
+    },
+    previewCitation: function(d) {
+        // The citation is rendered as registerCitation would render it,
+        // on a processor of its own, so nothing is registered
+        if (!citeproc) {
+            sendError(d, 'NO_PROCESSOR', 'Processor is not initialized');
+            return;
+        }
+        if (chapterEngines && !chapterEngines[d.citation.properties.chapterIndex || 0]) {
+            sendError(d, 'CONFIG_ERROR', 'No chapter at index ' + d.citation.properties.chapterIndex);
+            return;
+        }
+        var itemFetchLst = [];
+        for (var i=0,ilen=d.citation.citationItems.length;i<ilen;i++) {
+            var itemID = d.citation.citationItems[i].id;
+            if (!itemsObj[itemID]) {
+                itemFetchLst.push(itemID);
+            }
+        }
+        getItems(d, itemFetchLst,
+                 function(callback) {
+                     getJurisdictions(d, itemFetchLst, callback);
+                 },
+                 function() {
+                     var citationText;
+                     try {
+                         citationText = previewCitation(d);
+                     } catch (e) {
+                         sendError(d, 'ENGINE_ERROR', e);
+                         return;
+                     }
+                     sendResponse(d, {
+                         result: 'OK',
+                         citationText: citationText
+                     });
+                 });
+    },
+    loadItems: function(d) {
+        // Items arrive as a CSL-JSON array, or as a map of ID to item
+        var items = d.items || [];
+        if (!Array.isArray(items)) {
+            items = Object.keys(items).map(function(key) {
+                return items[key];
+            });
+        }
+        var removeIDs = d.removeIDs || [];
+        var citedIDs = citeproc ? citeproc.registry.citationreg.citationsByItemId : {};
+        var uncitedIDs = citeproc ? citeproc.registry.uncited : {};
+        for (var i=0,ilen=removeIDs.length;i<ilen;i++) {
+            if (citedIDs[removeIDs[i]] && citedIDs[removeIDs[i]].length) {
+                sendError(d, 'ITEM_IN_USE', 'Item is cited in the document: ' + removeIDs[i]);
+                return;
+            }
+            if (uncitedIDs[removeIDs[i]]) {
+                sendError(d, 'ITEM_IN_USE', 'Item is listed as uncited in the bibliography: ' + removeIDs[i]);
+                return;
+            }
+        }
+        // The batch is checked whole, so that nothing is changed
+        // by a request that fails
+        for (var i=0,ilen=items.length;i<ilen;i++) {
+            if (!items[i] || "object" !== typeof items[i] || !items[i].id) {
+                sendError(d, 'JSON_ERROR', 'Item has no id at position ' + i);
+                return;
+            }
+        }
+        getItemJurisdictions(d, items, function() {
+            var itemIDs = [];
+            for (var i=0,ilen=items.length;i<ilen;i++) {
+                itemsObj[items[i].id] = items[i];
+                searchIndex.update(items[i]);
+                itemIDs.push(items[i].id);
+            }
+            for (var i=0,ilen=removeIDs.length;i<ilen;i++) {
+                delete itemsObj[removeIDs[i]];
+                searchIndex.remove(removeIDs[i]);
+            }
+            var data = {
+                result: 'OK',
+                itemIDs: itemIDs,
+                citationData: null,
+                bibliographyData: null,
+                bibliographySections: null,
+                chapterBibliographies: null,
+                bibliographyChanges: null
+            };
+            // Only items already registered in the processor are
+            // refreshed there. Removed items are not registered.
+            var registered = citeproc && itemIDs.some(function(itemID) {
+                return !!citeproc.registry.registry[itemID];
+            });
+            if (registered) {
+                try {
+                    data.citationData = refreshDocumentItems(itemIDs);
+                    updateCitationTexts(data.citationData);
+                    makeBibliographyChanges(citeproc, chapterEngines, data);
+                } catch (e) {
+                    sendError(d, 'ENGINE_ERROR', e);
+                    return;
+                }
+            }
+            data.citationByIndex = citeproc ? citeproc.registry.citationreg.citationByIndex : null;
+            sendResponse(d, data);
+        });
+    },
+    fetchItems: function(d) {
+        // Fetch items from the data source into the item store,
+        // without registering them in the processor
+        var itemIDs = d.itemIDs || [];
+        var itemFetchLst = [];
+        for (var i=0,ilen=itemIDs.length;i<ilen;i++) {
+            if (!itemsObj[itemIDs[i]] && itemFetchLst.indexOf(itemIDs[i]) === -1) {
+                itemFetchLst.push(itemIDs[i]);
+            }
+        }
+        getItems(d, itemFetchLst,
+                 function(callback) {
+                     getJurisdictions(d, itemFetchLst, callback);
+                 },
+                 function() {
+                     sendResponse(d, {
                          result: 'OK',
-                         citationData: citeRes[1],
-                         bibliographyData: bibRes,
-                         citationByIndex: citeproc.registry.citationreg.citationByIndex
+                         itemIDs: itemIDs
+                     });
+                 });
+    },
+    searchItems: function(d) {
+        var res = searchIndex.search(d.query, {
+            type: d.type,
+            itemIDs: d.itemIDs,
+            limit: d.limit
+        });
+        sendResponse(d, {
+            result: 'OK',
+            items: res.items,
+            total: res.total
+        });
+    },
+    setUncitedItems: function(d) {
+        // Replaces the list of items that appear in the bibliography
+        // without being cited
+        if (!citeproc) {
+            sendError(d, 'NO_PROCESSOR', 'Processor is not initialized');
+            return;
+        }
+        var itemIDs = d.uncitedItemIDs || [];
+        var itemFetchLst = [];
+        for (var i=0,ilen=itemIDs.length;i<ilen;i++) {
+            if (!itemsObj[itemIDs[i]] && itemFetchLst.indexOf(itemIDs[i]) === -1) {
+                itemFetchLst.push(itemIDs[i]);
+            }
+        }
+        getItems(d, itemFetchLst,
+                 function(callback) {
+                     getJurisdictions(d, itemFetchLst, callback);
+                 },
+                 function() {
+                     try {
+                         citeproc.updateUncitedItems(itemIDs);
+                     } catch (e) {
+                         sendError(d, 'ENGINE_ERROR', e);
+                         return;
+                     }
+                     // Numbering and disambiguation of citations may
+                     // depend on the uncited items
+                     sendRerenderedDocument(d, {
+                         uncitedItemIDs: Object.keys(citeproc.registry.uncited)
                      });
                  });
-        break;
+    },
+    setBibliographySections: function(d) {
+        // Sections change the bibliography only, so citations are not
+        // rerendered
+        if (!setBibliographySections(d, d.bibliographySections)) {
+            return;
+        }
+        var data = {
+            result: 'OK',
+            bibliographyData: null,
+            bibliographySections: null,
+            chapterBibliographies: null
+        };
+        if (citeproc) {
+            try {
+                makeBibliography(citeproc, chapterEngines, data);
+            } catch (e) {
+                sendError(d, 'ENGINE_ERROR', e);
+                return;
+            }
+        }
+        sendResponse(d, data);
+    },
+    loadAbbreviations: function(d) {
+        loadAbbreviationLists(d, d.abbreviations || {}, function() {
+            sendRerenderedDocument(d, {});
+        });
+    },
+    setAbbreviation: function(d) {
+        var jurisdiction = d.jurisdiction || 'default';
+        if (!d.category || !d.key) {
+            sendError(d, 'CONFIG_ERROR', 'An abbreviation requires a category and a key');
+            return;
+        }
+        abbreviations.load([jurisdiction], function(err) {
+            if (err) {
+                sendError(d, 'JSON_ERROR', err);
+                return;
+            }
+            abbreviations.set(jurisdiction, d.category, d.key, d.value);
+            sendRerenderedDocument(d, {});
+        });
+    },
+    removeAbbreviation: function(d) {
+        var jurisdiction = d.jurisdiction || 'default';
+        abbreviations.load([jurisdiction], function(err) {
+            if (err) {
+                sendError(d, 'JSON_ERROR', err);
+                return;
+            }
+            if (!abbreviations.remove(jurisdiction, d.category, d.key)) {
+                sendResponse(d, {
+                    result: 'OK',
+                    rebuildData: null,
+                    bibliographyData: null,
+                    bibliographySections: null,
+                    chapterBibliographies: null,
+                    citationByIndex: citeproc ? citeproc.registry.citationreg.citationByIndex : null
+                });
+                return;
+            }
+            sendRerenderedDocument(d, {});
+        });
+    },
+    getAbbreviations: function(d) {
+        // Return the list for one jurisdiction, optionally for one category
+        var jurisdiction = d.jurisdiction || 'default';
+        abbreviations.load([jurisdiction], function(err) {
+            if (err) {
+                sendError(d, 'JSON_ERROR', err);
+                return;
+            }
+            var list = abbreviations.lists[jurisdiction];
+            if (d.category) {
+                var categoryList = {};
+                categoryList[d.category] = list[d.category] || {};
+                list = categoryList;
+            }
+            sendResponse(d, {
+                result: 'OK',
+                jurisdiction: jurisdiction,
+                abbreviations: list
+            });
+        });
+    },
+    getStyles: function(d) {
+        // The catalogue is refreshed from the style list on each request
+        if (!setDataSources(d)) {
+            return;
+        }
+        styleCatalogue.load(function(err) {
+            if (err) {
+                sendError(d, 'FETCH_ERROR', err);
+                return;
+            }
+            sendResponse(d, {
+                result: 'OK',
+                styles: styleCatalogue.search(d.query, {
+                    citationFormat: d.citationFormat,
+                    field: d.field
+                })
+            });
+        });
     }
+};
+
+onmessage = function(e) {
+    requestQueue.push(e.data);
+    runNextRequest();
 }
@@ -2,8 +2,8 @@ tinymce.PluginManager.add('citeaddedit', function(editor) {
     
     var citesupport = editor.plugins.citesupport.citesupport;
 
-    function getIDs (citationID) {
-        var itemIDs = [];
+    function getCitationItems (citationID) {
+        var citationItems = [];
         var citation = null;
         for (var i = 0, ilen = citesupport.config.citationByIndex.length; i < ilen; i++) {
             if (citesupport.config.citationByIndex[i].citationID === citationID) {
@@ -13,59 +13,328 @@ tinymce.PluginManager.add('citeaddedit', function(editor) {
         }
         // Although citation should ALWAYS exist if document data has cleared validation
         if (citation) {
-            itemIDs = citation.citationItems.map(function(obj){
-                return obj.id;
-            });
+            citationItems = citation.citationItems;
         }
-        return itemIDs;
+        return citationItems;
     }
 
-    function buildMenu() {
-        var menu = [];
-        var itemData = [
-            {
-                title: "Geller 2002",
-                id: "item01"
-            },
-            {
-                title: "West 1934",
-                id: "item02"
-            },
-            {
-                title: "Allen 1878",
-                id: "item03"
-            },
-            {
-                title: "American case",
-                id: "item04"
-            },
-            {
-                title: "British case",
-                id: "item05"
+    function escapeHTML(str) {
+        return ('' + str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    function getCitationItem(item) {
+        // Copy a cite item from the dialog state, omitting empty options
+        var citationItem = {
+            id: item.id
+        };
+        var locator = (item.locator || '').trim();
+        if (item.prefix) {
+            citationItem.prefix = item.prefix;
+        }
+        if (locator) {
+            citationItem.locator = locator;
+            citationItem.label = item.label || 'page';
+        }
+        if (item.suffix) {
+            citationItem.suffix = item.suffix;
+        }
+        if (item['suppress-author']) {
+            citationItem['suppress-author'] = true;
+        } else if (item['author-only']) {
+            citationItem['author-only'] = true;
+        }
+        return citationItem;
+    }
+
+    function renderResults(state, data) {
+        // Search results, each with toggles for citing the item and for
+        // listing it in the bibliography only
+        if (!data.items.length) {
+            return '<div style="color:#888888;">No matching items</div>';
+        }
+        var selectedIDs = state.selected.map(function(item) {
+            return item.id;
+        });
+        var html = '';
+        for (var i = 0, ilen = data.items.length; i < ilen; i++) {
+            var item = data.items[i];
+            html += '<div data-item-id="' + escapeHTML(item.id) + '" title="' + escapeHTML(item.title) + '" style="line-height:22px;white-space:nowrap;">'
+                + '<label style="margin-right:6px;"><input type="checkbox" data-toggle="cite"' + (selectedIDs.indexOf(item.id) > -1 ? ' checked' : '') + '> Cite</label>'
+                + '<label style="margin-right:6px;"><input type="checkbox" data-toggle="nocite"' + (state.uncited.indexOf(item.id) > -1 ? ' checked' : '') + '> Bib. only</label>'
+                + escapeHTML(item.label)
+                + '</div>';
+        }
+        var more = data.total - data.items.length;
+        if (more) {
+            html += '<div style="color:#888888;">' + more + ' more: refine the search</div>';
+        }
+        return html;
+    }
+
+    function renderOrder(state) {
+        // The selected items as an ordered list, with move buttons and
+        // the options of each cite item
+        if (!state.selected.length) {
+            return '<div style="color:#888888;">No items selected</div>';
+        }
+        var input = function(item, option, placeholder) {
+            return '<input type="text" data-option="' + option + '" placeholder="' + placeholder + '" value="' + escapeHTML(item[option] || '') + '" style="width:5em;border:1px solid #cccccc;margin-right:2px;">';
+        }
+        var select = function(option, values, value) {
+            var html = '<select data-option="' + option + '" style="border:1px solid #cccccc;margin-right:2px;">';
+            for (var i = 0, ilen = values.length; i < ilen; i++) {
+                html += '<option value="' + values[i].value + '"' + (values[i].value === value ? ' selected' : '') + '>' + values[i].text + '</option>';
             }
+            return html + '</select>';
+        }
+        var labels = citesupport.locatorLabels.map(function(label) {
+            return {
+                text: label,
+                value: label
+            };
+        });
+        var authorValues = [
+            { text: 'Show author', value: 'show' },
+            { text: 'Suppress author', value: 'suppress-author' },
+            { text: 'Author only', value: 'author-only' }
         ];
-        for (var i = 0, ilen = itemData.length; i < ilen; i++) {
-            menu.push({
-                type: 'checkbox',
-                name: itemData[i].id,
-                label: ' ',
-                text: itemData[i].title,
-                value: itemData[i].id
-            });
+        var html = '<ol class="citeaddedit-order" style="margin:0;padding:0;">';
+        for (var i = 0, ilen = state.selected.length; i < ilen; i++) {
+            var item = state.selected[i];
+            var author = item['suppress-author'] ? 'suppress-author' : (item['author-only'] ? 'author-only' : 'show');
+            html += '<li draggable="true" data-item-id="' + escapeHTML(item.id) + '" style="cursor:move;line-height:22px;margin-bottom:4px;">'
+                + '<button type="button" data-move="up" title="Move up" style="border:1px solid #cccccc;padding:0 3px;margin-right:2px;">&#9650;</button>'
+                + '<button type="button" data-move="down" title="Move down" style="border:1px solid #cccccc;padding:0 3px;margin-right:2px;">&#9660;</button>'
+                + '<button type="button" data-move="remove" title="Remove" style="border:1px solid #cccccc;padding:0 3px;margin-right:6px;">&#215;</button>'
+                + (i + 1) + '. ' + escapeHTML(state.labels[item.id] || item.id)
+                + '<div style="white-space:nowrap;">'
+                + input(item, 'prefix', 'Prefix')
+                + select('label', labels, item.label || 'page')
+                + input(item, 'locator', 'Locator')
+                + input(item, 'suffix', 'Suffix')
+                + select('author', authorValues, author)
+                + '</div>'
+                + '</li>';
         }
-        return menu;
+        return html + '</ol>';
     }
 
-    function configMenu(menu, itemIDs) {
-        for (var i = 0, ilen = itemIDs.length; i < ilen; i++) {
-            var itemID = itemIDs[i];
-            for (var j = 0, jlen = menu.length; j < jlen; j++) {
-                if (itemID === menu[j].name) {
-                    menu[j].checked = true;
+    function setDialogListeners(win, state) {
+        // Run searches as the user types, keep the selected items in step
+        // with the toggles, and let the user reorder them with the
+        // buttons or by drag-and-drop
+        var searchCtrl = win.find('#citesearch')[0];
+        var typeCtrl = win.find('#citetype')[0];
+        var resultsCtrl = win.find('#citeresults')[0];
+        var resultsEl = resultsCtrl.getEl();
+        var orderCtrl = win.find('#citeorder')[0];
+        var orderEl = orderCtrl.getEl();
+        var previewCtrl = win.find('#citepreview')[0];
+        var searchID = 0;
+        var previewID = 0;
+        var timer = null;
+        var previewTimer = null;
+        var dragID = null;
+        // The containers keep the size given at layout, and scroll
+        resultsEl.style.overflowY = 'auto';
+        orderEl.style.overflowY = 'auto';
+        var getItemNode = function(node, parent) {
+            while (node && node !== parent) {
+                if (node.getAttribute && node.getAttribute('data-item-id')) {
+                    return node;
+                }
+                node = node.parentNode;
+            }
+            return null;
+        }
+        var getPos = function(itemID) {
+            for (var i = 0, ilen = state.selected.length; i < ilen; i++) {
+                if (state.selected[i].id === itemID) {
+                    return i;
+                }
+            }
+            return -1;
+        }
+        var preview = function() {
+            // The citation as it would be saved, at the position of
+            // the cursor when the dialog was opened
+            var id = ++previewID;
+            var citationItems = state.selected.map(getCitationItem);
+            if (!citationItems.length) {
+                previewCtrl.innerHtml('');
+                return;
+            }
+            var citation = {
+                citationItems: citationItems,
+                properties: {
+                    noteIndex: state.split.noteIndex
+                }
+            };
+            if (state.split.citationID) {
+                citation.citationID = state.split.citationID;
+            }
+            if ('number' === typeof state.split.chapterIndex) {
+                citation.properties.chapterIndex = state.split.chapterIndex;
+            }
+            citesupport.callPreviewCitation(citation, state.split.citationsPre, state.split.citationsPost).then(function(data) {
+                // Drop a superseded preview
+                if (id !== previewID) {
+                    return;
+                }
+                previewCtrl.innerHtml(data.citationText);
+            }).catch(function() {
+                // Errors are reported through citesupport.onError()
+            });
+        }
+        var schedulePreview = function() {
+            // Wait for a pause in typing
+            clearTimeout(previewTimer);
+            previewTimer = setTimeout(preview, 200);
+        }
+        var refresh = function() {
+            orderCtrl.innerHtml(renderOrder(state));
+            schedulePreview();
+        }
+        var search = function() {
+            var id = ++searchID;
+            citesupport.callSearchItems(searchCtrl.value(), {
+                type: typeCtrl.value()
+            }).then(function(data) {
+                // Drop the results of a superseded search
+                if (id !== searchID) {
+                    return;
+                }
+                for (var i = 0, ilen = data.items.length; i < ilen; i++) {
+                    state.labels[data.items[i].id] = data.items[i].label;
                 }
+                resultsCtrl.innerHtml(renderResults(state, data));
+            }).catch(function() {
+                // Errors are reported through citesupport.onError()
+            });
+        }
+        searchCtrl.on('keyup', function() {
+            clearTimeout(timer);
+            timer = setTimeout(search, 200);
+        });
+        typeCtrl.on('select', search);
+        resultsEl.addEventListener('change', function(e) {
+            var toggle = e.target.getAttribute('data-toggle');
+            var itemNode = getItemNode(e.target, resultsEl);
+            if (!toggle || !itemNode) {
+                return;
             }
+            var itemID = itemNode.getAttribute('data-item-id');
+            if (toggle === 'cite') {
+                var pos = getPos(itemID);
+                if (e.target.checked && pos === -1) {
+                    state.selected.push({
+                        id: itemID
+                    });
+                } else if (!e.target.checked && pos > -1) {
+                    state.selected.splice(pos, 1);
+                }
+                refresh();
+            } else {
+                var pos = state.uncited.indexOf(itemID);
+                if (e.target.checked && pos === -1) {
+                    state.uncited.push(itemID);
+                } else if (!e.target.checked && pos > -1) {
+                    state.uncited.splice(pos, 1);
+                }
+            }
+        });
+        var setOption = function(e) {
+            var option = e.target.getAttribute('data-option');
+            var itemNode = getItemNode(e.target, orderEl);
+            if (!option || !itemNode) {
+                return;
+            }
+            var item = state.selected[getPos(itemNode.getAttribute('data-item-id'))];
+            if (option === 'author') {
+                delete item['suppress-author'];
+                delete item['author-only'];
+                if (e.target.value !== 'show') {
+                    item[e.target.value] = true;
+                }
+            } else {
+                item[option] = e.target.value;
+            }
+            schedulePreview();
         }
-        return menu;
+        orderEl.addEventListener('input', setOption);
+        orderEl.addEventListener('change', setOption);
+        orderEl.addEventListener('click', function(e) {
+            var move = e.target.getAttribute('data-move');
+            var itemNode = getItemNode(e.target, orderEl);
+            if (!move || !itemNode) {
+                return;
+            }
+            var itemID = itemNode.getAttribute('data-item-id');
+            var pos = getPos(itemID);
+            if (move === 'remove') {
+                state.selected.splice(pos, 1);
+                var toggles = resultsEl.querySelectorAll('input[data-toggle="cite"]');
+                for (var i = 0, ilen = toggles.length; i < ilen; i++) {
+                    if (getItemNode(toggles[i], resultsEl).getAttribute('data-item-id') === itemID) {
+                        toggles[i].checked = false;
+                    }
+                }
+                refresh();
+                return;
+            }
+            var newPos = (move === 'up') ? pos - 1 : pos + 1;
+            if (newPos < 0 || newPos >= state.selected.length) {
+                return;
+            }
+            state.selected.splice(newPos, 0, state.selected.splice(pos, 1)[0]);
+            refresh();
+        });
+        orderEl.addEventListener('dragstart', function(e) {
+            // Option inputs are not drag handles
+            if (e.target.getAttribute && e.target.getAttribute('data-option')) {
+                return;
+            }
+            var itemNode = getItemNode(e.target, orderEl);
+            dragID = itemNode ? itemNode.getAttribute('data-item-id') : null;
+            e.dataTransfer.setData('text/plain', dragID);
+        });
+        orderEl.addEventListener('dragover', function(e) {
+            if (dragID) {
+                e.preventDefault();
+            }
+        });
+        orderEl.addEventListener('drop', function(e) {
+            e.preventDefault();
+            var itemNode = getItemNode(e.target, orderEl);
+            var targetID = itemNode ? itemNode.getAttribute('data-item-id') : null;
+            if (dragID && targetID && targetID !== dragID) {
+                var item = state.selected.splice(getPos(dragID), 1)[0];
+                var pos = getPos(targetID);
+                // Drop above or below the target, by pointer position
+                var rect = itemNode.getBoundingClientRect();
+                if (e.clientY > rect.top + (rect.height / 2)) {
+                    pos++;
+                }
+                state.selected.splice(pos, 0, item);
+                refresh();
+            }
+            dragID = null;
+        });
+        // Labels for items already in the citation, then the first results
+        refresh();
+        citesupport.callSearchItems('', {
+            itemIDs: state.selected.map(function(item) {
+                return item.id;
+            })
+        }).then(function(data) {
+            for (var i = 0, ilen = data.items.length; i < ilen; i++) {
+                state.labels[data.items[i].id] = data.items[i].label;
+            }
+            refresh();
+        }).catch(function() {
+            // Errors are reported through citesupport.onError()
+        });
+        search();
     }
 
     function pruneNodeList(nodeList) {
@@ -79,6 +348,122 @@ tinymce.PluginManager.add('citeaddedit', function(editor) {
         return retList;
     }
 
+    function getCitationSplit(selectedNode, isCitation) {
+        // The citations before and after the one under edit, or before
+        // and after the cursor for a new citation, with note numbers as
+        // they will be set on save
+        var doc = editor.getDoc();
+        // Nodes of new citations not yet registered are passed over
+        var citationNodes = pruneNodeList(doc.getElementsByClassName('citation')).filter(function(node) {
+            return node.id || node === selectedNode;
+        });
+        var split = {
+            citationID: null,
+            citationsPre: [],
+            citationsPost: [],
+            noteIndex: 0,
+            chapterIndex: null
+        };
+        var pos = 0;
+        var offset = 0;
+        if (isCitation) {
+            pos = citationNodes.indexOf(selectedNode);
+            split.citationID = selectedNode.id || null;
+            offset = 1;
+        } else {
+            // A new citation goes in at the start of the selection
+            var rng = editor.selection.getRng();
+            for (var i = 0, ilen = citationNodes.length; i < ilen; i++) {
+                if (rng.comparePoint(citationNodes[i], 0) < 0) {
+                    pos = i + 1;
+                }
+            }
+            // The new citation is not in the document yet, so its
+            // chapter is found from the markers before the cursor
+            var markers = doc.getElementsByClassName('citesupport-chapter');
+            split.chapterIndex = 0;
+            for (var i = 1, ilen = markers.length; i < ilen; i++) {
+                if (rng.comparePoint(markers[i], 0) < 0) {
+                    split.chapterIndex = i;
+                }
+            }
+        }
+        var note = citesupport.config.mode === 'note';
+        split.citationsPre = citesupport.config.citationByIndex.slice(0, pos).map(function(obj, i) {
+            return [obj.citationID, note ? (i + 1) : 0];
+        });
+        split.noteIndex = note ? (pos + 1) : 0;
+        split.citationsPost = citesupport.config.citationByIndex.slice(pos + offset).map(function(obj, i) {
+            return [obj.citationID, note ? (i + pos + 2) : 0];
+        });
+        return split;
+    }
+
+    function sendCitationEdit(citationNode, citationItems) {
+        // Send an edit made in the dialog, with the citations before
+        // and after it as they now stand in the document
+        var doc = editor.getDoc();
+        if (!doc.body.contains(citationNode)) {
+            // Removed while the edit was queued
+            return Promise.resolve();
+        }
+        var citation;
+        if (!citationItems.length) {
+            // Remove this citation from data and from DOM
+            citationNode.parentNode.removeChild(citationNode);
+            citesupport.config.citationByIndex = citesupport.spoofCitations();
+            if (citesupport.config.citationByIndex.length === 0) {
+                // If no citations remain, reinit
+                return citesupport.callInitProcessor(citesupport.config.defaultStyle, citesupport.config.defaultLocale, citesupport.config.citationByIndex);
+            }
+            // Otherwise use first citation for update
+            citation = citesupport.config.citationByIndex[0];
+            citationNode = doc.getElementById(citation.citationID);
+        } else {
+            // Reconcile citationByIndex and editor nodes
+            citesupport.config.citationByIndex = citesupport.spoofCitations();
+        }
+        // Now trawl through citations again and figure out where we are.
+        // Nodes of new citations queued after this one are passed over.
+        var citationNodes = citesupport.pruneNodeList(doc.getElementsByClassName('citation')).filter(function(node) {
+            return node.id || node === citationNode;
+        });
+        var pos = citationNodes.indexOf(citationNode);
+        var offset = 0;
+        if (citationNode.id) {
+            if (!citation) {
+                citation = citesupport.config.citationByIndex[pos];
+                citation.citationItems = citationItems;
+            }
+            offset = 1;
+        } else {
+            citation = {
+                citationItems: citationItems,
+                properties: {
+                    noteIndex: 0
+                }
+            };
+        }
+        var citationsPre = citesupport.config.citationByIndex.slice(0, pos).map(function(obj){
+            return [obj.citationID, 0];
+        });
+        var citationsPost = citesupport.config.citationByIndex.slice(pos + offset).map(function(obj){
+            return [obj.citationID, 0];
+        });
+        // Aaaaaand fix up note numbers if this is a note style
+        if (citesupport.config.mode === 'note') {
+            for (var i = 0, ilen = citationsPre.length; i < ilen; i++) {
+                citationsPre[i][1] = (i + 1);
+            }
+            var offset = (citationsPre.length + 1);
+            citation.properties.noteIndex = (offset);
+            for (var i = 0, ilen = citationsPost.length; i < ilen; i++) {
+                citationsPost[i][1] = (i + offset + 1);
+            }
+        }
+        return citesupport.callRegisterCitation(citation, citationsPre, citationsPost, citationNode);
+    }
+
 	function showDialog() {
         // Get selected node, and citationID if any
         var doc = editor.getDoc();
@@ -94,117 +479,97 @@ tinymce.PluginManager.add('citeaddedit', function(editor) {
         // Okay!
         // So if we're at a citation, we check its ID and look up its itemIDs in
         // the current citationByIndex map. It has to be in there.
-        var menu = buildMenu();
-        var itemIDs = getIDs(citationID);
-        var menu = configMenu(menu, itemIDs);
+        // The dialog works on copies of the cite items and uncited IDs
+        var state = {
+            selected: getCitationItems(citationID).map(function(citationItem) {
+                return JSON.parse(JSON.stringify(citationItem));
+            }),
+            uncited: citesupport.config.uncitedItemIDs.slice(),
+            labels: {},
+            split: getCitationSplit(selectedNode, isCitation)
+        };
+        var menu = [
+            {
+                type: 'textbox',
+                name: 'citesearch',
+                label: 'Search',
+                placeholder: 'Author, title or year'
+            },
+            {
+                type: 'listbox',
+                name: 'citetype',
+                label: 'Type',
+                values: [{ text: 'All types', value: '' }].concat(citesupport.itemTypes.map(function(type) {
+                    return {
+                        text: type,
+                        value: type
+                    };
+                })),
+                value: ''
+            },
+            {
+                type: 'container',
+                name: 'citeresults',
+                label: 'Items',
+                minWidth: 420,
+                minHeight: 154
+            },
+            {
+                type: 'container',
+                name: 'citeorder',
+                label: 'Order',
+                minWidth: 420,
+                minHeight: 110
+            },
+            {
+                type: 'container',
+                name: 'citepreview',
+                label: 'Preview',
+                minWidth: 420,
+                minHeight: 44
+            }
+        ];
 
         // Popup
-		editor.windowManager.open({
+		var win = editor.windowManager.open({
 			title: 'Add/Edit citation',
 			body: menu,
 			onsubmit: function(e) {
                 // What has been selected???
-                var newCitationItems = [];
-                for (var key in e.data) {
-                    if (e.data[key]) {
-                        newCitationItems.push({
-                            id: key
-                        });
-                    }
+                var newCitationItems = state.selected.map(getCitationItem);
+                var uncitedItemIDs = state.uncited;
+                // Update uncited items first, if they have changed. The
+                // update is queued with the edits, so that it does not
+                // run under an edit in flight.
+                if (uncitedItemIDs.slice().sort().join(',') !== citesupport.config.uncitedItemIDs.slice().sort().join(',')) {
+                    citesupport.queueEdit(function() {
+                        return citesupport.callSetUncitedItems(uncitedItemIDs);
+                    }).catch(function() {
+                        // Errors are reported through citesupport.onError()
+                    });
                 }
-                var citation;
 				if (!isCitation) {
                     if (newCitationItems.length) {
 					    editor.selection.collapse(true);
 					    editor.execCommand('mceInsertContent', false, '<span id="new-citation" class="citation mceNonEditable">{Citation}</span>');
                         selectedNode = doc.getElementById('new-citation');
                         selectedNode.removeAttribute('id');
-                        // Get citation and proceed
-                        citation = {
-                            citationItems: newCitationItems,
-                            properties: {
-                                noteIndex: 0
-                            }
-                        }
                     } else {
                         // Did not add anything, so just quit
                         return;
                     }
-                } else if (citationID) {
-                    var citationPos = -1;
-                    var citationNodes = pruneNodeList(doc.getElementsByClassName('citation'));
-                    for (var i = 0; i < citationNodes.length; i++) {
-                        if (citationNodes[i] === selectedNode) {
-                            citationPos = i;
-                            break;
-                        }
-                    }
-                    if (citationPos === -1) {
-                        throw "Menu node not found"
-                    } else {
-                        citation = citesupport.config.citationByIndex[citationPos];
-                    }
-                    if (newCitationItems.length) {
-                        // Set citation items and proceed
-                        citation.citationItems = newCitationItems;
-                    } else {
-                        // Remove this citation from data and from DOM
-                        var citationNodes = pruneNodeList(doc.getElementsByClassName('citation'));
-                        citesupport.config.citationByIndex = citesupport.config.citationByIndex.slice(0, citationPos).concat(citesupport.config.citationByIndex.slice(citationPos + 1));
-                        if (citesupport.config.citationByIndex.length === 0) {
-                            // If no citations remain, reinit
-                            callInitProcessor();
-                            return;
-                        } else {
-                            // Otherwise use first citation for update and remove this citation
-                            citation = citesupport.config.citationByIndex[0];
-                            var citationNode = doc.getElementById(citationID);
-                            citationNode.parentNode.removeChild(citationNode);
-                        }
-                    }
-                }
-                // Now trawl through citations again and figure out where we are
-                var citations = pruneNodeList(doc.getElementsByClassName('citation'));
-                var citationsPre = [];
-                var citationsPost = [];
-                var offset = 0;
-                for (var i = 0, ilen = citations.length; i < ilen; i++) {
-                    var citationNode = citations[i];
-                    if (citationNode === selectedNode) {
-                        var offset = 0;
-                        if (isCitation) {
-                            offset = 1;
-                        }
-                        if (citesupport.config.citationByIndex.slice(0, i).length) {
-                            citationsPre = citesupport.config.citationByIndex.slice(0, i).map(function(obj){
-                                return [obj.citationID, 0]
-                            });
-                        }
-                        if (citesupport.config.citationByIndex.slice(i + offset).length) {
-                            citationsPost = citesupport.config.citationByIndex.slice(i + offset).map(function(obj){
-                                return [obj.citationID, 0];
-                            });;
-                        }
-                        break;
-                    }
-                }
-                // Aaaaaand fix up note numbers if this is a note style
-                if (citesupport.config.mode === 'note') {
-                    for (var i = 0, ilen = citationsPre.length; i < ilen; i++) {
-                        citationsPre[i][1] = (i + 1);
-                    }
-                    var offset = (citationsPre.length + 1);
-                    citation.properties.noteIndex = (offset);
-                    for (var i = 0, ilen = citationsPost.length; i < ilen; i++) {
-                        citationsPost[i][1] = (i + offset + 1);
-                    }
                 }
-                //console.log('citation: '+citation);
-                //console.log('citationsPre: '+JSON.stringify(citationsPre));
-                //console.log('citationsPost: '+JSON.stringify(citationsPost));
-                citesupport.callRegisterCitation(citation, citationsPre, citationsPost);
+                // The citations around this one are read when the edit
+                // is sent, after any earlier edits have returned
+                var citationNode = selectedNode;
+                citesupport.queueEdit(function() {
+                    return sendCitationEdit(citationNode, newCitationItems);
+                }).catch(function() {
+                    // Errors are reported through citesupport.onError()
+                });
 			}
 		});
+        setDialogListeners(win, state);
 	}
 
 	editor.addCommand('mceCite', showDialog);
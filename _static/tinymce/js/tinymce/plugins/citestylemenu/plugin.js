@@ -1,44 +1,123 @@
 tinymce.PluginManager.add('citestylemenu', function(editor) {
 
     var citesupport = editor.plugins.citesupport.citesupport;
-    
-    editor.addButton('citestylemenu', {
-        type: 'listbox',
-        text: 'Citation style',
-        icon: false,
-        onselect: function (e) {
-            // Style
-            var styleContainer = citesupport.editor.getDoc().getElementById('citesupport-style-container');
-            if (!styleContainer) {
-                styleContainer = citesupport.editor.getDoc().createElement('div');
-                styleContainer.setAttribute('id', 'citesupport-style-container');
-                styleContainer.hidden = true;
-                citesupport.editor.getBody().appendChild(styleContainer);
+
+    // Headings for the groups of the style list, by CSL citation format
+    var formatLabels = {
+        'author-date': 'Author-date',
+        'author': 'Author',
+        'numeric': 'Numeric',
+        'label': 'Label',
+        'note': 'Note'
+    };
+
+    function getCurrentStyle() {
+        var styleContainer = citesupport.editor.getDoc().getElementById('citesupport-style-container');
+        if (styleContainer) {
+            return styleContainer.innerHTML;
+        }
+        return citesupport.config.defaultStyle;
+    }
+
+    function setStyle(styleID) {
+        // Style
+        var styleContainer = citesupport.editor.getDoc().getElementById('citesupport-style-container');
+        if (!styleContainer) {
+            styleContainer = citesupport.editor.getDoc().createElement('div');
+            styleContainer.setAttribute('id', 'citesupport-style-container');
+            styleContainer.hidden = true;
+            citesupport.editor.getBody().appendChild(styleContainer);
+        }
+        styleContainer.innerHTML = styleID;
+        citesupport.initDocument();
+    }
+
+    function escapeHTML(str) {
+        return ('' + str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    function renderStyles(styles, selectedID) {
+        // The styles as radio buttons, under a heading for each
+        // citation format (the catalogue is sorted by format)
+        if (!styles.length) {
+            return '<div style="color:#888888;">No matching styles</div>';
+        }
+        var html = '';
+        var label = null;
+        for (var i = 0, ilen = styles.length; i < ilen; i++) {
+            var style = styles[i];
+            var styleLabel = formatLabels[style.citationFormat] || 'Other';
+            if (styleLabel !== label) {
+                label = styleLabel;
+                html += '<div style="font-weight:bold;line-height:22px;">' + label + '</div>';
             }
-            styleContainer.innerHTML = this.value();
-            citesupport.initDocument();
-        },
-        values: [
-            { text: "ACM Proceedings", value: "acm-sig-proceedings" },
-            { text: "AMA", value: "american-medical-association" },
-            { text: "Chicago (author-date)", value: "chicago-author-date" },
-            { text: "Chicago (full note)", value: "jm-chicago-fullnote-bibliography" },
-            { text: "DIN-1505-2 (alpha)", value: "din-1505-2-alphanumeric" },
-            { text: "JM Indigo", value: "jm-indigobook" },
-            { text: "JM Indigo (L. Rev.)", value: "jm-indigobook-law-review" },
-            { text: "JM OSCOLA", value: "jm-oscola" }
-        ],
-        onPostRender: function (e) {
-            var me = this;
-            setTimeout(function() {
-                // Select the second item by default
-                var styleContainer = citesupport.editor.getDoc().getElementById('citesupport-style-container');
-                if (styleContainer) {
-                    me.value(styleContainer.innerHTML);
-                } else {
-                    me.value("american-medical-association");
+            html += '<label style="display:block;line-height:22px;white-space:nowrap;" title="' + escapeHTML(style.summary || style.fields.join(', ')) + '">'
+                + '<input type="radio" name="citestyle" value="' + escapeHTML(style.id) + '"' + (style.id === selectedID ? ' checked' : '') + ' style="margin-right:6px;">'
+                + escapeHTML(style.title)
+                + '</label>';
+        }
+        return html;
+    }
+
+    function showDialog() {
+        var selectedID = getCurrentStyle();
+        var win = editor.windowManager.open({
+            title: 'Citation style',
+            body: [
+                {
+                    type: 'textbox',
+                    name: 'stylesearch',
+                    label: 'Search',
+                    placeholder: 'Title, field or ID'
+                },
+                {
+                    type: 'container',
+                    name: 'stylelist',
+                    label: 'Styles',
+                    minWidth: 420,
+                    minHeight: 220
+                }
+            ],
+            onsubmit: function() {
+                if (selectedID !== getCurrentStyle()) {
+                    setStyle(selectedID);
+                }
+            }
+        });
+        var searchCtrl = win.find('#stylesearch')[0];
+        var listCtrl = win.find('#stylelist')[0];
+        var listEl = listCtrl.getEl();
+        var searchID = 0;
+        var timer = null;
+        // The container keeps the size given at layout, and scrolls
+        listEl.style.overflowY = 'auto';
+        var search = function() {
+            var id = ++searchID;
+            citesupport.callGetStyles(searchCtrl.value()).then(function(data) {
+                // Drop the results of a superseded search
+                if (id !== searchID) {
+                    return;
                 }
-            }, 100);
+                listCtrl.innerHtml(renderStyles(data.styles, selectedID));
+            }).catch(function() {
+                // Errors are reported through citesupport.onError()
+            });
         }
+        searchCtrl.on('keyup', function() {
+            clearTimeout(timer);
+            timer = setTimeout(search, 200);
+        });
+        listEl.addEventListener('change', function(e) {
+            if (e.target.name === 'citestyle') {
+                selectedID = e.target.value;
+            }
+        });
+        search();
+    }
+
+    editor.addButton('citestylemenu', {
+        text: 'Citation style',
+        icon: false,
+        onclick: showDialog
     });
 });
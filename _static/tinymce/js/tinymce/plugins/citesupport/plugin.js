@@ -31,6 +31,11 @@ tinymce.PluginManager.add('citesupport', function(editor) {
      *   handlers expect the class object to be available in global
      *   context under that name.
      *
+     * - Bibliography layout is set with `BibliographyCSS`, which is
+     *   not loaded by the plugin. The page must load
+     *   `_static/js/citesupport-css.js` (which defines it as a global)
+     *   before the editor is initialized.
+     *
      * - If `config.demo` is `true`, the stored object `citationIdToPos`
      *   maps citationIDs to the index position of fixed "pegs" in the
      *   document that have class `citeme`. In the demo, this map is
@@ -70,6 +75,28 @@ tinymce.PluginManager.add('citesupport', function(editor) {
      */
 
 
+    /**
+     * CSL item types offered as a search filter in the citation dialog.
+     */
+    var ITEM_TYPES = [
+        'article', 'article-journal', 'article-magazine', 'article-newspaper',
+        'bill', 'book', 'broadcast', 'chapter', 'dataset', 'entry',
+        'entry-dictionary', 'entry-encyclopedia', 'figure', 'graphic',
+        'interview', 'legal_case', 'legislation', 'manuscript', 'map',
+        'motion_picture', 'musical_score', 'pamphlet', 'paper-conference',
+        'patent', 'personal_communication', 'post', 'post-weblog', 'report',
+        'review', 'review-book', 'song', 'speech', 'thesis', 'treaty', 'webpage'
+    ];
+
+    /**
+     * Locator labels offered in the citation dialog, as CSL locator terms.
+     */
+    var LOCATOR_LABELS = [
+        'page', 'book', 'chapter', 'column', 'figure', 'folio', 'issue',
+        'line', 'note', 'opus', 'paragraph', 'part', 'section', 'sub verbo',
+        'verse', 'volume'
+    ];
+
     function CiteSupport(editor) {
         this.editor = editor;
         this.config = {
@@ -79,49 +106,51 @@ tinymce.PluginManager.add('citesupport', function(editor) {
             defaultStyle: 'american-medical-association',
             citationIdToPos: {},
             citationByIndex: [],
+            uncitedItemIDs: [],
+            bibliographySections: [],
+            chapterCount: 0,
+            consolidatedBibliography: editor.getParam('citesupport_consolidated_bibliography', true),
             processorReady: false,
+            dataSources: editor.getParam('citesupport_data_sources', null),
+            libraryItemIDs: editor.getParam('citesupport_library_items', ['item01', 'item02', 'item03', 'item04', 'item05']),
+            snapshotDelay: editor.getParam('citesupport_snapshot_delay', 2000),
+            requestTimeout: editor.getParam('citesupport_request_timeout', 60000),
             demo: true
         };
+        this.requestCount = 0;
+        this.pendingRequests = {};
+        this.editQueue = Promise.resolve();
+        this.bibliographyLayouts = {};
+        this.snapshotTimer = null;
+        // Shared with the citeaddedit dialog
+        this.itemTypes = ITEM_TYPES;
+        this.locatorLabels = LOCATOR_LABELS;
         var me = this;
         this.worker = new Worker('_static/js/citeworker.js');
         this.worker.onmessage = function(e) {
-            switch(e.data.command) {
-                /**
-                 * In response to `callInitProcessor` request, refresh
-                 *   `config.mode`, and document citations (if any)
-                 *   and document bibliography (if any).
-                 *
-                 * @param {string} xclass Either `note` or `in-text` as a string
-                 * @param {Object[]} rebuildData Array of elements with the form `[citationID, noteNumber, citeString]`
-                 * @param {Object[]} bibliographyData Array of serialized xHTML bibliography entries
-                 */
-            case 'initProcessor':
-                me.debug('initProcessor()');
-                me.config.mode = e.data.xclass;
-                me.config.citationByIndex = e.data.citationByIndex;
-                var citationData = me.convertRebuildDataToCitationData(e.data.rebuildData);
-                me.setCitations(me.config.mode, citationData);
-                me.setBibliography(e.data.bibliographyData);
-                me.config.processorReady = true;
-                break;
-                /**
-                 * In response to `callRegisterCitation`, refresh `config.citationByIndex`,
-                 *   set citations that require update in the document, replace
-                 *   the bibliography in the document, and save the `citationByIndex` array
-                 *   for persistence.
-                 *
-                 * @param {Object[]} citationByIndex Array of registered citation objects
-                 * @param {Object[]} citationData Array of elements with the form `[noteNumber, citeString]`
-                 * @param {Object[]} bibliographyData Array of serialized xHTML bibliography entries
-                 */
-            case 'registerCitation':
-                me.debug('registerCitation()');
-                me.config.citationByIndex = e.data.citationByIndex;
-                // setCitations() implicitly updates this.config.citationIDs
-                me.setCitations(me.config.mode, e.data.citationData, true);
-                me.setBibliography(e.data.bibliographyData);
-                me.config.processorReady = true;
-                break;
+            var request = me.pendingRequests[e.data.requestID];
+            if (!request) {
+                me.debug('WARNING: response to unknown request ' + e.data.requestID);
+                return;
+            }
+            clearTimeout(request.timer);
+            delete me.pendingRequests[e.data.requestID];
+            me.config.processorReady = (Object.keys(me.pendingRequests).length === 0);
+            if (e.data.result === 'OK') {
+                request.resolve(e.data);
+            } else {
+                for (var i = 0, ilen = e.data.errors.length; i < ilen; i++) {
+                    me.onError(e.data.errors[i]);
+                }
+                request.reject(e.data.errors);
+            }
+        }
+        this.worker.onerror = function(e) {
+            // The worker failed outside of any request, and will not
+            // reply to those pending
+            var message = (e && e.message) ? e.message : 'Worker error';
+            for (var requestID in me.pendingRequests) {
+                me.rejectRequest(requestID, 'WORKER_ERROR', message);
             }
         }
     }
@@ -137,26 +166,194 @@ tinymce.PluginManager.add('citesupport', function(editor) {
         }
     }
 
+    /**
+     * Hook for errors returned by the worker. Override this on the
+     *   plugin's `citesupport` object to report errors to the user.
+     *
+     * Each error has a `code` (one of `ENGINE_ERROR`, `XML_PARSE_ERROR`,
+     *   `FETCH_ERROR`, `JSON_ERROR`, `CONFIG_ERROR`, `ITEM_IN_USE`,
+     *   `NO_PROCESSOR` or `UNKNOWN_COMMAND`; or, for a request that
+     *   the worker failed to answer, `WORKER_ERROR` or `TIMEOUT`),
+     *   a `message`, the `command` that failed, and the `citationID`
+     *   of the citation under registration (or `null`).
+     *
+     * @param {Object{}} error An error object returned by the worker
+     * @return {void}
+     */
+    CiteSupport.prototype.onError = function(error) {
+        this.debug('ERROR (' + error.code + ') in ' + error.command + ': ' + error.message);
+    }
+
+    /**
+     * Sends a command to the worker. Each message carries a request ID,
+     *   and the worker replies against that ID. The worker runs requests
+     *   strictly in the order received, so calls made while the processor
+     *   is busy are queued rather than dropped. A request that has no
+     *   reply within `config.requestTimeout` milliseconds (if set) is
+     *   rejected with a `TIMEOUT` error.
+     *
+     * @param {string} command The name of a worker command
+     * @param {Object{}} params Arguments to the command
+     * @return {Promise} Resolves with the response data, or rejects with its errors
+     */
+    CiteSupport.prototype.callWorker = function(command, params) {
+        var me = this;
+        this.requestCount += 1;
+        var requestID = this.requestCount;
+        params.command = command;
+        params.requestID = requestID;
+        return new Promise(function(resolve, reject) {
+            var request = {
+                command: command,
+                citationID: (params.citation && params.citation.citationID) || null,
+                resolve: resolve,
+                reject: reject,
+                timer: null
+            };
+            if (me.config.requestTimeout) {
+                request.timer = setTimeout(function() {
+                    me.rejectRequest(requestID, 'TIMEOUT', 'No reply from the worker within ' + me.config.requestTimeout + 'ms');
+                }, me.config.requestTimeout);
+            }
+            me.pendingRequests[requestID] = request;
+            me.config.processorReady = false;
+            me.worker.postMessage(params);
+        });
+    }
+
+    /**
+     * Rejects a pending request with an error of the form returned by
+     *   the worker, for a failure that the worker cannot report itself.
+     *   The error is passed to `onError()`. A late reply to the request
+     *   is ignored.
+     *
+     * @param {number} requestID The ID of the request
+     * @param {string} code The error code
+     * @param {string} message The error message
+     * @return {void}
+     */
+    CiteSupport.prototype.rejectRequest = function(requestID, code, message) {
+        var request = this.pendingRequests[requestID];
+        if (!request) {
+            return;
+        }
+        clearTimeout(request.timer);
+        delete this.pendingRequests[requestID];
+        this.config.processorReady = (Object.keys(this.pendingRequests).length === 0);
+        var errors = [
+            {
+                code: code,
+                message: message,
+                command: request.command,
+                citationID: request.citationID
+            }
+        ];
+        this.onError(errors[0]);
+        request.reject(errors);
+    }
+
+    /**
+     * Runs a document edit once the edits queued before it have
+     *   returned. The worker queues requests itself, but an edit
+     *   reads the citations around its own from `config.citationByIndex`,
+     *   which reflects an earlier edit only when its response arrives.
+     *   Processor initializations are queued in the same way, so that
+     *   none resets the processor under an edit in flight.
+     *
+     * @param {Function} edit A function making the edit, returning a Promise
+     * @return {Promise} Resolves or rejects as the promise from `edit`
+     */
+    CiteSupport.prototype.queueEdit = function(edit) {
+        var ret = this.editQueue.then(edit);
+        this.editQueue = ret.catch(function() {
+            // Reported by the edit itself
+        });
+        return ret;
+    }
+
     /**
      * Initializes the processor, optionally populating it with a
-     *   preexisting list of citations.
+     *   preexisting list of citations and uncited items.
+     *
+     * On return, refresh `config.mode`, and document citations (if any)
+     *   and document bibliography (if any). The response carries:
+     *
+     *   - `xclass`: Either `note` or `in-text` as a string
+     *   - `rebuildData`: Array of elements with the form `[citationID, noteNumber, citeString]`
+     *   - `bibliographyData`: Array of serialized xHTML bibliography entries
+     *   - `bibliographySections`: Array of bibliography sections, each with
+     *     its `title` and `bibliographyData` (if `config.bibliographySections`
+     *     is set, in place of `bibliographyData`)
+     *   - `chapterBibliographies`: Array with the `bibliographyData` or
+     *     `bibliographySections` of each chapter (if the document has chapters)
+     *   - `restored`: Whether the processor was restored from `snapshot`
+     *
+     * Data is fetched through the adapters set in `config.dataSources`
+     *   (from the `citesupport_data_sources` editor setting), or from
+     *   static files in `_static/data` if `null`.
+     *
+     * Each element with class `citesupport-chapter` begins a chapter,
+     *   with its own citation numbering and bibliography. Citations
+     *   are assigned to chapters by `properties.chapterIndex`. If
+     *   `config.consolidatedBibliography` is false (from the
+     *   `citesupport_consolidated_bibliography` editor setting), a
+     *   document with chapters has no bibliography of its own. Chapter
+     *   markers are read only here, so the processor must be
+     *   initialized again when they change.
+     *
+     * If `snapshot` (from `callGetSnapshot()`) was taken of the same
+     *   citations, rendered with the same style, locale, items and
+     *   abbreviations, the processor is restored from it without
+     *   rerunning every citation. A stale snapshot is ignored.
+     *
+     * Abbreviations saved with the document are sent along, and are
+     *   in place before the processor is built.
      *
      * @param {string} styleName The ID of a style
      * @param {string} localeName The ID of a locale
      * @param {Object[]} citationByIndex An array of citation objects with citationIDs
-     * @return {void}
+     * @param {string[]} uncitedItemIDs An array of item IDs to list in the
+     *   bibliography without citing them (defaults to `config.uncitedItemIDs`)
+     * @param {Object{}} snapshot A snapshot of the processor state (optional)
+     * @return {Promise} Resolves with the worker response
      */
-    CiteSupport.prototype.callInitProcessor = function(styleName, localeName, citationByIndex) {
+    CiteSupport.prototype.callInitProcessor = function(styleName, localeName, citationByIndex, uncitedItemIDs, snapshot) {
         this.debug('callInitProcessor()');
-        this.config.processorReady = false;
+        var me = this;
         if (!citationByIndex) {
             citationByIndex = [];
         }
-        this.worker.postMessage({
-            command: 'initProcessor',
+        if (!uncitedItemIDs) {
+            uncitedItemIDs = this.config.uncitedItemIDs;
+        }
+        var chapterIndexes = this.getChapterIndexes();
+        for (var i = 0, ilen = citationByIndex.length; i < ilen; i++) {
+            citationByIndex[i].properties.chapterIndex = chapterIndexes[i] || 0;
+        }
+        this.config.chapterCount = this.editor.getDoc().getElementsByClassName('citesupport-chapter').length;
+        return this.callWorker('initProcessor', {
             styleName: styleName,
             localeName: localeName,
-            citationByIndex: citationByIndex
+            citationByIndex: citationByIndex,
+            uncitedItemIDs: uncitedItemIDs,
+            bibliographySections: this.config.bibliographySections,
+            chapterCount: this.config.chapterCount,
+            consolidatedBibliography: this.config.consolidatedBibliography,
+            dataSources: this.config.dataSources,
+            abbreviations: this.getDocumentAbbreviations(),
+            snapshot: snapshot || null
+        }).then(function(data) {
+            me.debug('initProcessor()');
+            me.config.mode = data.xclass;
+            me.config.uncitedItemIDs = data.uncitedItemIDs;
+            me.config.citationByIndex = data.citationByIndex;
+            var citationData = me.convertRebuildDataToCitationData(data.rebuildData);
+            me.setCitations(me.config.mode, citationData);
+            me.setBibliography(data.bibliographyData, data.bibliographySections, data.chapterBibliographies);
+            if (!data.restored) {
+                me.scheduleSnapshot();
+            }
+            return data;
         });
     }
 
@@ -165,23 +362,582 @@ tinymce.PluginManager.add('citesupport', function(editor) {
      *   citations described by `preCitations` and precede those
      *   described in `postCitations`.
      *
+     * On return, refresh `config.citationByIndex`, set citations that
+     *   require update in the document, and update the bibliography
+     *   in the document. The response carries:
+     *
+     *   - `citationByIndex`: Array of registered citation objects
+     *   - `citationData`: Array of elements with the form `[noteNumber, citeString]`
+     *   - `bibliographyData`: Array of serialized xHTML bibliography entries
+     *   - `bibliographySections`: Array of bibliography sections (if set)
+     *   - `chapterBibliographies`: Array of chapter bibliographies (if the document has chapters)
+     *   - `bibliographyChanges`: Changes to the entries of the bibliographies
+     *     (if only entries have changed, in place of the three above; see
+     *     `updateBibliography()`)
+     *
+     * The chapter of the citation is set from its position in the document.
+     *
+     * If `citationNode` is given, the node of a new citation is given
+     *   the citationID assigned by the processor on return.
+     *
      * @param {Object{}} citation A citation object
      * @param {Object[]} preCitations An array of `[citationID, noteNumber]` pairs in document order
      * @param {Object[]} postCitations An array of `[citationID, noteNumber]` pairs in document order
-     * @return {void}
+     * @param {HtmlElement} citationNode The span node of the citation (optional)
+     * @return {Promise} Resolves with the worker response
      */
-    CiteSupport.prototype.callRegisterCitation = function(citation, preCitations, postCitations) {
-        if (!this.config.processorReady) return;
+    CiteSupport.prototype.callRegisterCitation = function(citation, preCitations, postCitations, citationNode) {
         this.debug('callRegisterCitation() ('+citation+") ("+JSON.stringify(preCitations)+") ("+JSON.stringify(postCitations)+")");
-        this.config.processorReady = false;
-        this.worker.postMessage({
-            command: 'registerCitation',
+        var me = this;
+        var citationPos = preCitations.length;
+        if (citationNode) {
+            citationPos = this.pruneNodeList(this.editor.getDoc().getElementsByClassName('citation')).indexOf(citationNode);
+        }
+        citation.properties.chapterIndex = this.getChapterIndexes()[citationPos] || 0;
+        return this.callWorker('registerCitation', {
+            citation: citation,
+            preCitations: preCitations,
+            postCitations: postCitations
+        }).then(function(data) {
+            me.debug('registerCitation()');
+            if (citationNode && !citationNode.id) {
+                citationNode.setAttribute('id', data.citationByIndex[preCitations.length].citationID);
+            }
+            me.updateDocument(data);
+            return data;
+        }, function(errors) {
+            me.recoverDocument(errors);
+            throw errors;
+        });
+    }
+
+    /**
+     * Renders a citation as `callRegisterCitation()` would render it
+     *   between `preCitations` and `postCitations`, without registering
+     *   it. Neither the processor nor the document is changed. The
+     *   response carries the rendered citation as `citationText`,
+     *   with any ibid, subsequent or disambiguated form that it takes
+     *   in that position.
+     *
+     * The chapter of the citation is set from its position in the
+     *   document, unless `properties.chapterIndex` is given.
+     *
+     * @param {Object{}} citation A citation object
+     * @param {Object[]} preCitations An array of `[citationID, noteNumber]` pairs in document order
+     * @param {Object[]} postCitations An array of `[citationID, noteNumber]` pairs in document order
+     * @return {Promise} Resolves with the worker response
+     */
+    CiteSupport.prototype.callPreviewCitation = function(citation, preCitations, postCitations) {
+        this.debug('callPreviewCitation()');
+        if ('number' !== typeof citation.properties.chapterIndex) {
+            citation.properties.chapterIndex = this.getChapterIndexes()[preCitations.length] || 0;
+        }
+        return this.callWorker('previewCitation', {
             citation: citation,
             preCitations: preCitations,
             postCitations: postCitations
         });
     }
 
+    /**
+     * Takes a snapshot of the processor state, for a later
+     *   `callInitProcessor()`. The response carries it as `snapshot`,
+     *   a plain object that can be stored as JSON. It holds the
+     *   registered citations and their texts, with hashes of the
+     *   style, locales and items by which a stale snapshot is
+     *   recognized.
+     *
+     * @return {Promise} Resolves with the worker response
+     */
+    CiteSupport.prototype.callGetSnapshot = function() {
+        this.debug('callGetSnapshot()');
+        return this.callWorker('getSnapshot', {});
+    }
+
+    /**
+     * Saves a snapshot of the processor state in the document, for
+     *   `initDocument()`, once the document has settled:
+     *   `config.snapshotDelay` milliseconds (from the
+     *   `citesupport_snapshot_delay` editor setting) after the last
+     *   change.
+     *
+     * @return {void}
+     */
+    CiteSupport.prototype.scheduleSnapshot = function() {
+        var me = this;
+        clearTimeout(this.snapshotTimer);
+        this.snapshotTimer = setTimeout(function() {
+            me.callGetSnapshot().then(function(data) {
+                me.setDocumentSnapshot(data.snapshot);
+            }).catch(function() {
+                // Errors are reported through onError()
+            });
+        }, this.config.snapshotDelay);
+    }
+
+    /**
+     * The snapshot is saved in a hidden container in the document, as
+     *   base64-encoded JSON. Citation texts may fall outside Latin-1,
+     *   so the JSON is UTF-8 encoded for `btoa()`.
+     *
+     * @return {Object{}} A snapshot of the processor state, or null
+     */
+    CiteSupport.prototype.getDocumentSnapshot = function() {
+        var container = this.editor.getDoc().getElementById('citesupport-snapshot-container');
+        if (!container || !container.innerHTML) {
+            return null;
+        }
+        return JSON.parse(decodeURIComponent(escape(atob(container.innerHTML))));
+    }
+
+    CiteSupport.prototype.setDocumentSnapshot = function(snapshot) {
+        var doc = this.editor.getDoc();
+        var container = doc.getElementById('citesupport-snapshot-container');
+        if (!container) {
+            container = doc.createElement('div');
+            container.setAttribute('id', 'citesupport-snapshot-container');
+            container.hidden = true;
+            this.editor.getBody().appendChild(container);
+        }
+        container.innerHTML = btoa(unescape(encodeURIComponent(JSON.stringify(snapshot))));
+    }
+
+    /**
+     * Uploads CSL-JSON items into the worker in a single message, and
+     *   optionally removes others. Uploaded items are used in place of
+     *   a fetch from the data source. Items that are already cited may
+     *   be updated, but not removed.
+     *
+     * The batch is checked whole: if any item lacks an `id`, nothing
+     *   is changed. If an uploaded item is registered in the processor,
+     *   it is refreshed there, and the response carries the affected
+     *   citations as `citationData`, with `bibliographyChanges` or the
+     *   bibliographies, in the same form as `callRegisterCitation()`.
+     *   Otherwise these are `null`.
+     *
+     * @param {Object[]} items An array of CSL-JSON items, or an object mapping IDs to items
+     * @param {string[]} removeIDs An array of item IDs to remove
+     * @return {Promise} Resolves with the worker response
+     */
+    CiteSupport.prototype.callLoadItems = function(items, removeIDs) {
+        this.debug('callLoadItems()');
+        var me = this;
+        return this.callWorker('loadItems', {
+            items: items,
+            removeIDs: removeIDs
+        }).then(function(data) {
+            me.debug('loadItems()');
+            if (data.citationData) {
+                me.updateDocument(data);
+            }
+            return data;
+        });
+    }
+
+    /**
+     * Drops content cached by the worker. Styles, locales, items and
+     *   jurisdiction modules are kept across processor rebuilds, so
+     *   that a change of style refetches only what the new style
+     *   needs. After a change at the data source, invalidate the
+     *   cached copies. `types` are any of `styles`, `locales`, `items`
+     *   and `juris` (all by default), and `ids` restricts each to the
+     *   given IDs.
+     *
+     * Styles, locales and jurisdiction modules are fetched again by
+     *   the next `callInitProcessor()`. Items in use in the document
+     *   are fetched again at once, and the document is rerendered,
+     *   with the same `rebuildData` and `bibliographyData` as
+     *   `callInitProcessor()`. Otherwise these are `null`.
+     *
+     * @param {string[]} types An array of cache types
+     * @param {string[]} ids An array of IDs to invalidate
+     * @return {Promise} Resolves with the worker response
+     */
+    CiteSupport.prototype.callInvalidateCache = function(types, ids) {
+        this.debug('callInvalidateCache()');
+        var me = this;
+        return this.callWorker('invalidateCache', {
+            types: types,
+            ids: ids
+        }).then(function(data) {
+            me.debug('invalidateCache()');
+            me.refreshDocument(data);
+            return data;
+        });
+    }
+
+    /**
+     * Fetches items from the data source into the item store of the
+     *   worker, so that they can be found with `callSearchItems()`.
+     *   The items are not cited.
+     *
+     * @param {string[]} itemIDs An array of item IDs
+     * @return {Promise} Resolves with the worker response
+     */
+    CiteSupport.prototype.callFetchItems = function(itemIDs) {
+        this.debug('callFetchItems()');
+        return this.callWorker('fetchItems', {
+            itemIDs: itemIDs
+        });
+    }
+
+    /**
+     * Searches the item store of the worker by creator, title and
+     *   year. The response carries the matching items as `items`, each
+     *   with an `id`, a `label` generated from its CSL-JSON fields
+     *   (such as "Geller et al. 2002"), its `title`, `type` and
+     *   `year`, and the number of matches before the limit as `total`.
+     *
+     * @param {string} query Words that must all occur in a matching item
+     * @param {Object{}} options `type`, a CSL item type; `itemIDs`, an
+     *   array of IDs to restrict the search to; `limit`, the maximum
+     *   number of items returned (default 50)
+     * @return {Promise} Resolves with the worker response
+     */
+    CiteSupport.prototype.callSearchItems = function(query, options) {
+        this.debug('callSearchItems()');
+        options = options || {};
+        return this.callWorker('searchItems', {
+            query: query,
+            type: options.type,
+            itemIDs: options.itemIDs,
+            limit: options.limit
+        });
+    }
+
+    /**
+     * Fetches the style catalogue from the worker. Each style in the
+     *   response is described by the metadata in its CSL `<info>` block:
+     *   `id`, `title`, `titleShort`, `citationFormat`, `fields`,
+     *   `parent` (for a dependent style), `defaultLocale` and
+     *   `summary`. Styles are sorted by citation format, then by title.
+     *
+     * @param {string} query Words that must all occur in the title, ID,
+     *   fields or summary of a matching style
+     * @param {Object{}} options `citationFormat` and `field`, to restrict
+     *   the styles returned
+     * @return {Promise} Resolves with the worker response
+     */
+    CiteSupport.prototype.callGetStyles = function(query, options) {
+        this.debug('callGetStyles()');
+        options = options || {};
+        return this.callWorker('getStyles', {
+            query: query,
+            citationFormat: options.citationFormat,
+            field: options.field,
+            dataSources: this.config.dataSources
+        });
+    }
+
+    /**
+     * Sets the items that appear in the bibliography without being
+     *   cited in the document, replacing any set before. The document
+     *   is rerendered, since citation numbering and disambiguation
+     *   may depend on these items. The list is saved in the document
+     *   data container.
+     *
+     * @param {string[]} uncitedItemIDs An array of item IDs
+     * @return {Promise} Resolves with the worker response
+     */
+    CiteSupport.prototype.callSetUncitedItems = function(uncitedItemIDs) {
+        this.debug('callSetUncitedItems()');
+        var me = this;
+        return this.callWorker('setUncitedItems', {
+            uncitedItemIDs: uncitedItemIDs
+        }).then(function(data) {
+            me.debug('setUncitedItems()');
+            me.config.uncitedItemIDs = data.uncitedItemIDs;
+            me.setDocumentUncitedItems(data.uncitedItemIDs);
+            me.refreshDocument(data);
+            return data;
+        });
+    }
+
+    /**
+     * Uncited item IDs are saved as base64-encoded JSON in a node of
+     *   the `citesupport-data-container`, alongside the citation data.
+     *
+     * @param {string[]} uncitedItemIDs An array of item IDs
+     * @return {void}
+     */
+    CiteSupport.prototype.setDocumentUncitedItems = function(uncitedItemIDs) {
+        var doc = this.editor.getDoc();
+        var dataContainer = doc.getElementById('citesupport-data-container');
+        if (!dataContainer) {
+            dataContainer = doc.createElement('div');
+            dataContainer.setAttribute('id', 'citesupport-data-container');
+            dataContainer.classList.add('mceNonEditable');
+            dataContainer.setAttribute('contenteditable', "false");
+            dataContainer.hidden = true;
+            this.editor.getBody().appendChild(dataContainer);
+        }
+        var dataNode = doc.getElementById('csdata-uncited-items');
+        if (!dataNode) {
+            dataNode = doc.createElement('div');
+            dataNode.setAttribute('id', 'csdata-uncited-items');
+            dataNode.classList.add('uncited-data');
+            dataContainer.appendChild(dataNode);
+        }
+        dataNode.innerHTML = btoa(JSON.stringify(uncitedItemIDs));
+    }
+
+    /**
+     * Splits the bibliography into sections, replacing any set before.
+     *   Each section is a filter for the processor's `makeBibliography()`,
+     *   with a `title` for its heading:
+     *
+     *       {
+     *           title: "Cases",
+     *           select: [{field: "type", value: "legal_case"}]
+     *       }
+     *
+     *   `select` keeps items that match all of its conditions, `include`
+     *   items that match any, and `exclude` drops items that match any
+     *   (a section uses one of these). `quash` then drops items that
+     *   match all of its conditions. A section with no conditions lists
+     *   every item. An empty array restores a single bibliography.
+     *   Citations are not affected. The sections are saved in the
+     *   document, and restored by `initDocument()`.
+     *
+     * @param {Object[]} sections An array of bibliography sections
+     * @return {Promise} Resolves with the worker response
+     */
+    CiteSupport.prototype.callSetBibliographySections = function(sections) {
+        this.debug('callSetBibliographySections()');
+        var me = this;
+        return this.callWorker('setBibliographySections', {
+            bibliographySections: sections
+        }).then(function(data) {
+            me.debug('setBibliographySections()');
+            me.config.bibliographySections = sections;
+            me.setDocumentBibliographySections(sections);
+            me.setBibliography(data.bibliographyData, data.bibliographySections, data.chapterBibliographies);
+            return data;
+        });
+    }
+
+    /**
+     * Bibliography sections are saved in a hidden container in the
+     *   document, as base64-encoded JSON. Section titles may fall
+     *   outside Latin-1, so the JSON is UTF-8 encoded for `btoa()`.
+     *
+     * @return {Object[]} An array of bibliography sections
+     */
+    CiteSupport.prototype.getDocumentBibliographySections = function() {
+        var container = this.editor.getDoc().getElementById('citesupport-bibsections-container');
+        if (!container || !container.innerHTML) {
+            return [];
+        }
+        return JSON.parse(decodeURIComponent(escape(atob(container.innerHTML))));
+    }
+
+    CiteSupport.prototype.setDocumentBibliographySections = function(sections) {
+        var doc = this.editor.getDoc();
+        var container = doc.getElementById('citesupport-bibsections-container');
+        if (!container) {
+            container = doc.createElement('div');
+            container.setAttribute('id', 'citesupport-bibsections-container');
+            container.hidden = true;
+            this.editor.getBody().appendChild(container);
+        }
+        container.innerHTML = btoa(unescape(encodeURIComponent(JSON.stringify(sections))));
+    }
+
+    /**
+     * Uploads abbreviation lists into the worker, and rerenders the
+     *   document with them. Entries are merged into the lists for
+     *   each jurisdiction, and take precedence over those loaded
+     *   from the data source.
+     *
+     * @param {Object{}} abbreviations Lists keyed by jurisdiction, then by category
+     * @return {Promise} Resolves with the worker response
+     */
+    CiteSupport.prototype.callLoadAbbreviations = function(abbreviations) {
+        this.debug('callLoadAbbreviations()');
+        var me = this;
+        return this.callWorker('loadAbbreviations', {
+            abbreviations: abbreviations
+        }).then(function(data) {
+            me.debug('loadAbbreviations()');
+            me.refreshDocument(data);
+            return data;
+        });
+    }
+
+    /**
+     * Records a single abbreviation, and rerenders the document with
+     *   it. The abbreviation is saved in the document, and restored
+     *   by `initDocument()`.
+     *
+     * @param {string} jurisdiction A jurisdiction ID, or `default`
+     * @param {string} category An abbreviation category, such as `container-title`
+     * @param {string} key The full form
+     * @param {string} value The abbreviation
+     * @return {Promise} Resolves with the worker response
+     */
+    CiteSupport.prototype.callSetAbbreviation = function(jurisdiction, category, key, value) {
+        this.debug('callSetAbbreviation()');
+        var me = this;
+        jurisdiction = jurisdiction || 'default';
+        return this.callWorker('setAbbreviation', {
+            jurisdiction: jurisdiction,
+            category: category,
+            key: key,
+            value: value
+        }).then(function(data) {
+            me.debug('setAbbreviation()');
+            var abbreviations = me.getDocumentAbbreviations();
+            if (!abbreviations[jurisdiction]) {
+                abbreviations[jurisdiction] = {};
+            }
+            if (!abbreviations[jurisdiction][category]) {
+                abbreviations[jurisdiction][category] = {};
+            }
+            abbreviations[jurisdiction][category][key] = value;
+            me.setDocumentAbbreviations(abbreviations);
+            me.refreshDocument(data);
+            return data;
+        });
+    }
+
+    /**
+     * Removes a single abbreviation, and rerenders the document
+     *   without it. An entry loaded from the data source is removed
+     *   for the current session only.
+     *
+     * @param {string} jurisdiction A jurisdiction ID, or `default`
+     * @param {string} category An abbreviation category, such as `container-title`
+     * @param {string} key The full form
+     * @return {Promise} Resolves with the worker response
+     */
+    CiteSupport.prototype.callRemoveAbbreviation = function(jurisdiction, category, key) {
+        this.debug('callRemoveAbbreviation()');
+        var me = this;
+        jurisdiction = jurisdiction || 'default';
+        return this.callWorker('removeAbbreviation', {
+            jurisdiction: jurisdiction,
+            category: category,
+            key: key
+        }).then(function(data) {
+            me.debug('removeAbbreviation()');
+            var abbreviations = me.getDocumentAbbreviations();
+            if (abbreviations[jurisdiction] && abbreviations[jurisdiction][category]) {
+                delete abbreviations[jurisdiction][category][key];
+                me.setDocumentAbbreviations(abbreviations);
+            }
+            me.refreshDocument(data);
+            return data;
+        });
+    }
+
+    /**
+     * Fetches the abbreviation list of a jurisdiction from the worker.
+     *
+     * @param {string} jurisdiction A jurisdiction ID, or `default`
+     * @param {string} category An optional category to limit the list to
+     * @return {Promise} Resolves with the worker response, which carries
+     *   the list as `abbreviations`
+     */
+    CiteSupport.prototype.callGetAbbreviations = function(jurisdiction, category) {
+        this.debug('callGetAbbreviations()');
+        return this.callWorker('getAbbreviations', {
+            jurisdiction: jurisdiction || 'default',
+            category: category
+        });
+    }
+
+    /**
+     * Applies a document rerendered by the worker. Responses that
+     *   did not require a rerender carry `null` for `rebuildData`,
+     *   and are ignored.
+     *
+     * @param {Object} data A worker response with `rebuildData`,
+     *   `bibliographyData`, `bibliographySections`, `chapterBibliographies`
+     *   and `citationByIndex`
+     * @return {void}
+     */
+    CiteSupport.prototype.refreshDocument = function(data) {
+        if (!data.rebuildData) {
+            return;
+        }
+        this.config.citationByIndex = data.citationByIndex;
+        var citationData = this.convertRebuildDataToCitationData(data.rebuildData);
+        this.setCitations(this.config.mode, citationData);
+        this.setBibliography(data.bibliographyData, data.bibliographySections, data.chapterBibliographies);
+        this.scheduleSnapshot();
+    }
+
+    /**
+     * Applies the citations and bibliography changes returned by the
+     *   worker for part of the document, as by `callRegisterCitation()`.
+     *
+     * @param {Object} data A worker response with `citationData`,
+     *   `bibliographyChanges` or the bibliographies, and `citationByIndex`
+     * @return {void}
+     */
+    CiteSupport.prototype.updateDocument = function(data) {
+        this.config.citationByIndex = data.citationByIndex;
+        // setCitations() implicitly updates this.config.citationIDs
+        this.setCitations(this.config.mode, data.citationData, true);
+        if (data.bibliographyChanges) {
+            this.updateBibliography(data.bibliographyChanges);
+        } else {
+            this.setBibliography(data.bibliographyData, data.bibliographySections, data.chapterBibliographies);
+        }
+        this.scheduleSnapshot();
+    }
+
+    /**
+     * Abbreviations recorded with `callSetAbbreviation()` are saved
+     *   in a hidden container in the document, as base64-encoded JSON.
+     *
+     * @return {Object{}} Lists keyed by jurisdiction, then by category
+     */
+    CiteSupport.prototype.getDocumentAbbreviations = function() {
+        var container = this.editor.getDoc().getElementById('citesupport-abbrevs-container');
+        if (!container || !container.innerHTML) {
+            return {};
+        }
+        return JSON.parse(atob(container.innerHTML));
+    }
+
+    CiteSupport.prototype.setDocumentAbbreviations = function(abbreviations) {
+        var doc = this.editor.getDoc();
+        var container = doc.getElementById('citesupport-abbrevs-container');
+        if (!container) {
+            container = doc.createElement('div');
+            container.setAttribute('id', 'citesupport-abbrevs-container');
+            container.hidden = true;
+            this.editor.getBody().appendChild(container);
+        }
+        container.innerHTML = btoa(JSON.stringify(abbreviations));
+    }
+
+    /**
+     * Restore a usable document state after a failed `registerCitation`
+     *   request. Citation data is reread from the document record, which
+     *   also drops the node of any citation that was never saved. If the
+     *   processor itself failed, it is reinitialized from that state.
+     *
+     * @param {Object[]} errors An array of error objects returned by the worker
+     * @return {void}
+     */
+    CiteSupport.prototype.recoverDocument = function(errors) {
+        this.debug('recoverDocument()');
+        this.spoofDocument();
+        var engineFailed = errors.some(function(error) {
+            return error.code === 'ENGINE_ERROR';
+        });
+        if (engineFailed) {
+            var me = this;
+            this.queueEdit(function() {
+                return me.callInitProcessor(me.config.defaultStyle, me.config.defaultLocale, me.config.citationByIndex);
+            }).catch(function() {
+                // Errors are reported through onError()
+            });
+        }
+    }
+
     /**
      * Converts the array returned by the processor `rebuildProcessor()` method
      * to the form digested by our own `setCitations()` method.
@@ -259,7 +1015,11 @@ tinymce.PluginManager.add('citesupport', function(editor) {
         }
 
         // Assure that every single citation node has citationID
-        var citationNodes = this.pruneNodeList(doc.getElementsByClassName('citation'));
+        // (new citation nodes are given theirs by callRegisterCitation(),
+        // and nodes of citations not yet registered have none)
+        var citationNodes = this.pruneNodeList(doc.getElementsByClassName('citation')).filter(function(node) {
+            return node.id;
+        });
         for (var i = 0, ilen = data.length; i < ilen; i++) {
             var pos = data[i][0];
             var citationNode = citationNodes[pos];
@@ -269,7 +1029,9 @@ tinymce.PluginManager.add('citesupport', function(editor) {
             }
         }
         // Update citationIdToPos for all nodes
-        var citationNodes = this.pruneNodeList(doc.getElementsByClassName('citation'));
+        var citationNodes = this.pruneNodeList(doc.getElementsByClassName('citation')).filter(function(node) {
+            return node.id;
+        });
         for (var i = 0, ilen = citationNodes.length; i < ilen; i++) {
             var citationID = citationNodes[i].getAttribute('id');
             this.config.citationIdToPos[citationID] = i;
@@ -349,9 +1111,15 @@ tinymce.PluginManager.add('citesupport', function(editor) {
             }
             // Regenerate all footnotes from hidden texts
             var citationNodes = this.pruneNodeList(doc.getElementsByClassName('citation'));
+            var footnoteNumber = 0;
             for (var i = 0, ilen = citationNodes.length; i < ilen; i++) {
-                var footnoteText = citationNodes[i].childNodes[1].innerHTML;
-                var footnoteNumber = (i + 1);
+                var footnoteMarkNode = citationNodes[i].querySelector('.footnote-mark');
+                if (!footnoteMarkNode) {
+                    // A new citation not yet registered
+                    continue;
+                }
+                var footnoteText = footnoteMarkNode.nextSibling.innerHTML;
+                footnoteNumber += 1;
                 var footnote = doc.createElement('p');
                 footnote.classList.add('footnote');
                 footnote.innerHTML = '<span class="footnote"><span class="footnote-number">' + footnoteNumber + '</span><span class="footnote-text">' + footnoteText + '</span></span>';
@@ -371,70 +1139,357 @@ tinymce.PluginManager.add('citesupport', function(editor) {
     }
 
     /**
-     * Replace bibliography with xHTML returned by the processor.
+     * Return the chapter of each citation node, in document order.
+     *   Each element with class `citesupport-chapter` begins a chapter.
+     *   Citations before the first marker belong to the first chapter.
+     *
+     * @return {number[]} An array of chapter indexes, one for each citation node
+     */
+    CiteSupport.prototype.getChapterIndexes = function() {
+        var doc = this.editor.getDoc();
+        var markers = doc.getElementsByClassName('citesupport-chapter');
+        var citationNodes = this.pruneNodeList(doc.getElementsByClassName('citation'));
+        var chapterIndexes = [];
+        for (var i = 0, ilen = citationNodes.length; i < ilen; i++) {
+            var chapterIndex = 0;
+            for (var j = 1, jlen = markers.length; j < jlen; j++) {
+                if (markers[j].compareDocumentPosition(citationNodes[i]) & Node.DOCUMENT_POSITION_FOLLOWING) {
+                    chapterIndex = j;
+                }
+            }
+            chapterIndexes.push(chapterIndex);
+        }
+        return chapterIndexes;
+    }
+
+    /**
+     * Fill a node with a bibliography. If the bibliography is split
+     *   into sections, each section with entries is set in its own
+     *   `class:csl-bib-section` container, under a heading with its
+     *   title. Each section body is given an ID from `idPrefix`, and
+     *   its layout parameters are kept in `bibliographyLayouts` under
+     *   that ID, for `setBibliographyStylesheet()`.
+     *
+     * @param {HtmlElement} node The node to fill
+     * @param {string} idPrefix A prefix for the IDs of section bodies
+     * @param {Object[]} data An array consisting of [0] an object with style information and [1] an array of serialized xHMTL bibliography entries.
+     * @param {Object[]} sections An array of objects with the `title` of a section and its `bibliographyData`, in the form of `data` (if the bibliography has sections)
+     * @return {number} The number of sections with entries
+     */
+    CiteSupport.prototype.fillBibliography = function(node, idPrefix, data, sections) {
+        var doc = this.editor.getDoc();
+        if (!sections) {
+            sections = [{
+                title: null,
+                bibliographyData: data
+            }];
+        }
+        var count = 0;
+        node.innerHTML = '';
+        // Layout is set by the stylesheet, not by inline styles
+        node.removeAttribute('style');
+        node.removeAttribute('class');
+        for (var i = 0, ilen = sections.length; i < ilen; i++) {
+            var sectionData = sections[i].bibliographyData;
+            if (!sectionData || !sectionData[1] || sectionData[1].length === 0) {
+                continue;
+            }
+            var sectionNode = doc.createElement('div');
+            sectionNode.classList.add('csl-bib-section');
+            if (sections[i].title) {
+                var heading = doc.createElement('h3');
+                heading.textContent = sections[i].title;
+                sectionNode.appendChild(heading);
+            }
+            var bibBody = doc.createElement('div');
+            bibBody.setAttribute('id', idPrefix + '-section-' + i);
+            bibBody.className = BibliographyCSS.getClasses(sectionData[0]).join(' ');
+            bibBody.innerHTML = sectionData[1].join('\n');
+            sectionNode.appendChild(bibBody);
+            node.appendChild(sectionNode);
+            this.bibliographyLayouts[idPrefix + '-section-' + i] = sectionData[0];
+            count++;
+        }
+        return count;
+    }
+
+    /**
+     * Replace bibliography with xHTML returned by the processor. The
+     *   layout is set by a stylesheet from `BibliographyCSS`. If the
+     *   document has chapters, the bibliography of each chapter is set
+     *   in a non-editable `class:citesupport-chapter-bibliography`
+     *   container at the end of the chapter.
      *
      * @param {Object[]} data An array consisting of [0] an object with style information and [1] an array of serialized xHMTL bibliography entries.
+     * @param {Object[]} sections An array of objects with the `title` of a section and its `bibliographyData`, in the form of `data` (if the bibliography has sections)
+     * @param {Object[]} chapters An array of objects with the `bibliographyData` and `bibliographySections` of each chapter (if the document has chapters)
      */
-    CiteSupport.prototype.setBibliography = function(data) {
+    CiteSupport.prototype.setBibliography = function(data, sections, chapters) {
         this.debug('setBibliography()');
         var doc = this.editor.getDoc();
-        var body = this.editor.getBody();
         var bibContainer = doc.getElementById('bibliography-container');
-        if (!data || !data[1] || data[1].length === 0) {
-            bibContainer.hidden = true;
-            return;
-        };
         var bib = doc.getElementById('bibliography');
-        bib.setAttribute('style', 'visibility: hidden;');
-        // If bib is not hidden on transition, container width
-        // can be wildly exaggerated on mobile Safari.
-        bibContainer.hidden = true;
-        bib.innerHTML = data[1].join('\n');
-        var entries = doc.getElementsByClassName('csl-entry');
-        if (data[0].hangingindent) {
-            for (var i = 0, ilen = entries.length; i < ilen; i++) {
-                var entry = entries[i];
-                entry.setAttribute('style', 'padding-left: 1.3em;text-indent: -1.3em;');
-            }
-            bibContainer.hidden = false;
-            bib.setAttribute('style', 'visibility: visible;');
-        } else if (data[0]['second-field-align']) {
-            var offsetSpec = 'padding-right:0.3em;';
-            if (data[0].maxoffset) {
-                offsetSpec = 'width: ' + ((data[0].maxoffset/2)+0.75) + 'em;';
-            }
-            for (var i = 0, ilen = entries.length; i < ilen; i++) {
-                var entry = entries[i];
-                entry.setAttribute('style', 'white-space: nowrap;');
-            }
-            var numbers = doc.getElementsByClassName('csl-left-margin');
-            for (var i = 0, ilen = numbers.length; i < ilen; i++) {
-                var number = numbers[i];
-                number.setAttribute('style', 'display:inline-block;vertical-align:top;' + offsetSpec);
-            }
-            if (data[0].maxoffset) {
-                // cheat
-                var widthSpec = '';
-                var texts = doc.getElementsByClassName('csl-right-inline');
-                var containerWidth = document.getElementById('mce_0_ifr').offsetWidth;
-                var numberWidth = (data[0].maxoffset*(90/9));
-                widthSpec = 'width:' + (containerWidth-numberWidth-20) + 'px;';
-                for (var i = 0, ilen = texts.length; i < ilen; i++) {
-                    var text = texts[i];
-                    text.setAttribute('style', 'display: inline-block;white-space: normal;' + widthSpec);
+        this.bibliographyLayouts = {};
+        bibContainer.hidden = (this.fillBibliography(bib, 'bibliography', data, sections) === 0);
+        var chapterBibs = doc.getElementsByClassName('citesupport-chapter-bibliography');
+        for (var i = chapterBibs.length - 1; i > -1; i--) {
+            chapterBibs[i].parentNode.removeChild(chapterBibs[i]);
+        }
+        if (chapters) {
+            // The last chapter ends at the footnotes
+            var markers = doc.getElementsByClassName('citesupport-chapter');
+            var end = doc.getElementById('footnote-container');
+            for (var i = 0, ilen = chapters.length; i < ilen; i++) {
+                var chapterBody = doc.createElement('div');
+                var chapterCount = this.fillBibliography(chapterBody, 'chapter-' + i + '-bibliography', chapters[i].bibliographyData, chapters[i].bibliographySections);
+                if (chapterCount === 0) {
+                    continue;
                 }
-                bibContainer.hidden = false;
-                bib.setAttribute('style', 'visibility: visible;');
+                var chapterBib = doc.createElement('div');
+                chapterBib.classList.add('citesupport-chapter-bibliography');
+                chapterBib.classList.add('mceNonEditable');
+                chapterBib.setAttribute('contenteditable', "false");
+                chapterBib.innerHTML = '<h3>Bibliography</h3>';
+                chapterBib.appendChild(chapterBody);
+                var next = markers[i + 1] || end;
+                next.parentNode.insertBefore(chapterBib, next);
+            }
+        }
+        this.setBibliographyStylesheet();
+    }
+
+    /**
+     * Set the stylesheet of the bibliographies from the layout
+     *   parameters of their section bodies in `bibliographyLayouts`.
+     *   The layout is carried by the stylesheet and the classes of the
+     *   section bodies alone, so entries need no styling of their own,
+     *   and may be patched in place while they are on view.
+     *
+     * @return {void}
+     */
+    CiteSupport.prototype.setBibliographyStylesheet = function() {
+        this.debug('setBibliographyStylesheet()');
+        var doc = this.editor.getDoc();
+        var css = [];
+        for (var id in this.bibliographyLayouts) {
+            css.push(BibliographyCSS.getStylesheet(this.bibliographyLayouts[id], '#' + id));
+        }
+        var bibStyle = doc.getElementById('citesupport-bibliography-style');
+        if (!bibStyle) {
+            bibStyle = doc.createElement('style');
+            bibStyle.setAttribute('id', 'citesupport-bibliography-style');
+            doc.head.appendChild(bibStyle);
+        }
+        bibStyle.textContent = css.join('\n');
+    }
+
+    /**
+     * Patch the entries of bibliographies set by `setBibliography()`
+     *   in place. Changes are given for each section of the document
+     *   bibliography (or for the bibliography as a whole, if it has no
+     *   sections) as `bibliography`, and for those of each chapter as
+     *   `chapters`. Each set of changes lists the indexes of entries
+     *   `removed` from the bibliography, and the entries `inserted`
+     *   into it or `changed` in it, as `[index, entryString]` pairs
+     *   with indexes in the updated bibliography, and the layout
+     *   `params` of the updated bibliography, from which the classes
+     *   and stylesheet of its section body are set again.
+     *
+     * @param {Object{}} changes Changes to the entries of bibliographies
+     * @return {void}
+     */
+    CiteSupport.prototype.updateBibliography = function(changes) {
+        this.debug('updateBibliography()');
+        this.patchBibliography('bibliography', changes.bibliography);
+        if (changes.chapters) {
+            for (var i = 0, ilen = changes.chapters.length; i < ilen; i++) {
+                this.patchBibliography('chapter-' + i + '-bibliography', changes.chapters[i]);
+            }
+        }
+        this.setBibliographyStylesheet();
+    }
+
+    /**
+     * Apply changes to the entries of the section bodies filled by
+     *   `fillBibliography()` under `idPrefix`.
+     *
+     * @param {string} idPrefix The prefix of the IDs of section bodies
+     * @param {Object[]} sections The changes to the entries of each section
+     * @return {void}
+     */
+    CiteSupport.prototype.patchBibliography = function(idPrefix, sections) {
+        var doc = this.editor.getDoc();
+        var makeEntryNode = function(entryString) {
+            var node = doc.createElement('div');
+            node.innerHTML = entryString;
+            return node.firstElementChild;
+        }
+        for (var i = 0, ilen = sections.length; i < ilen; i++) {
+            // A section without entries has no body, and no changes
+            var bibBody = doc.getElementById(idPrefix + '-section-' + i);
+            if (!bibBody) {
+                continue;
+            }
+            bibBody.className = BibliographyCSS.getClasses(sections[i].params).join(' ');
+            this.bibliographyLayouts[idPrefix + '-section-' + i] = sections[i].params;
+            var entryNodes = Array.prototype.slice.call(bibBody.children);
+            for (var j = 0, jlen = sections[i].removed.length; j < jlen; j++) {
+                bibBody.removeChild(entryNodes[sections[i].removed[j]]);
+            }
+            // Inserted in order of index, so that each lands ahead of
+            // the entries that follow it
+            for (var j = 0, jlen = sections[i].inserted.length; j < jlen; j++) {
+                var inserted = sections[i].inserted[j];
+                bibBody.insertBefore(makeEntryNode(inserted[1]), bibBody.children[inserted[0]] || null);
+            }
+            for (var j = 0, jlen = sections[i].changed.length; j < jlen; j++) {
+                var changed = sections[i].changed[j];
+                bibBody.replaceChild(makeEntryNode(changed[1]), bibBody.children[changed[0]]);
+            }
+        }
+    }
+
+    /**
+     * Insert a chapter marker at the cursor, and initialize the
+     *   processor again to split the citations at the new marker.
+     *
+     * @return {void}
+     */
+    CiteSupport.prototype.insertChapterBreak = function() {
+        this.debug('insertChapterBreak()');
+        var me = this;
+        this.editor.insertContent('<hr class="citesupport-chapter">');
+        this.queueEdit(function() {
+            me.spoofDocument();
+            return me.callInitProcessor(me.config.defaultStyle, me.config.defaultLocale, me.config.citationByIndex);
+        }).catch(function() {
+            // Errors are reported through onError()
+        });
+    }
+
+    /**
+     * Serialize the document as standalone HTML, for saving outside
+     *   the editor. In note styles, each citation becomes a footnote
+     *   reference linked to a numbered list of footnotes, with a
+     *   backlink from each footnote to its reference. In other styles,
+     *   citations are kept as plain `class:citation` spans. The
+     *   bibliography is laid out by CSS classes on the bibliography
+     *   body (`hanging-indent`, or `second-field-align` with
+     *   `second-field-align-flush` or `second-field-align-margin`) and
+     *   the stylesheet from `BibliographyCSS`. The
+     *   citesupport data containers, hidden citation texts and the
+     *   attributes set by the editor are left out.
+     *
+     * @param {string} title The title of the exported document (defaults to the page title)
+     * @return {string} A complete HTML document
+     */
+    CiteSupport.prototype.exportDocument = function(title) {
+        this.debug('exportDocument()');
+        var doc = this.editor.getDoc();
+        var content = this.editor.getBody().cloneNode(true);
+        var removeNodes = function(selector) {
+            var nodes = content.querySelectorAll(selector);
+            for (var i = 0, ilen = nodes.length; i < ilen; i++) {
+                nodes[i].parentNode.removeChild(nodes[i]);
+            }
+        }
+        removeNodes('#citesupport-data-container, #citesupport-style-container, #citesupport-abbrevs-container, #citesupport-bibsections-container, #citesupport-snapshot-container, #footnote-container, #bibliography-container, .mce-offscreen-selection, [data-mce-bogus]');
+
+        // Citations and footnotes
+        var footnotes = [];
+        var citationNodes = content.querySelectorAll('.citation');
+        for (var i = 0, ilen = citationNodes.length; i < ilen; i++) {
+            var citationNode = citationNodes[i];
+            var replacement;
+            if (this.config.mode === 'note') {
+                var footnoteNumber = footnotes.length + 1;
+                footnotes.push(citationNode.childNodes[1] ? citationNode.childNodes[1].innerHTML : '');
+                replacement = doc.createElement('sup');
+                replacement.classList.add('footnote-ref');
+                replacement.setAttribute('id', 'fnref-' + footnoteNumber);
+                replacement.innerHTML = '<a href="#fn-' + footnoteNumber + '">' + footnoteNumber + '</a>';
             } else {
-                bibContainer.hidden = false;
-                bib.setAttribute('style', 'visibility: visible;');
+                replacement = doc.createElement('span');
+                replacement.classList.add('citation');
+                replacement.innerHTML = citationNode.innerHTML;
             }
-        } else {
-            bibContainer.hidden = false;
-            bib.setAttribute('style', 'visibility: visible;');
+            citationNode.parentNode.replaceChild(replacement, citationNode);
+        }
+        removeNodes('[hidden]');
+        // Attributes set by the editor
+        var nodes = content.querySelectorAll('*');
+        for (var i = 0, ilen = nodes.length; i < ilen; i++) {
+            var node = nodes[i];
+            for (var j = node.attributes.length - 1; j > -1; j--) {
+                var name = node.attributes[j].name;
+                if (name.slice(0, 9) === 'data-mce-' || name === 'contenteditable') {
+                    node.removeAttribute(name);
+                }
+            }
+            node.classList.remove('mceNonEditable');
+            if (node.hasAttribute('class') && !node.getAttribute('class')) {
+                node.removeAttribute('class');
+            }
+        }
+        var html = content.innerHTML;
+        if (footnotes.length) {
+            html += '\n<section class="footnotes">\n<h2>Notes</h2>\n<ol>\n';
+            for (var i = 0, ilen = footnotes.length; i < ilen; i++) {
+                var footnoteNumber = i + 1;
+                html += '<li id="fn-' + footnoteNumber + '">' + footnotes[i]
+                    + ' <a class="footnote-backref" href="#fnref-' + footnoteNumber + '" title="Back to text">&#8617;&#xFE0E;</a></li>\n';
+            }
+            html += '</ol>\n</section>';
         }
+
+        // Bibliography
+        var css = [
+            '.footnote-ref a, .footnote-backref { text-decoration: none; }'
+        ];
+        var bib = doc.getElementById('bibliography');
+        var bibStyle = doc.getElementById('citesupport-bibliography-style');
+        if (bibStyle) {
+            // Chapter bibliographies are exported in place
+            css.push(bibStyle.textContent);
+        }
+        if (bib && bib.innerHTML) {
+            html += '\n<section class="bibliography">\n<h2>Bibliography</h2>\n' + bib.innerHTML + '\n</section>';
+        }
+
+        var escapeHTML = function(str) {
+            return ('' + str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        }
+        return '<!DOCTYPE html>\n'
+            + '<html lang="' + escapeHTML(document.documentElement.lang || 'en') + '">\n'
+            + '<head>\n'
+            + '<meta charset="utf-8">\n'
+            + '<title>' + escapeHTML(title || document.title) + '</title>\n'
+            + '<style>\n' + css.join('\n') + '\n</style>\n'
+            + '</head>\n'
+            + '<body>\n' + html + '\n</body>\n'
+            + '</html>\n';
     }
-    
+
+    /**
+     * Save the document as an HTML file, using `exportDocument()`.
+     *
+     * @param {string} fileName The name offered for the file
+     * @return {void}
+     */
+    CiteSupport.prototype.downloadDocument = function(fileName) {
+        this.debug('downloadDocument()');
+        var blob = new Blob([this.exportDocument()], {type: 'text/html'});
+        var link = document.createElement('a');
+        link.setAttribute('href', URL.createObjectURL(blob));
+        link.setAttribute('download', fileName || 'document.html');
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(function() {
+            URL.revokeObjectURL(link.getAttribute('href'));
+        }, 0);
+    }
+
     CiteSupport.prototype.pruneNodeList = function(nodeList) {
         var retList = [];
         for (var i = 0, ilen = nodeList.length; i < ilen; i++) {
@@ -466,6 +1521,16 @@ tinymce.PluginManager.add('citesupport', function(editor) {
         // Initialize array and object
         this.config.citationByIndex = [];
         this.config.citationIdToPos = {};
+        this.config.uncitedItemIDs = [];
+
+        // Get bibliography sections
+        this.config.bibliographySections = this.getDocumentBibliographySections();
+
+        // Get uncited items
+        var uncitedDataNode = doc.getElementById('csdata-uncited-items');
+        if (uncitedDataNode) {
+            this.config.uncitedItemIDs = JSON.parse(atob(uncitedDataNode.innerHTML));
+        }
         
         // Get citation nodes
         var citationNodes = this.pruneNodeList(doc.getElementsByClassName('citation'));
@@ -507,12 +1572,27 @@ tinymce.PluginManager.add('citesupport', function(editor) {
      * Function to be run immediately after document has been loaded, and
      *   before any editing operations.
      *
+     * The processor is restored from the snapshot saved in the
+     *   document by `scheduleSnapshot()`, if it is still current.
+     *   Abbreviations saved in the document are sent with
+     *   `callInitProcessor()`.
+     *
      * @return {void}
      */
     CiteSupport.prototype.initDocument = function() {
         this.debug('initDocument()');
-        this.spoofDocument();
-        this.callInitProcessor(this.config.defaultStyle, this.config.defaultLocale, this.config.citationByIndex);
+        var me = this;
+        this.queueEdit(function() {
+            // The document is read once earlier edits have returned
+            me.spoofDocument();
+            return me.callInitProcessor(me.config.defaultStyle, me.config.defaultLocale, me.config.citationByIndex, null, me.getDocumentSnapshot());
+        }).catch(function() {
+            // Errors are reported through onError()
+        });
+        // Make the reference library searchable in the citation dialog
+        this.callFetchItems(this.config.libraryItemIDs).catch(function() {
+            // Errors are reported through onError()
+        });
     }
 
     // Maybe for consistency there should be a spoofCitations() method
@@ -537,7 +1617,10 @@ tinymce.PluginManager.add('citesupport', function(editor) {
         for (var i = 0, ilen = citationNodes.length; i < ilen; i++) {
             var citationNode = citationNodes[i];
             var citationID = citationNode.id;
-            if (citationsSeen[citationID]) {
+            if (!citationID) {
+                // A new citation not yet registered
+                continue;
+            } else if (citationsSeen[citationID]) {
                 // Duplicate. Clone citation.
                 var citation = JSON.parse(JSON.stringify(this.config.citationByIndex[citationIdToPos[citationID]]));
                 citationByIndex.push(citation);
@@ -571,6 +1654,22 @@ tinymce.PluginManager.add('citesupport', function(editor) {
     var citesupport = new CiteSupport(editor);
     this.citesupport = citesupport;
 
+    editor.addButton('citeexport', {
+        text: 'Export HTML',
+        icon: false,
+        onclick: function() {
+            citesupport.downloadDocument();
+        }
+    });
+
+    editor.addButton('citechapter', {
+        text: 'Chapter break',
+        icon: false,
+        onclick: function() {
+            citesupport.insertChapterBreak();
+        }
+    });
+
     window.addEventListener('load', function(e){
         citesupport.initDocument();
     });
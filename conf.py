@@ -14,6 +14,7 @@
 
 import sys
 import os
+import json
 
 # If extensions (or modules to document with autodoc) are in another directory,
 # add these directories to sys.path here. If the directory is relative to the
@@ -116,9 +117,20 @@ html_theme = 'sphinx_rtd_theme'
 # documentation.
 #html_theme_options = {}
 
+def write_style_index(app):
+    # List the styles in _static/data/styles for the style catalogue of
+    # the demo pages, on hosts that do not serve directory listings.
+    # The catalogue reads the metadata of each style from the style
+    # itself.
+    styles_dir = os.path.join(app.confdir, '_static', 'data', 'styles')
+    style_ids = sorted(name[:-4] for name in os.listdir(styles_dir) if name.endswith('.csl'))
+    with open(os.path.join(styles_dir, 'index.json'), 'w') as index_file:
+        json.dump(style_ids, index_file, indent=4)
+
 def setup(app):
     app.add_stylesheet('css/screen.css')  # may also be an URL
     app.add_javascript('js/global.js')
+    app.connect('builder-inited', write_style_index)
     
 # Add any paths that contain custom themes here, relative to this directory.
 #html_theme_path = []
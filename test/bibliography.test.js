@@ -0,0 +1,146 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var harness = require('./harness');
+
+/**
+ * Apply the changes to one bibliography, in the order used by
+ * `patchBibliography()` in the page.
+ */
+function applyEntryChanges(entries, changes) {
+    var removed = {};
+    for (var i = 0, ilen = changes.removed.length; i < ilen; i++) {
+        removed[changes.removed[i]] = true;
+    }
+    entries = entries.filter(function(entry, pos) {
+        return !removed[pos];
+    });
+    for (var i = 0, ilen = changes.inserted.length; i < ilen; i++) {
+        entries.splice(changes.inserted[i][0], 0, changes.inserted[i][1]);
+    }
+    for (var i = 0, ilen = changes.changed.length; i < ilen; i++) {
+        entries[changes.changed[i][0]] = changes.changed[i][1];
+    }
+    return entries;
+}
+
+function makeBib(ids, entries, params) {
+    var obj = {
+        entry_ids: ids.map(function(id) {
+            return [id];
+        }),
+        hangingindent: false
+    };
+    for (var key in params) {
+        obj[key] = params[key];
+    }
+    return [obj, entries];
+}
+
+function diff(previous, next) {
+    var ctx = harness.makeWorker().ctx;
+    return JSON.parse(JSON.stringify(ctx.diffBibliographies(previous, next)));
+}
+
+test('diffBibliographies lists removed, inserted, changed and moved entries', function() {
+    var previous = {
+        bibliographyData: makeBib(['a', 'b', 'c', 'd', 'e'], ['A', 'B', 'C', 'D', 'E'])
+    };
+    var next = {
+        bibliographyData: makeBib(['a', 'x', 'c', 'e', 'b', 'd'], ['A', 'X', 'C2', 'E', 'B', 'D'], {hangingindent: true})
+    };
+    var changes = diff(previous, next);
+    assert.strictEqual(changes.chapters, null);
+    assert.strictEqual(changes.bibliography.length, 1);
+    var section = changes.bibliography[0];
+    assert.deepStrictEqual(section.params, {hangingindent: true});
+    assert.deepStrictEqual(section.changed, [[2, 'C2']]);
+    assert.deepStrictEqual(applyEntryChanges(previous.bibliographyData[1], section), next.bibliographyData[1]);
+});
+
+test('diffBibliographies patches each section and each chapter', function() {
+    var previous = {
+        bibliographySections: [
+            {title: 'Cases', bibliographyData: makeBib(['a'], ['A'])},
+            {title: 'Books', bibliographyData: [{entry_ids: []}, []]}
+        ],
+        chapterBibliographies: [
+            {bibliographyData: makeBib(['a', 'b'], ['A', 'B'])},
+            {bibliographyData: makeBib(['c'], ['C'])}
+        ]
+    };
+    var next = {
+        bibliographySections: [
+            {title: 'Cases', bibliographyData: makeBib(['a', 'b'], ['A', 'B'])},
+            {title: 'Books', bibliographyData: [{entry_ids: []}, []]}
+        ],
+        chapterBibliographies: [
+            {bibliographyData: makeBib(['b'], ['B'])},
+            {bibliographyData: makeBib(['c'], ['C'])}
+        ]
+    };
+    var changes = diff(previous, next);
+    assert.deepStrictEqual(changes.bibliography[0].inserted, [[1, 'B']]);
+    assert.deepStrictEqual(changes.bibliography[1], {params: null, removed: [], inserted: [], changed: []});
+    assert.deepStrictEqual(changes.chapters[0][0].removed, [0]);
+    assert.deepStrictEqual(changes.chapters[1][0].removed.concat(changes.chapters[1][0].inserted, changes.chapters[1][0].changed), []);
+});
+
+test('diffBibliographies returns null where a bibliography must be set afresh', function() {
+    var one = {bibliographyData: makeBib(['a'], ['A'])};
+    var empty = {bibliographyData: [{entry_ids: []}, []]};
+    var sections = {
+        bibliographySections: [
+            {title: 'Cases', bibliographyData: makeBib(['a'], ['A'])},
+            {title: 'Books', bibliographyData: makeBib(['b'], ['B'])}
+        ]
+    };
+    var chapters = {
+        bibliographyData: makeBib(['a'], ['A']),
+        chapterBibliographies: [{bibliographyData: makeBib(['a'], ['A'])}]
+    };
+    assert.strictEqual(diff(null, one), null);
+    assert.strictEqual(diff(empty, one), null);
+    assert.strictEqual(diff(one, empty), null);
+    assert.strictEqual(diff(one, sections), null);
+    assert.strictEqual(diff(one, chapters), null);
+    assert.strictEqual(diff(chapters, one), null);
+});
+
+test('bibliographyChanges from the worker patch the bibliography to that of a full render', function() {
+    var worker = harness.makeWorker();
+    var bibliography;
+    var citation = function(id, itemID) {
+        return {citationID: id, citationItems: [{id: itemID}], properties: {noteIndex: 0}};
+    }
+    var checkChanges = function(data) {
+        assert.ok(data.bibliographyChanges);
+        assert.strictEqual(data.bibliographyData, null);
+        bibliography = applyEntryChanges(bibliography, data.bibliographyChanges.bibliography[0]);
+        return worker.send('setBibliographySections', {bibliographySections: null}).then(function(full) {
+            assert.deepStrictEqual(bibliography, full.bibliographyData[1]);
+        });
+    }
+    return worker.send('initProcessor', {
+        styleName: 'chicago-author-date',
+        localeName: 'en-US',
+        citationByIndex: [citation('C1', 'item01'), citation('C2', 'item03')]
+    }).then(function(data) {
+        assert.strictEqual(data.result, 'OK');
+        bibliography = data.bibliographyData[1];
+        return worker.send('registerCitation', {
+            citation: citation('C3', 'item02'),
+            preCitations: [['C1', 0], ['C2', 0]],
+            postCitations: []
+        });
+    }).then(function(data) {
+        assert.strictEqual(data.bibliographyChanges.bibliography[0].inserted.length, 1);
+        return checkChanges(data);
+    }).then(function() {
+        return worker.send('loadItems', {
+            items: [{id: 'item03', type: 'book', title: 'A Changed Title', author: [{family: 'Aardvark', given: 'A.'}], issued: {'date-parts': [[1999]]}}]
+        });
+    }).then(function(data) {
+        assert.strictEqual(data.result, 'OK');
+        return checkChanges(data);
+    });
+});
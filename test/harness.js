@@ -0,0 +1,128 @@
+/**
+ * Test harness for the worker scripts
+ *
+ * The worker scripts are run in a `vm` context that stands in for the
+ * worker global scope: `importScripts()` reads scripts relative to
+ * `_static/js`, and `XMLHttpRequest` reads the static data files in the
+ * same way, with a 404 for anything missing. Top-level functions of
+ * the scripts are properties of the context.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+var JS_DIR = path.join(__dirname, '..', '_static', 'js');
+
+/**
+ * Read a file from the static tree, as the worker would over XHR.
+ *
+ * @param {string} url A URL relative to `_static/js`
+ * @return {string} The content, or null if there is no such file
+ */
+function readStatic(url) {
+    try {
+        return fs.readFileSync(path.resolve(JS_DIR, url), 'utf8');
+    } catch (e) {
+        return null;
+    }
+}
+
+function FakeXMLHttpRequest() {
+    this.readyState = 0;
+    this.status = 0;
+    this.responseText = '';
+}
+
+FakeXMLHttpRequest.prototype.open = function(method, url) {
+    this.url = url;
+}
+
+FakeXMLHttpRequest.prototype.setRequestHeader = function() {}
+
+FakeXMLHttpRequest.prototype.send = function() {
+    var me = this;
+    setTimeout(function() {
+        var txt = readStatic(me.url);
+        me.readyState = 4;
+        me.status = (txt === null) ? 404 : 200;
+        me.responseText = txt || '';
+        if (me.onreadystatechange) {
+            me.onreadystatechange();
+        }
+        if (me.onload) {
+            me.onload();
+        }
+    }, 0);
+}
+
+/**
+ * Run worker scripts in a fresh context.
+ *
+ * @param {string[]} scripts Script paths relative to `_static/js`
+ * @param {Object{}} globals Globals to add to the context, such as `fetch`
+ * @return {Object} The context
+ */
+function loadScripts(scripts, globals) {
+    var ctx = {
+        console: console,
+        setTimeout: setTimeout,
+        clearTimeout: clearTimeout,
+        Promise: Promise,
+        XMLHttpRequest: FakeXMLHttpRequest
+    };
+    if (globals) {
+        for (var key in globals) {
+            ctx[key] = globals[key];
+        }
+    }
+    ctx.self = ctx;
+    ctx.importScripts = function() {
+        for (var i = 0, ilen = arguments.length; i < ilen; i++) {
+            vm.runInContext(readStatic(arguments[i]), ctx, {filename: arguments[i]});
+        }
+    }
+    vm.createContext(ctx);
+    ctx.importScripts.apply(null, scripts);
+    return ctx;
+}
+
+/**
+ * Start the worker in a fresh context.
+ *
+ * @param {Object{}} globals Globals to add to the context
+ * @return {Object} `ctx`, the context, and `send(command, params)`,
+ *   which resolves with the response to the message
+ */
+function makeWorker(globals) {
+    var waiting = {};
+    var requestID = 0;
+    var ctx = loadScripts([], Object.assign({
+        postMessage: function(msg) {
+            msg = JSON.parse(JSON.stringify(msg));
+            if (waiting[msg.requestID]) {
+                waiting[msg.requestID](msg);
+                delete waiting[msg.requestID];
+            }
+        }
+    }, globals));
+    ctx.importScripts('citeworker.js');
+    return {
+        ctx: ctx,
+        send: function(command, params) {
+            params = JSON.parse(JSON.stringify(params || {}));
+            params.command = command;
+            params.requestID = ++requestID;
+            return new Promise(function(resolve) {
+                waiting[params.requestID] = resolve;
+                ctx.onmessage({data: params});
+            });
+        }
+    };
+}
+
+module.exports = {
+    loadScripts: loadScripts,
+    makeWorker: makeWorker,
+    readStatic: readStatic
+};
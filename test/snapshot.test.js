@@ -0,0 +1,173 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var harness = require('./harness');
+
+var ITEM = {
+    id: 'journal01',
+    type: 'article-journal',
+    title: 'On Things',
+    'container-title': 'Journal of Things',
+    author: [{family: 'Doe', given: 'Jane'}],
+    issued: {'date-parts': [[2000]]}
+};
+
+var ABBREVIATIONS = {
+    'default': {
+        'container-title': {
+            'Journal of Things': 'J. Things'
+        }
+    }
+};
+
+function makeCitations(chapterCount) {
+    var citations = [];
+    for (var i = 0; i < 30; i++) {
+        citations.push({
+            citationID: 'C' + i,
+            citationItems: [{id: (i % 4) ? 'item0' + (i % 5 + 1) : 'journal01', locator: String(i % 7 + 1)}],
+            properties: {
+                noteIndex: i + 1,
+                chapterIndex: chapterCount ? Math.floor(i * chapterCount / 30) : 0
+            }
+        });
+    }
+    return citations;
+}
+
+/**
+ * Initialize a fresh worker, with the test item uploaded first.
+ * `setup` (optional) is called with the worker before anything is sent.
+ */
+function init(params, setup) {
+    var worker = harness.makeWorker();
+    if (setup) {
+        setup(worker);
+    }
+    return worker.send('loadItems', {items: [ITEM]}).then(function() {
+        return worker.send('initProcessor', params);
+    }).then(function(data) {
+        assert.strictEqual(data.result, 'OK');
+        data.worker = worker;
+        return data;
+    });
+}
+
+function rendered(data) {
+    return {
+        rebuildData: data.rebuildData,
+        bibliographyData: data.bibliographyData,
+        chapterBibliographies: data.chapterBibliographies
+    };
+}
+
+[
+    ['a note style', 'jm-chicago-fullnote-bibliography', 0],
+    ['a numeric style', 'american-medical-association', 0],
+    ['a note style with chapters', 'jm-chicago-fullnote-bibliography', 2]
+].forEach(function(spec) {
+    test('A restored snapshot renders as a full rebuild, in ' + spec[0], function() {
+        var params = {
+            styleName: spec[1],
+            localeName: 'en-US',
+            citationByIndex: makeCitations(spec[2]),
+            uncitedItemIDs: ['item05'],
+            chapterCount: spec[2],
+            abbreviations: ABBREVIATIONS
+        };
+        var full;
+        var restored;
+        return init(params).then(function(data) {
+            full = data;
+            assert.strictEqual(full.restored, false);
+            // The abbreviations are in place for the first render
+            assert.ok(/J\.? Things/.test(JSON.stringify(rendered(full))));
+            return full.worker.send('getSnapshot', {});
+        }).then(function(data) {
+            params.snapshot = data.snapshot;
+            return init(params);
+        }).then(function(data) {
+            restored = data;
+            assert.strictEqual(restored.restored, true);
+            assert.deepStrictEqual(rendered(restored), rendered(full));
+            // A citation added later is rendered the same in both
+            var citation = {
+                citationID: 'NEW',
+                citationItems: [{id: 'item02'}],
+                properties: {noteIndex: 3, chapterIndex: 0}
+            };
+            var pre = full.citationByIndex.slice(0, 2).map(function(c) {
+                return [c.citationID, c.properties.noteIndex];
+            });
+            var post = full.citationByIndex.slice(2).map(function(c, i) {
+                return [c.citationID, i + 4];
+            });
+            var register = {citation: citation, preCitations: pre, postCitations: post};
+            return Promise.all([
+                full.worker.send('registerCitation', register),
+                restored.worker.send('registerCitation', register)
+            ]);
+        }).then(function(res) {
+            assert.deepStrictEqual(res[1].citationData, res[0].citationData);
+        });
+    });
+});
+
+test('A snapshot is not restored if what it was rendered from has changed', function() {
+    var params = {
+        styleName: 'jm-chicago-fullnote-bibliography',
+        localeName: 'en-US',
+        citationByIndex: makeCitations(0),
+        abbreviations: ABBREVIATIONS
+    };
+    var full;
+    var snapshot;
+    var initWith = function(changes) {
+        var p = JSON.parse(JSON.stringify(params));
+        p.snapshot = snapshot;
+        for (var key in changes) {
+            p[key] = changes[key];
+        }
+        return init(p).then(function(data) {
+            return data.restored;
+        });
+    }
+    return init(params).then(function(data) {
+        full = data;
+        return full.worker.send('getSnapshot', {});
+    }).then(function(data) {
+        snapshot = data.snapshot;
+        var citations = makeCitations(0);
+        citations[5].citationItems[0].locator = '99';
+        var broken = JSON.parse(JSON.stringify(snapshot));
+        broken.processor.citations[0].citationItems = null;
+        return Promise.all([
+            initWith({}),
+            initWith({localeName: 'de-DE'}),
+            initWith({styleName: 'chicago-author-date'}),
+            initWith({citationByIndex: citations}),
+            initWith({abbreviations: {}}),
+            initWith({snapshot: broken})
+        ]);
+    }).then(function(res) {
+        assert.deepStrictEqual(res, [true, false, false, false, false, false]);
+    });
+});
+
+test('A snapshot is not restored under another processor version', function() {
+    var params = {
+        styleName: 'jm-chicago-fullnote-bibliography',
+        localeName: 'en-US',
+        citationByIndex: makeCitations(0)
+    };
+    return init(params).then(function(data) {
+        return data.worker.send('getSnapshot', {});
+    }).then(function(data) {
+        params.snapshot = data.snapshot;
+        params.snapshot.version = '0.0.0';
+        return init(params, function(worker) {
+            worker.ctx.CSL.PROCESSOR_VERSION = '0.0.0';
+        });
+    }).then(function(data) {
+        assert.strictEqual(data.restored, false);
+    });
+});
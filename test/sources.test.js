@@ -0,0 +1,185 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var harness = require('./harness');
+
+/**
+ * An XMLHttpRequest that answers from a map of URL to `[status, text]`,
+ * recording the URLs requested.
+ */
+function makeXHR(routes, requested) {
+    function XHR() {}
+    XHR.prototype.open = function(method, url) {
+        this.url = url;
+    }
+    XHR.prototype.send = function() {
+        var me = this;
+        requested.push(this.url);
+        setTimeout(function() {
+            var route = routes[me.url] || [404, ''];
+            me.readyState = 4;
+            me.status = route[0];
+            me.responseText = route[1];
+            me.onreadystatechange();
+        }, 0);
+    }
+    return XHR;
+}
+
+function call(adapter, method, type, id) {
+    return new Promise(function(resolve) {
+        if (method === 'list') {
+            adapter.list(type, resolve);
+        } else {
+            adapter.get(type, id, resolve);
+        }
+    });
+}
+
+test('StaticFileSource fetches files by the filename template of each type', function() {
+    var ctx = harness.loadScripts(['citeworker-sources.js']);
+    var source = new ctx.StaticFileSource();
+    return Promise.all([
+        call(source, 'get', 'styles', 'chicago-author-date'),
+        call(source, 'get', 'locales', 'en-US'),
+        call(source, 'get', 'styles', 'no-such-style')
+    ]).then(function(res) {
+        assert.strictEqual(res[0], harness.readStatic('../data/styles/chicago-author-date.csl'));
+        assert.strictEqual(res[1], harness.readStatic('../data/locales/locales-en-US.xml'));
+        assert.strictEqual(res[2], undefined);
+    });
+});
+
+test('StaticFileSource lists IDs from the directory listing', function() {
+    var requested = [];
+    var ctx = harness.loadScripts(['citeworker-sources.js'], {
+        XMLHttpRequest: makeXHR({
+            'data/styles/': [200, '<a href="../">..</a> <a href="apa.csl">apa.csl</a> <a href="/data/styles/jm%20oscola.csl?x=1">jm oscola.csl</a> <a href="index.json">index.json</a> <a href="apa.csl">apa.csl</a>'],
+            'data/styles/index.json': [200, '["stale"]']
+        }, requested)
+    });
+    var source = new ctx.StaticFileSource({baseURL: 'data/'});
+    return call(source, 'list', 'styles').then(function(ids) {
+        assert.deepStrictEqual(Array.from(ids), ['apa', 'jm oscola']);
+        assert.deepStrictEqual(requested, ['data/styles/']);
+    });
+});
+
+test('StaticFileSource reads index.json where the directory is not listed', function() {
+    var requested = [];
+    var ctx = harness.loadScripts(['citeworker-sources.js'], {
+        XMLHttpRequest: makeXHR({
+            'data/styles/index.json': [200, '["apa", "jm-oscola"]'],
+            'data/locales/index.json': [200, '{not json']
+        }, requested)
+    });
+    var source = new ctx.StaticFileSource({baseURL: 'data/'});
+    return Promise.all([
+        call(source, 'list', 'styles'),
+        call(source, 'list', 'locales')
+    ]).then(function(res) {
+        assert.deepStrictEqual(Array.from(res[0]), ['apa', 'jm-oscola']);
+        assert.strictEqual(res[1], undefined);
+        assert.deepStrictEqual(requested, ['data/styles/', 'data/locales/', 'data/styles/index.json', 'data/locales/index.json']);
+    });
+});
+
+test('BundleSource serves posted content, and items given as an array', function() {
+    var ctx = harness.loadScripts(['citeworker-sources.js']);
+    var source = new ctx.BundleSource({
+        bundle: {
+            styles: {apa: '<style/>'},
+            items: [{id: 'item01', title: 'One'}, {id: 'item02', title: 'Two'}]
+        }
+    });
+    return Promise.all([
+        call(source, 'get', 'styles', 'apa'),
+        call(source, 'get', 'items', 'item02'),
+        call(source, 'get', 'items', 'item03'),
+        call(source, 'list', 'items'),
+        call(source, 'list', 'locales')
+    ]).then(function(res) {
+        assert.strictEqual(res[0], '<style/>');
+        assert.deepStrictEqual(JSON.parse(JSON.stringify(res[1])), {id: 'item02', title: 'Two'});
+        assert.strictEqual(res[2], undefined);
+        assert.deepStrictEqual(Array.from(res[3]), ['item01', 'item02']);
+        assert.deepStrictEqual(Array.from(res[4]), []);
+    });
+});
+
+test('HttpSource fetches from URL templates, and reports failures as missing', function() {
+    var requests = [];
+    var responses = {
+        'https://example.com/items/a%2Fb': {ok: true, text: '{"id":"a/b"}'},
+        'https://example.com/items/gone': {ok: false},
+        'https://example.com/styles.json': {ok: true, text: '["apa"]'},
+        'https://example.com/locales.json': {ok: true, text: '{}'}
+    };
+    var ctx = harness.loadScripts(['citeworker-sources.js'], {
+        fetch: function(url, init) {
+            requests.push([url, init]);
+            var response = responses[url];
+            if (!response) {
+                return Promise.reject(new Error('Network error'));
+            }
+            return Promise.resolve({
+                ok: response.ok,
+                text: function() {
+                    return Promise.resolve(response.text);
+                },
+                json: function() {
+                    return Promise.resolve(JSON.parse(response.text));
+                }
+            });
+        }
+    });
+    var source = new ctx.HttpSource({
+        urls: {items: 'https://example.com/items/{id}'},
+        listURLs: {
+            styles: 'https://example.com/styles.json',
+            locales: 'https://example.com/locales.json',
+            juris: 'https://example.com/juris.json'
+        },
+        headers: {Authorization: 'Bearer x'}
+    });
+    return Promise.all([
+        call(source, 'get', 'items', 'a/b'),
+        call(source, 'get', 'items', 'gone'),
+        call(source, 'get', 'items', 'offline'),
+        call(source, 'get', 'styles', 'apa'),
+        call(source, 'list', 'styles'),
+        call(source, 'list', 'locales'),
+        call(source, 'list', 'juris'),
+        call(source, 'list', 'items')
+    ]).then(function(res) {
+        assert.strictEqual(res[0], '{"id":"a/b"}');
+        assert.strictEqual(res[1], undefined);
+        assert.strictEqual(res[2], undefined);
+        assert.strictEqual(res[3], undefined);
+        assert.deepStrictEqual(res[4], ['apa']);
+        assert.strictEqual(res[5], undefined);
+        assert.strictEqual(res[6], undefined);
+        assert.strictEqual(res[7], undefined);
+        assert.deepStrictEqual(JSON.parse(JSON.stringify(requests[0][1])), {
+            headers: {Authorization: 'Bearer x'},
+            credentials: 'same-origin'
+        });
+    });
+});
+
+test('makeDataSources falls back to static files and shares adapters between types', function() {
+    var ctx = harness.loadScripts(['citeworker-sources.js']);
+    var http = {adapter: 'http', urls: {items: 'https://example.com/{id}'}};
+    var sources = ctx.makeDataSources({
+        items: http,
+        abbrevs: http
+    });
+    assert.ok(sources.styles instanceof ctx.StaticFileSource);
+    assert.ok(sources.locales instanceof ctx.StaticFileSource);
+    assert.ok(sources.items instanceof ctx.HttpSource);
+    assert.strictEqual(sources.items, sources.abbrevs);
+    var bundled = ctx.makeDataSources({default: {adapter: 'bundle', bundle: {}}});
+    assert.ok(bundled.juris instanceof ctx.BundleSource);
+    assert.throws(function() {
+        ctx.makeDataSources({items: {adapter: 'ftp'}});
+    }, /Unknown data source adapter: ftp/);
+});
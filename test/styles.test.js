@@ -0,0 +1,134 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var harness = require('./harness');
+
+function makeStyle(info, attrs) {
+    return '<?xml version="1.0" encoding="utf-8"?>\n'
+        + '<style xmlns="http://purl.org/net/xbiblio/csl" class="in-text" version="1.0"' + (attrs || '') + '>'
+        + '<info>' + info + '</info>'
+        + '<citation><layout><text variable="title"/></layout></citation>'
+        + '</style>';
+}
+
+var STYLES = {
+    'apa': makeStyle('<title>American Psychological Association 6th edition</title><title-short>APA</title-short><id>http://www.zotero.org/styles/apa</id><category citation-format="author-date"/><category field="psychology"/><category field="generic-base"/><summary>The APA style</summary>', ' default-locale="en-US"'),
+    'nature': makeStyle('<title>Nature</title><id>http://www.zotero.org/styles/nature</id><category citation-format="numeric"/><category field="science"/>'),
+    'nature-genetics': makeStyle('<title>Nature Genetics</title><id>http://www.zotero.org/styles/nature-genetics</id><link href="http://www.zotero.org/styles/nature" rel="independent-parent"/><category field="biology"/>'),
+    'chicago-note': makeStyle('<title>Chicago Manual of Style (note)</title><id>http://www.zotero.org/styles/chicago-note</id><category citation-format="note"/><category field="generic-base"/>'),
+    'acme': makeStyle('<title>ACME house style</title><id>acme</id><category citation-format="acme"/>'),
+    'no-info': '<style xmlns="http://purl.org/net/xbiblio/csl" class="note" version="1.0"></style>',
+    'not-a-style': '{"id": "item01"}'
+};
+
+function makeCatalogue(styles, listed) {
+    var ctx = harness.loadScripts(['citeproc.js', 'citeworker-styles.js']);
+    var catalogue = new ctx.StyleCatalogue(function(type, id, callback) {
+        setTimeout(function() {
+            callback(styles[id]);
+        }, 0);
+    }, function(type, callback) {
+        setTimeout(function() {
+            callback(listed ? listed() : Object.keys(styles).concat(['missing']));
+        }, 0);
+    });
+    return new Promise(function(resolve, reject) {
+        catalogue.load(function(err) {
+            if (err) {
+                reject(new Error(err));
+            } else {
+                resolve(catalogue);
+            }
+        });
+    });
+}
+
+function ids(entries) {
+    // Arrays of the worker context are copied, to compare with arrays of this one
+    return Array.from(entries, function(entry) {
+        return entry.id;
+    });
+}
+
+test('StyleCatalogue reads the info block of each listed style', function() {
+    return makeCatalogue(STYLES).then(function(catalogue) {
+        assert.deepStrictEqual(Object.keys(catalogue.entries).sort(), ['acme', 'apa', 'chicago-note', 'nature', 'nature-genetics']);
+        assert.deepStrictEqual(JSON.parse(JSON.stringify(catalogue.entries.apa)), {
+            id: 'apa',
+            styleID: 'http://www.zotero.org/styles/apa',
+            title: 'American Psychological Association 6th edition',
+            titleShort: 'APA',
+            citationFormat: 'author-date',
+            fields: ['psychology', 'generic-base'],
+            parent: null,
+            defaultLocale: 'en-US',
+            summary: 'The APA style'
+        });
+        assert.strictEqual(catalogue.entries['nature-genetics'].parent, 'nature');
+        assert.strictEqual(catalogue.entries['nature-genetics'].citationFormat, null);
+    });
+});
+
+test('StyleCatalogue.search groups results by citation format, then sorts by title', function() {
+    return makeCatalogue(STYLES).then(function(catalogue) {
+        var results = catalogue.search('');
+        assert.deepStrictEqual(ids(results), ['apa', 'nature', 'nature-genetics', 'chicago-note', 'acme']);
+        // A dependent style takes the citation format of its parent
+        assert.strictEqual(results[2].citationFormat, 'numeric');
+        // Entries in the catalogue are not changed by a search
+        assert.strictEqual(catalogue.entries['nature-genetics'].citationFormat, null);
+    });
+});
+
+test('StyleCatalogue.search matches every word of the query', function() {
+    return makeCatalogue(STYLES).then(function(catalogue) {
+        assert.deepStrictEqual(ids(catalogue.search('nature')), ['nature', 'nature-genetics']);
+        assert.deepStrictEqual(ids(catalogue.search('  NATURE   genetics ')), ['nature-genetics']);
+        assert.deepStrictEqual(ids(catalogue.search('apa')), ['apa']);
+        assert.deepStrictEqual(ids(catalogue.search('psychology')), ['apa']);
+        assert.deepStrictEqual(ids(catalogue.search('generic-base')), ['apa', 'chicago-note']);
+        assert.deepStrictEqual(ids(catalogue.search('apa nature')), []);
+    });
+});
+
+test('StyleCatalogue.search filters by citation format and by field', function() {
+    return makeCatalogue(STYLES).then(function(catalogue) {
+        assert.deepStrictEqual(ids(catalogue.search('', {citationFormat: 'numeric'})), ['nature', 'nature-genetics']);
+        assert.deepStrictEqual(ids(catalogue.search('', {field: 'generic-base'})), ['apa', 'chicago-note']);
+        assert.deepStrictEqual(ids(catalogue.search('chicago', {citationFormat: 'author-date'})), []);
+    });
+});
+
+test('StyleCatalogue.load drops styles no longer listed, and fetches new ones', function() {
+    var listed = ['apa', 'nature'];
+    var fetched = [];
+    var ctx = harness.loadScripts(['citeproc.js', 'citeworker-styles.js']);
+    var catalogue = new ctx.StyleCatalogue(function(type, id, callback) {
+        fetched.push(id);
+        callback(STYLES[id]);
+    }, function(type, callback) {
+        callback(listed);
+    });
+    var load = function() {
+        return new Promise(function(resolve) {
+            catalogue.load(resolve);
+        });
+    }
+    return load().then(function() {
+        listed = ['nature', 'chicago-note'];
+        return load();
+    }).then(function(err) {
+        assert.strictEqual(err, undefined);
+        assert.deepStrictEqual(ids(catalogue.search('')), ['nature', 'chicago-note']);
+        assert.deepStrictEqual(fetched, ['apa', 'nature', 'chicago-note']);
+    });
+});
+
+test('StyleCatalogue.load fails if the styles cannot be listed', function() {
+    return makeCatalogue(STYLES, function() {
+        return undefined;
+    }).then(function() {
+        assert.fail('load() succeeded');
+    }, function(err) {
+        assert.strictEqual(err.message, 'Unable to list styles');
+    });
+});